@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+
+/**
+ * ============================================================
+ * GENERATE TENANT API KEY
+ * ============================================================
+ * Creates an API key for a tenant
+ *
+ * Usage: npm run apikey -- <tenant_id> [key_id]
+ * Or: node scripts/generate-api-key.js acme acme-2026-02
+ *
+ * Prints the key once - it is not stored anywhere - and the
+ * entry to add to the "keys" array of TENANT_KEYS_FILE, which
+ * holds only its SHA-256 digest.
+ * ============================================================
+ */
+
+import { generateApiKey, hashApiKey } from '../src/guards/tenant-auth.js';
+
+const tenantId = process.argv[2];
+if (!tenantId) {
+  console.error('Usage: npm run apikey -- <tenant_id> [key_id]');
+  process.exit(1);
+}
+
+const keyId = process.argv[3] || `${tenantId}-${new Date().toISOString().slice(0, 10)}`;
+const apiKey = generateApiKey();
+
+console.log(`API key (give to the tenant, shown once): ${apiKey}`);
+console.log('');
+console.log('Add to TENANT_KEYS_FILE "keys":');
+console.log(JSON.stringify({ key_id: keyId, tenant_id: tenantId, sha256: hashApiKey(apiKey) }, null, 2));
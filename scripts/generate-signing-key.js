@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * ============================================================
+ * GENERATE PROOF SIGNING KEY
+ * ============================================================
+ * Creates an Ed25519 key pair for proof pack signatures
+ *
+ * Usage: npm run keygen -- [output-dir]
+ * Or: node scripts/generate-signing-key.js ./keys
+ *
+ * Writes <key_id>.key.pem (private) and <key_id>.pub.pem (public).
+ * Point PROOF_SIGNING_KEY_FILE at the private key. On rotation,
+ * copy the previous .pub.pem into PROOF_VERIFY_KEYS_DIR.
+ * ============================================================
+ */
+
+import { generateKeyPairSync } from 'crypto';
+import { writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+import { keyIdFor } from '../src/proof/signer.js';
+
+const outputDir = process.argv[2] || './keys';
+mkdirSync(outputDir, { recursive: true });
+
+const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+const keyId = keyIdFor(publicKey);
+const fileStem = keyId.replace(':', '-');
+
+const privatePath = path.join(outputDir, `${fileStem}.key.pem`);
+const publicPath = path.join(outputDir, `${fileStem}.pub.pem`);
+
+writeFileSync(privatePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+writeFileSync(publicPath, publicKey.export({ type: 'spki', format: 'pem' }));
+
+console.log(`Key ID:      ${keyId}`);
+console.log(`Private key: ${privatePath}`);
+console.log(`Public key:  ${publicPath}`);
+console.log('');
+console.log(`Set PROOF_SIGNING_KEY_FILE=${privatePath}`);
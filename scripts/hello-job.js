@@ -18,6 +18,11 @@ dotenv.config();
 
 const BASE_URL = `http://localhost:${process.env.PORT || 3001}`;
 
+// Required when the server has TENANT_KEYS_FILE configured
+const AUTH_HEADERS = process.env.KUASATURBO_API_KEY
+  ? { Authorization: `Bearer ${process.env.KUASATURBO_API_KEY}` }
+  : {};
+
 console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║             KUASATURBO - HELLO JOB TEST                       ║
@@ -65,7 +70,7 @@ async function runHelloJob() {
   try {
     const res = await fetch(`${BASE_URL}/api/jobs/submit`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
       body: JSON.stringify({
         job_type: 'invalid_type',
         transform_type: 'test'
@@ -95,7 +100,7 @@ async function runHelloJob() {
   try {
     const res = await fetch(`${BASE_URL}/api/jobs/submit`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
       body: JSON.stringify({
         job_type: 'z4_format_transform',
         transform_type: 'mortgage_eligibility_summary',
@@ -127,15 +132,22 @@ async function runHelloJob() {
   console.log('────────────────────────────');
   
   try {
-    // Create form data (without actual files for hello job)
+    // Create form data with a minimal text payslip (required by validator)
     const formData = new FormData();
     formData.append('job_type', 'z4_format_transform');
     formData.append('transform_type', 'mortgage_eligibility_summary');
-    formData.append('tenant_id', 'hello-test-tenant');
+    // With an API key the tenant comes from the key
+    if (!process.env.KUASATURBO_API_KEY) formData.append('tenant_id', 'hello-test-tenant');
     formData.append('idempotency_key', `hello-test-${Date.now()}`);
+    formData.append(
+      'payslip',
+      new Blob(['HELLO JOB PAYSLIP\nName: Hello Tester\nGross Salary: RM 1.00\n'], { type: 'text/plain' }),
+      'hello-payslip.txt'
+    );
     
     const res = await fetch(`${BASE_URL}/api/jobs/submit`, {
       method: 'POST',
+      headers: AUTH_HEADERS,
       body: formData
     });
     
@@ -178,7 +190,7 @@ async function checkJobStatus(job_id) {
   console.log('────────────────────────');
   
   try {
-    const res = await fetch(`${BASE_URL}/api/jobs/${job_id}/status`);
+    const res = await fetch(`${BASE_URL}/api/jobs/${job_id}/status`, { headers: AUTH_HEADERS });
     const data = await res.json();
     
     console.log(`✅ Status retrieved: ${data.status}`);
@@ -0,0 +1,243 @@
+/**
+ * ============================================================
+ * PDF WRITER - MINIMAL PDF 1.4 DOCUMENTS
+ * ============================================================
+ * Writes text, lines and boxes on A4 pages, in-process and with
+ * no dependencies beyond zlib: outputs must not pass through an
+ * external rendering service.
+ *
+ * - Fonts are the standard Type 1 fonts every reader carries
+ *   (Helvetica, Helvetica-Bold, Courier), WinAnsi-encoded;
+ *   characters outside WinAnsi are written as '?'
+ * - Coordinates are PDF points from the bottom-left corner
+ * - The document information dictionary takes the standard keys
+ *   (Title, Subject, ...) and any custom ones
+ * ============================================================
+ */
+
+import { deflateSync } from 'zlib';
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Resource name and base font per font key
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+  mono: { resource: 'F3', baseFont: 'Courier' }
+};
+
+// Advance widths (1/1000 em) of ASCII 32-126, from the Adobe AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_WIDTH = 556;
+const COURIER_WIDTH = 600;
+
+// WinAnsi code points that differ from Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Width of a line of text
+ * @param {string} text
+ * @param {string} font - 'regular' | 'bold' | 'mono'
+ * @param {number} size - Font size in points
+ * @returns {number} Width in points
+ */
+export function textWidth(text, font, size) {
+  let units = 0;
+  for (const byte of encodeWinAnsi(text)) {
+    if (font === 'mono') units += COURIER_WIDTH;
+    else if (byte >= 32 && byte <= 126) units += (font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[byte - 32];
+    else units += DEFAULT_WIDTH;
+  }
+  return units * size / 1000;
+}
+
+/**
+ * Break text into lines no wider than maxWidth. Words longer than
+ * a line (hashes, IDs) are split between characters.
+ * @returns {Array<string>} At least one line
+ */
+export function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+      line = '';
+      for (const char of word) {
+        if (line && textWidth(line + char, font, size) > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * One page's content stream
+ */
+class PdfPage {
+  constructor() {
+    this.operations = [];
+  }
+
+  /**
+   * Draw one line of text with its baseline at y
+   * @param {Object} [options] - { font: 'regular'|'bold'|'mono', size: points }
+   */
+  text(x, y, text, { font = 'regular', size = 10 } = {}) {
+    const hex = encodeWinAnsi(text).toString('hex');
+    this.operations.push(`BT /${FONTS[font].resource} ${num(size)} Tf ${num(x)} ${num(y)} Td <${hex}> Tj ET`);
+  }
+
+  /**
+   * @param {Object} [options] - { width: points, gray: 0 (black) - 1 (white) }
+   */
+  line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+    this.operations.push(`${num(gray)} G ${num(width)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+  }
+
+  /**
+   * Rectangle from its bottom-left corner
+   * @param {Object} [options] - { fill: gray level to fill with, stroke: draw the border, lineWidth }
+   */
+  rect(x, y, width, height, { fill = null, stroke = true, lineWidth = 0.75 } = {}) {
+    const path = `${num(x)} ${num(y)} ${num(width)} ${num(height)} re`;
+    if (fill !== null) this.operations.push(`${num(fill)} g ${path} f 0 g`);
+    if (stroke) this.operations.push(`0 G ${num(lineWidth)} w ${path} S`);
+  }
+}
+
+/**
+ * PDF Writer - builds a document page by page, then serializes it
+ */
+export class PdfWriter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.info] - Document information: Title,
+   *   Subject, Keywords, Producer, ... and custom keys; Date values
+   *   are written as PDF dates
+   */
+  constructor({ info = {} } = {}) {
+    this.info = info;
+    this.pages = [];
+  }
+
+  /**
+   * @returns {PdfPage} A new A4 page, after the existing ones
+   */
+  addPage() {
+    const page = new PdfPage();
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * @returns {Buffer} The PDF file
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const fontRefs = Object.values(FONTS).map(({ resource, baseFont }) =>
+      `/${resource} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`)} 0 R`);
+
+    const pageIds = this.pages.map(page => {
+      const content = deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'));
+      const contentId = add(Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+        content,
+        Buffer.from('\nendstream')
+      ]));
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] `
+        + `/Resources << /Font << ${fontRefs.join(' ')} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = add(`<< ${Object.entries(this.info)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `/${key} ${infoString(value)}`)
+      .join(' ')} >>`);
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((body, i) => {
+      const offset = length;
+      const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), Buffer.from(body), Buffer.from('\nendobj\n')]);
+      chunks.push(chunk);
+      length += chunk.length;
+      return offset;
+    });
+
+    chunks.push(Buffer.from(
+      `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+      + offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+      + `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`
+      + `startxref\n${length}\n%%EOF\n`
+    ));
+    return Buffer.concat(chunks);
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function encodeWinAnsi(text) {
+  const bytes = [];
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char]) bytes.push(WIN_ANSI_EXTRAS[char]);
+    else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) bytes.push(code);
+    else if (code === 0xfe0f) continue; // emoji presentation selector
+    else bytes.push(0x3f); // '?'
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Information dictionary value: UTF-16BE text string, or a PDF date
+ */
+function infoString(value) {
+  if (value instanceof Date) {
+    return `(D:${value.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z)`;
+  }
+  const utf16 = Buffer.from(String(value), 'utf16le').swap16();
+  return `<FEFF${utf16.toString('hex').toUpperCase()}>`;
+}
+
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
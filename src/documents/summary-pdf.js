@@ -0,0 +1,280 @@
+/**
+ * ============================================================
+ * SUMMARY PDF - NON-DECISION SUMMARY DOCUMENT
+ * ============================================================
+ * PDF form of the transform summary, for officers to file:
+ *
+ *   title, document information, boxed disclaimer,
+ *   extracted fields table, fields requiring review,
+ *   proof reference; footer on every page
+ *
+ * The document information dictionary carries the job_id and the
+ * hash of extracted_data.json (the data the PDF renders), so a
+ * filed copy can be traced to its job and proof pack.
+ * ============================================================
+ */
+
+import { PdfWriter, A4, wrapText, textWidth } from './pdf-writer.js';
+
+const METADATA_KEY = 'extraction_metadata';
+const RAW_KEY = 'raw_extraction';
+
+// Layout, in points
+const MARGIN = 48;
+const CONTENT_WIDTH = A4.width - 2 * MARGIN;
+const BOTTOM = MARGIN + 24; // leaves room for the footer
+const LABEL_COLUMN = 110;
+const FIELD_COLUMN = 180;
+const CELL_PADDING = 4;
+const BODY = { font: 'regular', size: 9, leading: 12 };
+
+const LAYER_NOTICE = 'Generated by KuasaTurbo (Layer 0). NOT authoritative until promoted to Qontrek (Layer 1).';
+
+/**
+ * Render the summary document as a PDF
+ * @param {Object} summary
+ * @param {string} summary.title - Transform summary title
+ * @param {string} summary.disclaimer - Transform disclaimer
+ * @param {Object} summary.job - job_id, tenant_id, idempotency_key, transform_type, expires_at
+ * @param {Object} summary.extractedData - Extraction as written to extracted_data.json
+ * @param {string} summary.dataHash - Digest of extracted_data.json ("sha256:...")
+ * @param {Date} [summary.generatedAt]
+ * @returns {Buffer} PDF file
+ */
+export function renderSummaryPdf({ title, disclaimer, job, extractedData, dataHash, generatedAt = new Date() }) {
+  const pdf = new PdfWriter({
+    info: {
+      Title: title,
+      Subject: `Extracted information for job ${job.job_id} (non-decision document)`,
+      Keywords: `job_id:${job.job_id} extracted_data:${dataHash}`,
+      Creator: 'KuasaTurbo (Layer 0)',
+      Producer: 'KuasaTurbo',
+      CreationDate: generatedAt,
+      KuasaTurboJobId: job.job_id,
+      KuasaTurboDataHash: dataHash
+    }
+  });
+  const layout = new Layout(pdf);
+
+  // Title
+  for (const line of wrapText(title, 'bold', 15, CONTENT_WIDTH)) {
+    layout.write(line, { font: 'bold', size: 15, leading: 19 });
+  }
+  layout.gap(10);
+
+  layout.heading('DOCUMENT INFORMATION');
+  layout.pairs([
+    ['Generated', generatedAt.toISOString()],
+    ['Job ID', job.job_id],
+    ['Transform', job.transform_type],
+    ['Expires', new Date(job.expires_at).toISOString()]
+  ]);
+  layout.gap(10);
+
+  layout.box(disclaimerLines(disclaimer));
+  layout.gap(14);
+
+  layout.heading('EXTRACTED FIELDS');
+  layout.table(['Field', 'Value'], flattenFields(extractedData));
+  if (typeof extractedData[RAW_KEY] === 'string') {
+    layout.gap(8);
+    layout.write('The model reply could not be read as structured data. As received:', { font: 'bold', size: 9, leading: 12 });
+    for (const line of wrapText(extractedData[RAW_KEY], 'mono', 8, CONTENT_WIDTH)) {
+      layout.write(line, { font: 'mono', size: 8, leading: 10 });
+    }
+  }
+  layout.gap(14);
+
+  layout.heading('FIELDS REQUIRING REVIEW');
+  const review = reviewLines(extractedData[METADATA_KEY]);
+  if (review.length === 0) layout.write('None', BODY);
+  for (const line of review) layout.bullet(line);
+  layout.gap(14);
+
+  layout.heading('PROOF REFERENCE');
+  layout.pairs([
+    ['Job ID', job.job_id],
+    ['Tenant ID', job.tenant_id],
+    ['Idempotency Key', job.idempotency_key],
+    ['extracted_data.json', dataHash, 'mono'],
+    ['Proof pack', `GET /api/jobs/${job.job_id}/proof`]
+  ]);
+  layout.gap(6);
+  layout.write(LAYER_NOTICE, BODY);
+
+  layout.footers(`Job ${job.job_id}`);
+  return pdf.toBuffer();
+}
+
+/**
+ * Flows content down the page, starting a new page when full
+ */
+class Layout {
+  constructor(pdf) {
+    this.pdf = pdf;
+    this.newPage();
+  }
+
+  newPage() {
+    this.page = this.pdf.addPage();
+    this.y = A4.height - MARGIN;
+    this.onNewPage?.();
+  }
+
+  /**
+   * Start a new page unless height fits above the bottom margin
+   */
+  ensure(height) {
+    if (this.y - height < BOTTOM) this.newPage();
+  }
+
+  gap(height) {
+    this.y -= height;
+  }
+
+  write(text, { font, size, leading }, x = MARGIN) {
+    this.ensure(leading);
+    this.y -= leading;
+    this.page.text(x, this.y + (leading - size) / 2, text, { font, size });
+  }
+
+  heading(text) {
+    this.ensure(40); // keep a heading with its first lines
+    this.write(text, { font: 'bold', size: 11, leading: 16 });
+    this.page.line(MARGIN, this.y - 1, MARGIN + CONTENT_WIDTH, this.y - 1, { width: 0.75 });
+    this.gap(5);
+  }
+
+  /**
+   * Label / value rows; values wrap beside their label
+   */
+  pairs(rows) {
+    for (const [label, value, font = 'regular'] of rows) {
+      const lines = wrapText(value ?? '-', font, BODY.size, CONTENT_WIDTH - LABEL_COLUMN);
+      this.ensure(lines.length * BODY.leading);
+      lines.forEach((line, i) => {
+        this.y -= BODY.leading;
+        if (i === 0) this.page.text(MARGIN, this.y + 2, label, { font: 'bold', size: BODY.size });
+        this.page.text(MARGIN + LABEL_COLUMN, this.y + 2, line, { font, size: BODY.size });
+      });
+    }
+  }
+
+  /**
+   * Box around lines; the first line is its heading
+   */
+  box(lines) {
+    const height = lines.length * BODY.leading + 2 * CELL_PADDING + 4;
+    this.ensure(height);
+    const top = this.y;
+    this.page.rect(MARGIN, top - height, CONTENT_WIDTH, height, { fill: 0.95, lineWidth: 1.25 });
+    this.y -= CELL_PADDING + 2;
+    lines.forEach((line, i) => {
+      this.write(line, { ...BODY, font: i === 0 ? 'bold' : 'regular' }, MARGIN + 2 * CELL_PADDING);
+    });
+    this.y = top - height;
+  }
+
+  /**
+   * Two-column table; the header row repeats on each new page and
+   * long values continue across pages line by line
+   */
+  table(header, rows) {
+    const valueWidth = CONTENT_WIDTH - FIELD_COLUMN - 2 * CELL_PADDING;
+    const drawHeader = () => {
+      this.page.rect(MARGIN, this.y - BODY.leading - 2, CONTENT_WIDTH, BODY.leading + 2, { fill: 0.88, stroke: false });
+      this.y -= BODY.leading;
+      this.page.text(MARGIN + CELL_PADDING, this.y + 3, header[0], { font: 'bold', size: BODY.size });
+      this.page.text(MARGIN + FIELD_COLUMN + CELL_PADDING, this.y + 3, header[1], { font: 'bold', size: BODY.size });
+      this.y -= 2;
+    };
+
+    this.ensure(3 * BODY.leading);
+    drawHeader();
+    this.onNewPage = drawHeader;
+    for (const [field, value] of rows) {
+      const fieldLines = wrapText(field, 'regular', BODY.size, FIELD_COLUMN - 2 * CELL_PADDING);
+      const valueLines = wrapText(value, 'regular', BODY.size, valueWidth);
+      const count = Math.max(fieldLines.length, valueLines.length);
+      // Keep short rows together
+      if (count <= 4) this.ensure(count * BODY.leading + 3);
+      for (let i = 0; i < count; i++) {
+        this.ensure(BODY.leading);
+        this.y -= BODY.leading;
+        if (fieldLines[i]) this.page.text(MARGIN + CELL_PADDING, this.y + 3, fieldLines[i], BODY);
+        if (valueLines[i]) this.page.text(MARGIN + FIELD_COLUMN + CELL_PADDING, this.y + 3, valueLines[i], BODY);
+      }
+      this.y -= 3;
+      this.page.line(MARGIN, this.y, MARGIN + CONTENT_WIDTH, this.y, { width: 0.25, gray: 0.6 });
+    }
+    this.onNewPage = null;
+  }
+
+  bullet(text) {
+    const lines = wrapText(text, BODY.font, BODY.size, CONTENT_WIDTH - 12);
+    lines.forEach((line, i) => {
+      if (i === 0) {
+        this.ensure(BODY.leading);
+        this.page.text(MARGIN, this.y - BODY.leading + (BODY.leading - BODY.size) / 2, '•', BODY);
+      }
+      this.write(line, BODY, MARGIN + 12);
+    });
+  }
+
+  /**
+   * Layer notice and "Page i of n" on every page
+   */
+  footers(reference) {
+    const pages = this.pdf.pages;
+    pages.forEach((page, i) => {
+      const right = `${reference} - Page ${i + 1} of ${pages.length}`;
+      page.line(MARGIN, MARGIN + 12, MARGIN + CONTENT_WIDTH, MARGIN + 12, { width: 0.25, gray: 0.6 });
+      page.text(MARGIN, MARGIN, 'KuasaTurbo (Layer 0) - non-authoritative', { size: 7 });
+      page.text(MARGIN + CONTENT_WIDTH - textWidth(right, 'regular', 7), MARGIN, right, { size: 7 });
+    });
+  }
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Disclaimer as box lines: heading first, without its warning sign
+ */
+function disclaimerLines(disclaimer) {
+  const [heading, ...rest] = disclaimer.split('\n');
+  const body = rest.flatMap(line => (line.trim() ? wrapText(line, BODY.font, BODY.size, CONTENT_WIDTH - 4 * CELL_PADDING) : ['']));
+  return [heading.replace(/^[^A-Za-z0-9]+/, ''), ...body];
+}
+
+/**
+ * Extracted fields as [path, value] rows, metadata excluded
+ */
+function flattenFields(data, prefix = '') {
+  const rows = [];
+  for (const [key, value] of Object.entries(data || {})) {
+    if (!prefix && (key === METADATA_KEY || key === RAW_KEY)) continue;
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      rows.push(...flattenFields(value, fieldPath));
+    } else {
+      rows.push([fieldPath, value === null || value === undefined ? '[Not extracted]' : String(value)]);
+    }
+  }
+  return rows;
+}
+
+/**
+ * One line per review item, then any other field listed for review
+ */
+function reviewLines(metadata = {}) {
+  const items = Array.isArray(metadata.review_items) ? metadata.review_items : [];
+  const covered = new Set(items.map(item => item.field));
+  return [
+    ...items.map(item => `${item.field}: ${item.message}`),
+    ...(metadata.fields_requiring_review || [])
+      .filter(field => !covered.has(field))
+      .map(field => `${field}: not extracted or unclear`)
+  ];
+}
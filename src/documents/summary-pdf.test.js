@@ -0,0 +1,148 @@
+/**
+ * ============================================================
+ * SUMMARY PDF - TEST SUITE
+ * ============================================================
+ * Tests for the PDF writer and the summary document, read back
+ * with pdfjs as a PDF reader would
+ *
+ * Run with: node --test src/documents/summary-pdf.test.js
+ * ============================================================
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { renderSummaryPdf } from './summary-pdf.js';
+import { PdfWriter, wrapText, textWidth } from './pdf-writer.js';
+import { transformRegistry } from '../transforms/registry.js';
+
+const mortgage = transformRegistry.get('mortgage_eligibility_summary');
+const DATA_HASH = `sha256:${'ab'.repeat(32)}`;
+
+const job = {
+  job_id: 'job-pdf-1',
+  tenant_id: 'tenant-a',
+  idempotency_key: 'idem-1',
+  transform_type: 'mortgage_eligibility_summary',
+  expires_at: '2026-10-20T00:00:00.000Z'
+};
+
+const extractedData = (overrides = {}) => ({
+  personal: { name: 'AHMAD BIN ABDULLAH', ic_number: '850615-14-5123', date_of_birth: '1985-06-16' },
+  employment: { employer: 'SYARIKAT CONTOH SDN BHD', gross_salary: 6500, net_salary: null },
+  extraction_metadata: {
+    fields_requiring_review: ['personal.date_of_birth', 'employment.net_salary'],
+    review_items: [{
+      field: 'personal.date_of_birth',
+      code: 'DOB_IC_MISMATCH',
+      message: 'Date of birth 1985-06-16 differs from the IC date segment (1985-06-15)'
+    }]
+  },
+  ...overrides
+});
+
+const render = (data = extractedData()) => renderSummaryPdf({
+  title: mortgage.summary.title,
+  disclaimer: mortgage.disclaimer,
+  job,
+  extractedData: data,
+  dataHash: DATA_HASH,
+  generatedAt: new Date('2026-10-19T08:00:00.000Z')
+});
+
+/**
+ * @returns {Promise<Object>} { pages: [text per page], info }
+ */
+async function readPdf(buffer) {
+  const pdf = await getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, useSystemFonts: false, verbosity: 0 }).promise;
+  try {
+    const pages = [];
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const content = await (await pdf.getPage(i)).getTextContent();
+      pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''));
+    }
+    const { info } = await pdf.getMetadata();
+    return { pages, info };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+describe('Summary PDF - Document', () => {
+  it('should render every section of the summary', async () => {
+    const { pages } = await readPdf(render());
+    const text = pages.join('\n');
+
+    for (const expected of [
+      'ELIGIBILITY SUMMARY (Non-Decision Document)',
+      'DOCUMENT INFORMATION',
+      'DISCLAIMER',
+      'It does NOT constitute eligibility assessment.',
+      'EXTRACTED FIELDS',
+      'personal.ic_number',
+      '850615-14-5123',
+      'FIELDS REQUIRING REVIEW',
+      'PROOF REFERENCE',
+      'idem-1',
+      DATA_HASH
+    ]) {
+      assert.ok(text.includes(expected), expected);
+    }
+  });
+
+  it('should list review items with their message and other listed fields', async () => {
+    const text = (await readPdf(render())).pages.join('\n');
+
+    assert.ok(text.includes('personal.date_of_birth: Date of birth 1985-06-16 differs from the IC date segment (1985-06-15)'));
+    assert.ok(text.includes('employment.net_salary: not extracted or unclear'));
+    assert.ok(text.includes('[Not extracted]'));
+  });
+
+  it('should carry the job_id and data hash in the document information', async () => {
+    const { info } = await readPdf(render());
+
+    assert.strictEqual(info.Title, mortgage.summary.title);
+    assert.strictEqual(info.Custom.KuasaTurboJobId, 'job-pdf-1');
+    assert.strictEqual(info.Custom.KuasaTurboDataHash, DATA_HASH);
+    assert.ok(info.Keywords.includes('job_id:job-pdf-1'));
+    assert.strictEqual(info.CreationDate, 'D:20261019080000Z');
+  });
+
+  it('should continue long extractions on further pages with numbered footers', async () => {
+    const many = Object.fromEntries(Array.from({ length: 120 }, (_, i) => [`field_${i}`, `value ${i}`]));
+
+    const { pages } = await readPdf(render(extractedData({ extra: many })));
+
+    assert.ok(pages.length >= 3);
+    assert.ok(pages.every((page, i) => page.includes(`Job job-pdf-1 - Page ${i + 1} of ${pages.length}`)));
+    assert.ok(pages[1].includes('Field'), 'table header repeats');
+    assert.ok(pages.join('\n').includes('extra.field_119'));
+  });
+
+  it('should print the raw reply when the extraction was not structured', async () => {
+    const text = (await readPdf(render(extractedData({ raw_extraction: 'I cannot read these documents.' })))).pages.join('\n');
+
+    assert.ok(text.includes('I cannot read these documents.'));
+  });
+});
+
+describe('Summary PDF - Writer', () => {
+  it('should measure text with the standard font metrics', () => {
+    assert.strictEqual(textWidth('iW', 'regular', 10), (222 + 944) / 100);
+    assert.strictEqual(textWidth('iW', 'mono', 10), 12);
+  });
+
+  it('should wrap on spaces and split words longer than a line', () => {
+    assert.deepStrictEqual(wrapText('aaa bbb ccc', 'mono', 10, 42), ['aaa bbb', 'ccc']);
+    assert.deepStrictEqual(wrapText('abcdefghij', 'mono', 10, 24), ['abcd', 'efgh', 'ij']);
+  });
+
+  it('should write characters outside WinAnsi as ?', async () => {
+    const pdf = new PdfWriter();
+    pdf.addPage().text(50, 700, 'Tan – 陈');
+
+    const { pages } = await readPdf(pdf.toBuffer());
+
+    assert.strictEqual(pages[0], 'Tan – ?');
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * ============================================================
+ * IMAGE EXTRACTOR - MODEL IMAGE CONTENT BLOCKS
+ * ============================================================
+ * Turns photos (roof_photo, ic_front) and scanned PDF pages into
+ * base64 image content blocks for the model.
+ *
+ * - Media type is sniffed from the bytes, never trusted from the
+ *   file extension or the client's Content-Type
+ * - Only image/jpeg and image/png are sent
+ * - Each image must be <= MAX_IMAGE_BYTES (before base64)
+ * ============================================================
+ */
+
+import { deflateSync } from 'zlib';
+
+// ============================================================
+// CONFIGURATION
+// ============================================================
+
+const CONFIG = {
+  // 3.75MB raw ≈ 5MB once base64-encoded (the model API's per-image limit)
+  maxImageBytes: parseInt(process.env.MAX_IMAGE_BYTES || String(3.75 * 1024 * 1024)),
+  maxImagesPerJob: parseInt(process.env.MAX_IMAGES_PER_JOB || '20')
+};
+
+export const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+/**
+ * Raised when an image cannot be sent to the model
+ */
+export class ImageRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageRejectedError';
+    this.code = 'IMAGE_REJECTED';
+  }
+}
+
+/**
+ * Detect media type from magic bytes
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string|null} 'image/jpeg' | 'image/png' | null
+ */
+export function detectImageMediaType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  return null;
+}
+
+/**
+ * Validate image bytes and build a model image content block
+ * @param {Buffer} buffer - Image bytes
+ * @param {Object} options
+ * @param {string} options.label - Name used in error messages
+ * @param {number} [options.maxBytes] - Per-image limit
+ * @returns {Object} { block, media_type, size_bytes }
+ */
+export function buildImageBlock(buffer, { label, maxBytes = CONFIG.maxImageBytes }) {
+  const mediaType = detectImageMediaType(buffer);
+  if (!mediaType) {
+    throw new ImageRejectedError(`${label} is not a JPEG or PNG image`);
+  }
+  if (buffer.length > maxBytes) {
+    throw new ImageRejectedError(`${label} is ${buffer.length} bytes; the per-image limit is ${maxBytes}`);
+  }
+
+  return {
+    block: {
+      type: 'image',
+      source: { type: 'base64', media_type: mediaType, data: buffer.toString('base64') }
+    },
+    media_type: mediaType,
+    size_bytes: buffer.length
+  };
+}
+
+/**
+ * Enforce the per-job image count
+ * @param {number} count - Images about to be sent
+ */
+export function checkImageCount(count, maxImages = CONFIG.maxImagesPerJob) {
+  if (count > maxImages) {
+    throw new ImageRejectedError(`${count} images would be sent; the per-job limit is ${maxImages}`);
+  }
+}
+
+// ============================================================
+// PNG ENCODING (decoded PDF page images)
+// ============================================================
+
+// pdf.js ImageKind values
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a decoded pdf.js image ({ width, height, kind, data }) as PNG
+ * @param {Object} image - Decoded image
+ * @returns {Buffer} PNG bytes
+ */
+export function encodePng({ width, height, kind, data }) {
+  let colorType;
+  let bitDepth = 8;
+  let rowBytes;
+
+  switch (kind) {
+    case IMAGE_KIND.GRAYSCALE_1BPP:
+      colorType = 0; bitDepth = 1; rowBytes = Math.ceil(width / 8);
+      break;
+    case IMAGE_KIND.RGB_24BPP:
+      colorType = 2; rowBytes = width * 3;
+      break;
+    case IMAGE_KIND.RGBA_32BPP:
+      colorType = 6; rowBytes = width * 4;
+      break;
+    default:
+      throw new ImageRejectedError(`Unsupported decoded image kind: ${kind}`);
+  }
+
+  // Each scanline is prefixed with filter type 0 (none)
+  const raw = Buffer.alloc((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowBytes + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * rowBytes, rowBytes).copy(raw, y * (rowBytes + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+  header[10] = 0; // compression
+  header[11] = 0; // filter
+  header[12] = 0; // interlace
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+export default { buildImageBlock, detectImageMediaType, encodePng, checkImageCount };
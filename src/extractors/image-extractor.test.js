@@ -0,0 +1,87 @@
+/**
+ * ============================================================
+ * IMAGE EXTRACTOR - TEST SUITE
+ * ============================================================
+ * Tests for image media type validation, size limits and PNG
+ * encoding of decoded PDF page images
+ *
+ * Run with: node --test src/extractors/image-extractor.test.js
+ * ============================================================
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { inflateSync } from 'zlib';
+import {
+  buildImageBlock,
+  checkImageCount,
+  detectImageMediaType,
+  encodePng,
+  ImageRejectedError
+} from './image-extractor.js';
+
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+describe('Image Extractor', () => {
+  describe('Media type detection', () => {
+    it('should detect JPEG and PNG from magic bytes', () => {
+      assert.strictEqual(detectImageMediaType(JPEG), 'image/jpeg');
+      assert.strictEqual(detectImageMediaType(encodePng({ width: 1, height: 1, kind: 2, data: new Uint8Array(3) })), 'image/png');
+    });
+
+    it('should not trust content that merely claims to be an image', () => {
+      assert.strictEqual(detectImageMediaType(Buffer.from('%PDF-1.4 not an image')), null);
+    });
+  });
+
+  describe('Image blocks', () => {
+    it('should build a base64 image block', () => {
+      const { block, media_type, size_bytes } = buildImageBlock(JPEG, { label: 'roof.jpg' });
+
+      assert.strictEqual(block.type, 'image');
+      assert.strictEqual(block.source.type, 'base64');
+      assert.strictEqual(block.source.media_type, 'image/jpeg');
+      assert.strictEqual(Buffer.from(block.source.data, 'base64').equals(JPEG), true);
+      assert.strictEqual(media_type, 'image/jpeg');
+      assert.strictEqual(size_bytes, JPEG.length);
+    });
+
+    it('should REJECT unsupported media types', () => {
+      assert.throws(
+        () => buildImageBlock(Buffer.from('GIF89a....'), { label: 'roof.jpg' }),
+        (error) => error instanceof ImageRejectedError && error.code === 'IMAGE_REJECTED'
+      );
+    });
+
+    it('should REJECT images over the per-image limit', () => {
+      assert.throws(
+        () => buildImageBlock(JPEG, { label: 'roof.jpg', maxBytes: 4 }),
+        /per-image limit/
+      );
+    });
+
+    it('should REJECT too many images for one job', () => {
+      assert.doesNotThrow(() => checkImageCount(2, 2));
+      assert.throws(() => checkImageCount(3, 2), /per-job limit/);
+    });
+  });
+
+  describe('PNG encoding', () => {
+    it('should encode RGB pixels with filtered scanlines', () => {
+      const data = new Uint8Array([255, 0, 0, 0, 255, 0, 0, 0, 255, 10, 20, 30]);
+      const png = encodePng({ width: 2, height: 2, kind: 2, data });
+
+      assert.strictEqual(png.readUInt32BE(16), 2); // IHDR width
+      assert.strictEqual(png.readUInt32BE(20), 2); // IHDR height
+      assert.strictEqual(png[25], 2); // colour type RGB
+
+      const idatLength = png.readUInt32BE(33);
+      const raw = inflateSync(png.subarray(41, 41 + idatLength));
+      assert.deepStrictEqual([...raw], [0, 255, 0, 0, 0, 255, 0, 0, 0, 0, 255, 10, 20, 30]);
+    });
+
+    it('should reject unknown pixel layouts', () => {
+      assert.throws(() => encodePng({ width: 1, height: 1, kind: 9, data: new Uint8Array(1) }), ImageRejectedError);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * ============================================================
+ * PDF EXTRACTOR - TEXT LAYER EXTRACTION
+ * ============================================================
+ * Extracts the text layer from text-based PDFs (payslips, bank
+ * statements, TNB bills) page by page, so page boundaries can be
+ * preserved in the prompt.
+ *
+ * No OCR is performed. A page without a text layer that paints an
+ * image is reported as image_only (a scan); a document whose every
+ * page is image-only is reported as scanned.
+ *
+ * Both extractors take the job's abort signal and stop between
+ * pages once it fires, throwing its reason.
+ * ============================================================
+ */
+
+import { readFile } from 'fs/promises';
+import { getDocument, OPS } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// ============================================================
+// CONFIGURATION
+// ============================================================
+
+const CONFIG = {
+  maxPages: parseInt(process.env.MAX_PDF_PAGES || '50'),
+  // Fewer non-whitespace characters than this counts as "no text layer"
+  minTextChars: 20
+};
+
+const IMAGE_OPS = new Set([
+  OPS.paintImageXObject,
+  OPS.paintInlineImageXObject,
+  OPS.paintImageMaskXObject,
+  OPS.paintImageXObjectRepeat
+]);
+
+/**
+ * Raised when a PDF has more pages than MAX_PDF_PAGES
+ */
+export class PdfPageLimitError extends Error {
+  constructor(fileName, pageCount, maxPages) {
+    super(`${fileName} has ${pageCount} pages; the limit is ${maxPages}`);
+    this.name = 'PdfPageLimitError';
+    this.code = 'PDF_PAGE_LIMIT_EXCEEDED';
+  }
+}
+
+/**
+ * Raised when a file in a PDF slot cannot be opened as a PDF
+ * (corrupt, truncated, not a PDF at all, or password protected)
+ */
+export class PdfUnreadableError extends Error {
+  constructor(fileName, cause) {
+    super(`${fileName} could not be read as a PDF: ${cause.message}`);
+    this.name = 'PdfUnreadableError';
+    this.code = 'PDF_UNREADABLE';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Extract per-page text from a PDF file
+ * @param {string} filePath - Path to PDF
+ * @param {Object} options
+ * @param {string} [options.fileName] - Name used in error messages
+ * @param {number} [options.maxPages] - Page limit (MAX_PDF_PAGES)
+ * @param {AbortSignal} [options.signal] - Stops extraction between pages
+ * @returns {Promise<Object>} { page_count, pages: [{ number, text, image_only }], image_only_pages, scanned }
+ */
+export async function extractPdfText(filePath, { fileName = filePath, maxPages = CONFIG.maxPages, signal } = {}) {
+  signal?.throwIfAborted();
+  const pdf = await openPdf(filePath, fileName);
+
+  try {
+    if (pdf.numPages > maxPages) {
+      throw new PdfPageLimitError(fileName, pdf.numPages, maxPages);
+    }
+
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+      signal?.throwIfAborted();
+      const page = await pdf.getPage(number);
+      const text = textFromContent(await page.getTextContent());
+
+      let imageOnly = false;
+      if (text.replace(/\s/g, '').length < CONFIG.minTextChars) {
+        const operators = await page.getOperatorList();
+        imageOnly = operators.fnArray.some(fn => IMAGE_OPS.has(fn));
+      }
+
+      pages.push({ number, text: imageOnly ? '' : text, image_only: imageOnly });
+      page.cleanup();
+    }
+
+    const imageOnlyPages = pages.filter(p => p.image_only).map(p => p.number);
+
+    return {
+      page_count: pdf.numPages,
+      pages,
+      image_only_pages: imageOnlyPages,
+      scanned: pages.length > 0 && imageOnlyPages.length === pages.length
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Load a PDF with pdf.js. A file pdf.js cannot parse is bad input, not
+ * a substrate fault, so it is raised as PdfUnreadableError.
+ */
+async function openPdf(filePath, fileName) {
+  const data = new Uint8Array(await readFile(filePath));
+  const loadingTask = getDocument({ data, isEvalSupported: false, useSystemFonts: false, verbosity: 0 });
+  try {
+    return await loadingTask.promise;
+  } catch (error) {
+    await loadingTask.destroy().catch(() => {});
+    throw new PdfUnreadableError(fileName, error);
+  }
+}
+
+/**
+ * Rebuild page text from pdf.js text items, keeping line breaks
+ */
+function textFromContent(content) {
+  let text = '';
+  for (const item of content.items) {
+    if (typeof item.str !== 'string') continue;
+    text += item.str;
+    if (item.hasEOL) text += '\n';
+    else if (item.str && !item.str.endsWith(' ')) text += ' ';
+  }
+  return text.replace(/[ \t]+\n/g, '\n').trim();
+}
+
+/**
+ * Get the largest decoded image painted on each requested page.
+ * Used to send scanned (image-only) pages to the model as images.
+ * @param {string} filePath - Path to PDF
+ * @param {Array<number>} pageNumbers - 1-based page numbers
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Name used in error messages
+ * @param {AbortSignal} [options.signal] - Stops extraction between pages and images
+ * @returns {Promise<Array>} [{ page, image: { width, height, kind, data } }]
+ */
+export async function extractPageImages(filePath, pageNumbers, { fileName = filePath, signal } = {}) {
+  signal?.throwIfAborted();
+  const pdf = await openPdf(filePath, fileName);
+
+  try {
+    const results = [];
+    for (const number of pageNumbers) {
+      signal?.throwIfAborted();
+      const page = await pdf.getPage(number);
+      const operators = await page.getOperatorList();
+
+      let largest = null;
+      for (let i = 0; i < operators.fnArray.length; i++) {
+        if (operators.fnArray[i] !== OPS.paintImageXObject) continue;
+        const objId = operators.argsArray[i][0];
+        const store = objId.startsWith('g_') ? page.commonObjs : page.objs;
+        const image = await resolveObject(store, objId, signal);
+        if (image?.data && (!largest || image.width * image.height > largest.width * largest.height)) {
+          largest = image;
+        }
+      }
+
+      if (largest) results.push({ page: number, image: largest });
+      page.cleanup();
+    }
+    return results;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Wait for a decoded pdf.js object. store.get only calls back once the
+ * object resolves, which for a broken image may be never - the signal
+ * is the way out.
+ */
+function resolveObject(store, objId, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => reject(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    store.get(objId, (object) => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(object);
+    });
+  });
+}
+
+export default { extractPdfText, extractPageImages };
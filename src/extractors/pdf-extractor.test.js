@@ -0,0 +1,194 @@
+/**
+ * ============================================================
+ * PDF EXTRACTOR - TEST SUITE
+ * ============================================================
+ * Tests for text layer extraction, scan detection, limits and
+ * stopping on the job's abort signal
+ *
+ * Run with: node --test src/extractors/pdf-extractor.test.js
+ * ============================================================
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { extractPdfText, extractPageImages, PdfPageLimitError, PdfUnreadableError } from './pdf-extractor.js';
+
+/**
+ * Build a minimal PDF. Each page is { lines: [...] } for a text page
+ * or { image: true } for a page that only paints a 1x1 image (a "scan").
+ */
+function buildPdf(pages) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  const pageIds = pages.map(page => {
+    let stream;
+    let resources;
+    if (page.image) {
+      const imageId = add('<< /Type /XObject /Subtype /Image /Width 1 /Height 1 /ColorSpace /DeviceGray /BitsPerComponent 8 /Length 1 >>\nstream\n\u0080\nendstream');
+      stream = 'q 500 0 0 700 50 50 cm /Im1 Do Q';
+      resources = `<< /XObject << /Im1 ${imageId} 0 R >> >>`;
+    } else {
+      const escaped = page.lines.map(l => `(${l.replace(/([()\\])/g, '\\$1')}) Tj T*`).join(' ');
+      stream = `BT /F1 12 Tf 14 TL 50 750 Td ${escaped} ET`;
+      resources = `<< /Font << /F1 ${fontId} 0 R >> >>`;
+    }
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 612 792] /Resources ${resources} /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+describe('PDF Extractor', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'kt-pdf-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const writePdf = async (name, pages) => {
+    const filePath = path.join(dir, name);
+    await writeFile(filePath, buildPdf(pages));
+    return filePath;
+  };
+
+  it('should extract text from each page of a multi-page statement', async () => {
+    const filePath = await writePdf('statement.pdf', [
+      { lines: ['MAYBANK SAVINGS STATEMENT', 'Period: 01/01/2026 - 31/01/2026'] },
+      { lines: ['Closing balance RM 12,345.67', 'Average balance RM 10,000.00'] }
+    ]);
+
+    const result = await extractPdfText(filePath);
+
+    assert.strictEqual(result.page_count, 2);
+    assert.ok(result.pages[0].text.includes('MAYBANK SAVINGS STATEMENT'));
+    assert.ok(result.pages[0].text.includes('Period: 01/01/2026'));
+    assert.ok(result.pages[1].text.includes('Closing balance RM 12,345.67'));
+    assert.strictEqual(result.scanned, false);
+  });
+
+  it('should flag an image-only PDF as scanned', async () => {
+    const filePath = await writePdf('scan.pdf', [{ image: true }, { image: true }]);
+
+    const result = await extractPdfText(filePath);
+
+    assert.strictEqual(result.scanned, true);
+    assert.deepStrictEqual(result.image_only_pages, [1, 2]);
+    assert.strictEqual(result.pages[0].text, '');
+  });
+
+  it('should flag individual image-only pages in a mixed document', async () => {
+    const filePath = await writePdf('mixed.pdf', [
+      { lines: ['PAYSLIP JANUARY 2026', 'Gross salary RM 4,500.00'] },
+      { image: true }
+    ]);
+
+    const result = await extractPdfText(filePath);
+
+    assert.strictEqual(result.scanned, false);
+    assert.deepStrictEqual(result.image_only_pages, [2]);
+  });
+
+  it('should return the decoded image of scanned pages', async () => {
+    const filePath = await writePdf('scan-images.pdf', [
+      { lines: ['PAYSLIP JANUARY 2026', 'Gross salary RM 4,500.00'] },
+      { image: true }
+    ]);
+
+    const images = await extractPageImages(filePath, [2]);
+
+    assert.strictEqual(images.length, 1);
+    assert.strictEqual(images[0].page, 2);
+    assert.strictEqual(images[0].image.width, 1);
+    assert.strictEqual(images[0].image.height, 1);
+  });
+
+  it('should reject documents over the page limit', async () => {
+    const filePath = await writePdf('long.pdf', [
+      { lines: ['page one of the statement'] },
+      { lines: ['page two of the statement'] },
+      { lines: ['page three of the statement'] }
+    ]);
+
+    await assert.rejects(
+      extractPdfText(filePath, { fileName: 'long.pdf', maxPages: 2 }),
+      (error) => error instanceof PdfPageLimitError && error.code === 'PDF_PAGE_LIMIT_EXCEEDED'
+    );
+  });
+
+  it('should reject a truncated PDF as unreadable input, naming the file', async () => {
+    const filePath = path.join(dir, 'truncated.pdf');
+    const whole = buildPdf([{ lines: ['PAYSLIP JANUARY 2026'] }]);
+    await writeFile(filePath, whole.subarray(0, 40));
+
+    const unreadable = (error) => error instanceof PdfUnreadableError
+      && error.code === 'PDF_UNREADABLE'
+      && error.message.includes('payslip.pdf');
+    await assert.rejects(extractPdfText(filePath, { fileName: 'payslip.pdf' }), unreadable);
+    await assert.rejects(extractPageImages(filePath, [1], { fileName: 'payslip.pdf' }), unreadable);
+  });
+
+  it('should not start on a job that is already aborted', async () => {
+    const filePath = await writePdf('aborted.pdf', [{ image: true }]);
+    const reason = new Error('cancelled');
+
+    await assert.rejects(extractPdfText(filePath, { signal: AbortSignal.abort(reason) }), error => error === reason);
+    await assert.rejects(extractPageImages(filePath, [1], { signal: AbortSignal.abort(reason) }), error => error === reason);
+  });
+
+  it('should stop between pages once the signal aborts', async () => {
+    const filePath = await writePdf('abort-midway.pdf', [
+      { lines: ['page one of the statement'] },
+      { image: true },
+      { image: true }
+    ]);
+    const reason = new Error('timed out');
+
+    await assert.rejects(extractPdfText(filePath, { signal: abortAtCheck(3, reason) }), error => error === reason);
+    await assert.rejects(extractPageImages(filePath, [2, 3], { signal: abortAtCheck(3, reason) }), error => error === reason);
+  });
+});
+
+/**
+ * A real signal that aborts itself at its nth throwIfAborted() check,
+ * so extraction can be stopped at a known point
+ */
+function abortAtCheck(n, reason) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  const check = signal.throwIfAborted.bind(signal);
+  let checks = 0;
+  signal.throwIfAborted = () => {
+    if (++checks >= n) controller.abort(reason);
+    check();
+  };
+  return signal;
+}
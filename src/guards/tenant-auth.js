@@ -0,0 +1,163 @@
+/**
+ * ============================================================
+ * TENANT AUTH - API KEY AUTHENTICATION
+ * ============================================================
+ * Binds every job request to the tenant that owns the API key
+ * it presents (Authorization: Bearer <key>, or X-API-Key).
+ * Jobs, results and proofs of other tenants are invisible.
+ *
+ * Keys live in TENANT_KEYS_FILE as SHA-256 digests only:
+ *
+ *   { "keys": [
+ *     { "key_id": "acme-2026-02", "tenant_id": "acme",
+ *       "sha256": "<hex digest of the key>",
+ *       "expires_at": "2026-12-31T00:00:00Z",   (optional)
+ *       "revoked": false }                       (optional)
+ *   ] }
+ *
+ * Rotation:
+ *   1. Generate a key (npm run apikey -- <tenant_id>) and add its entry
+ *   2. Move the tenant's clients to the new key
+ *   3. Set "revoked": true on the old entry (or delete it)
+ * The file is re-read when it changes, so a revocation applies on
+ * the next request without a restart.
+ * ============================================================
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { readFileSync, statSync } from 'fs';
+
+export const API_KEY_PREFIX = 'kt_';
+
+/**
+ * Digest under which a key is stored in TENANT_KEYS_FILE
+ * @param {string} apiKey
+ * @returns {string} Hex SHA-256
+ */
+export function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey, 'utf8').digest('hex');
+}
+
+/**
+ * Create a new random API key
+ * @returns {string} kt_ followed by 256 random bits (base64url)
+ */
+export function generateApiKey() {
+  return API_KEY_PREFIX + randomBytes(32).toString('base64url');
+}
+
+/**
+ * Tenant Auth - resolves API keys to tenants
+ */
+export class TenantAuth {
+  /**
+   * @param {Object} options
+   * @param {string} [options.keysFile] - TENANT_KEYS_FILE
+   * @param {boolean} [options.required] - Refuse to run without a keys file
+   */
+  constructor({ keysFile, required = false } = {}) {
+    this.keysFile = keysFile;
+    this.required = required;
+    this.loaded = false;
+    this.mtimeMs = null;
+    // sha256 -> key entry
+    this.keys = new Map();
+  }
+
+  /**
+   * Without a keys file, requests are not authenticated and tenant_id
+   * is taken from the request (development only)
+   */
+  get enabled() {
+    return Boolean(this.keysFile);
+  }
+
+  /**
+   * Load keys from disk, and again whenever the file has changed.
+   * A file that fails to parse on reload leaves the previous keys in
+   * place, so a bad edit cannot lock every tenant out.
+   */
+  load() {
+    if (!this.keysFile) {
+      if (this.required) throw new Error('TENANT_KEYS_FILE is required to authenticate tenants');
+      if (!this.loaded) {
+        console.warn('[AUTH] No TENANT_KEYS_FILE configured - job endpoints are NOT authenticated.');
+      }
+      this.loaded = true;
+      return;
+    }
+
+    try {
+      const { mtimeMs } = statSync(this.keysFile);
+      if (this.loaded && mtimeMs === this.mtimeMs) return;
+      this.keys = parseKeysFile(readFileSync(this.keysFile, 'utf-8'));
+      this.mtimeMs = mtimeMs;
+      this.loaded = true;
+    } catch (error) {
+      if (!this.loaded) throw error;
+      console.error(`[AUTH] Could not reload ${this.keysFile}, keeping previous keys: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a presented API key to its tenant
+   * @param {string} [apiKey]
+   * @param {Date} [now]
+   * @returns {Object} { allowed: boolean, tenant_id?, key_id?, reason? }
+   */
+  authenticate(apiKey, now = new Date()) {
+    this.load();
+
+    if (!this.enabled) return { allowed: true, tenant_id: null, key_id: null };
+    if (!apiKey) return { allowed: false, reason: 'API key required' };
+
+    const entry = this.keys.get(hashApiKey(apiKey));
+    if (!entry) return { allowed: false, reason: 'Unknown API key' };
+    if (entry.revoked) return { allowed: false, reason: `API key ${entry.key_id} has been revoked` };
+    if (entry.expires_at && new Date(entry.expires_at) <= now) {
+      return { allowed: false, reason: `API key ${entry.key_id} expired at ${entry.expires_at}` };
+    }
+
+    return { allowed: true, tenant_id: entry.tenant_id, key_id: entry.key_id };
+  }
+}
+
+/**
+ * Parse and check a keys file
+ * @returns {Map} sha256 -> entry
+ */
+function parseKeysFile(contents) {
+  const keys = new Map();
+  const keyIds = new Set();
+
+  for (const entry of JSON.parse(contents).keys || []) {
+    if (typeof entry.key_id !== 'string' || typeof entry.tenant_id !== 'string' || !entry.tenant_id) {
+      throw new Error(`Key entry ${JSON.stringify(entry.key_id)} needs a key_id and a tenant_id`);
+    }
+    if (!/^[0-9a-f]{64}$/.test(entry.sha256 || '')) {
+      throw new Error(`Key ${entry.key_id} sha256 must be a hex SHA-256 digest`);
+    }
+    if (entry.expires_at && Number.isNaN(new Date(entry.expires_at).getTime())) {
+      throw new Error(`Key ${entry.key_id} expires_at is not a valid date`);
+    }
+    if (keyIds.has(entry.key_id)) {
+      throw new Error(`Duplicate key_id ${entry.key_id}`);
+    }
+    keyIds.add(entry.key_id);
+    keys.set(entry.sha256, {
+      key_id: entry.key_id,
+      tenant_id: entry.tenant_id,
+      expires_at: entry.expires_at || null,
+      revoked: entry.revoked === true
+    });
+  }
+
+  return keys;
+}
+
+// Export singleton configured from environment
+export const tenantAuth = new TenantAuth({
+  keysFile: process.env.TENANT_KEYS_FILE,
+  required: process.env.NODE_ENV === 'production'
+});
+export default TenantAuth;
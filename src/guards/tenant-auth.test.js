@@ -0,0 +1,119 @@
+/**
+ * ============================================================
+ * TENANT AUTH - TEST SUITE
+ * ============================================================
+ * Tests for API key resolution, revocation, expiry and reload
+ *
+ * Run with: node --test src/guards/tenant-auth.test.js
+ * ============================================================
+ */
+
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, utimesSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { TenantAuth, generateApiKey, hashApiKey, API_KEY_PREFIX } from './tenant-auth.js';
+
+const dir = mkdtempSync(path.join(tmpdir(), 'kt-auth-'));
+
+const ACME_KEY = generateApiKey();
+const ACME_NEXT_KEY = generateApiKey();
+const GLOBEX_KEY = generateApiKey();
+
+let version = 0;
+
+// Each write gets a distinct mtime so the reload is detected
+function writeKeys(file, keys) {
+  writeFileSync(file, JSON.stringify({ keys }));
+  const mtime = new Date(Date.now() + ++version * 1000);
+  utimesSync(file, mtime, mtime);
+}
+
+const entry = (key_id, tenant_id, apiKey, extra = {}) => ({ key_id, tenant_id, sha256: hashApiKey(apiKey), ...extra });
+
+describe('Tenant Auth - API Keys', () => {
+  let file;
+  let auth;
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    file = path.join(dir, `keys-${version}.json`);
+    writeKeys(file, [
+      entry('acme-1', 'acme', ACME_KEY),
+      entry('globex-1', 'globex', GLOBEX_KEY, { expires_at: '2026-06-01T00:00:00Z' })
+    ]);
+    auth = new TenantAuth({ keysFile: file });
+  });
+
+  it('should generate prefixed random keys', () => {
+    assert.ok(ACME_KEY.startsWith(API_KEY_PREFIX));
+    assert.notStrictEqual(ACME_KEY, ACME_NEXT_KEY);
+  });
+
+  it('should resolve a key to its tenant', () => {
+    assert.deepStrictEqual(auth.authenticate(ACME_KEY), { allowed: true, tenant_id: 'acme', key_id: 'acme-1' });
+  });
+
+  it('should refuse a missing or unknown key', () => {
+    assert.strictEqual(auth.authenticate(undefined).allowed, false);
+    assert.strictEqual(auth.authenticate('kt_guess').reason, 'Unknown API key');
+  });
+
+  it('should refuse a key past its expires_at', () => {
+    assert.strictEqual(auth.authenticate(GLOBEX_KEY, new Date('2026-05-31T00:00:00Z')).allowed, true);
+
+    const result = auth.authenticate(GLOBEX_KEY, new Date('2026-06-01T00:00:00Z'));
+
+    assert.strictEqual(result.allowed, false);
+    assert.match(result.reason, /globex-1 expired/);
+  });
+
+  it('should apply rotation and revocation from the file without a restart', () => {
+    auth.authenticate(ACME_KEY);
+
+    writeKeys(file, [
+      entry('acme-1', 'acme', ACME_KEY, { revoked: true }),
+      entry('acme-2', 'acme', ACME_NEXT_KEY)
+    ]);
+
+    assert.match(auth.authenticate(ACME_KEY).reason, /acme-1 has been revoked/);
+    assert.strictEqual(auth.authenticate(ACME_NEXT_KEY).key_id, 'acme-2');
+    assert.strictEqual(auth.authenticate(GLOBEX_KEY).allowed, false, 'deleted entries are gone');
+  });
+
+  it('should keep the previous keys when a reload fails to parse', () => {
+    auth.authenticate(ACME_KEY);
+
+    writeFileSync(file, '{ "keys": [');
+    utimesSync(file, new Date(Date.now() + ++version * 1000), new Date(Date.now() + version * 1000));
+
+    assert.strictEqual(auth.authenticate(ACME_KEY).allowed, true);
+  });
+
+  it('should reject a malformed keys file at first load', () => {
+    writeKeys(file, [{ key_id: 'bad', tenant_id: 'acme', sha256: 'not-a-digest' }]);
+
+    assert.throws(() => new TenantAuth({ keysFile: file }).load(), /sha256 must be a hex SHA-256 digest/);
+  });
+
+  it('should reject duplicate key ids', () => {
+    writeKeys(file, [entry('acme-1', 'acme', ACME_KEY), entry('acme-1', 'acme', ACME_NEXT_KEY)]);
+
+    assert.throws(() => new TenantAuth({ keysFile: file }).load(), /Duplicate key_id acme-1/);
+  });
+});
+
+describe('Tenant Auth - Without a Keys File', () => {
+  it('should require a keys file when configured to', () => {
+    assert.throws(() => new TenantAuth({ required: true }).load(), /TENANT_KEYS_FILE is required/);
+  });
+
+  it('should leave requests unscoped in development', () => {
+    const auth = new TenantAuth();
+
+    assert.strictEqual(auth.enabled, false);
+    assert.deepStrictEqual(auth.authenticate(undefined), { allowed: true, tenant_id: null, key_id: null });
+  });
+});
@@ -1,100 +1,1236 @@
 /**
- * KUASATURBO API - SIMPLIFIED VERSION FOR RAILWAY
+ * ============================================================
+ * KUASATURBO API - HTTP SERVER
+ * ============================================================
+ * Layer 0: Execute once, no authority, no continuity
+ *
+ * Every submission passes through:
+ *   tenant auth → S7 admission → validation → z4 execution → S7 output check
+ *   → token metrics → signed proof pack (src/proof/)
+ *
+ * Tenants with a budget (src/metrics/budgets.js) are also admitted
+ * against their remaining daily / monthly spend.
+ * ============================================================
  */
 
 import express from 'express';
 import cors from 'cors';
+import multer from 'multer';
+import { rm } from 'fs/promises';
+import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
-import Anthropic from '@anthropic-ai/sdk';
+import { s7Guard } from './guards/s7-guard.js';
+import { tenantAuth } from './guards/tenant-auth.js';
+import { validateJobRequest } from './validators/job-validator.js';
+import {
+  executeZ4Job,
+  prepareZ4Request,
+  ForbiddenLanguageError,
+  InputExtractionError,
+  InputTokenLimitError,
+  JobTimeoutError,
+  JobCancelledError
+} from './jobs/z4-executor.js';
+import { PdfPageLimitError, PdfUnreadableError } from './extractors/pdf-extractor.js';
+import { ImageRejectedError } from './extractors/image-extractor.js';
+import { tokenCounter } from './metrics/token-counter.js';
+import { BudgetLedger, loadBudgets } from './metrics/budgets.js';
+import { generateProofPack, writeProofPack, verifyOutputHashes, digest } from './proof/generator.js';
+import { proofSigner, canonicalize } from './proof/signer.js';
+import { ExpirySweeper, PURGE_REASONS } from './jobs/expiry.js';
+import { createJobStore } from './storage/job-store.js';
+import { IdempotencyRegistry, IDEMPOTENCY_OUTCOMES, fingerprintSubmission } from './jobs/idempotency.js';
+import { checkRetryEligibility, appendAttempt } from './jobs/attempts.js';
+import { JobQueue } from './jobs/queue.js';
+import { JobEvents, formatEvent } from './jobs/events.js';
+import { Notifier, loadEndpoints, NOTIFY_STATUSES } from './jobs/notifier.js';
+import { checkPromotionEligibility, buildPromotionBundle, PromotionIntegrityError } from './jobs/promotion.js';
+import { createProvider } from './providers/index.js';
+import { transformRegistry } from './transforms/registry.js';
 
 dotenv.config();
 
+// ============================================================
+// CONFIGURATION
+// ============================================================
+
+const CONFIG = {
+  port: numberSetting('PORT', 3001, { max: 65535 }),
+  host: '0.0.0.0',
+  ttlSeconds: numberSetting('OUTPUT_TTL_SECONDS', 86400, { min: 1 }),
+  inputDir: process.env.INPUT_DIR || './inputs',
+  outputDir: process.env.OUTPUT_DIR || './outputs',
+  proofDir: process.env.PROOF_DIR || './proof',
+  storageMode: process.env.STORAGE_MODE || 'memory',
+  sqlitePath: process.env.SQLITE_PATH || './data/kuasaturbo.db',
+  postgresUrl: process.env.POSTGRES_URL,
+  maxJobsInMemory: numberSetting('MAX_JOBS_IN_MEMORY', 100, { min: 1 }),
+  expirySweepIntervalMs: numberSetting('EXPIRY_SWEEP_INTERVAL_SECONDS', 60, { min: 1 }) * 1000,
+  dryRunDefault: process.env.DRY_RUN_DEFAULT === 'true',
+  jobTimeoutSeconds: numberSetting('JOB_TIMEOUT_SECONDS', 120, { min: 1 }),
+  maxRetryCount: numberSetting('MAX_RETRY_COUNT', 3),
+  jobConcurrency: numberSetting('JOB_CONCURRENCY', 4, { min: 1 }),
+  tenantConcurrency: numberSetting('TENANT_CONCURRENCY', 2, { min: 1 }),
+  jobQueueMaxLength: numberSetting('JOB_QUEUE_MAX_LENGTH', 500),
+  sseHeartbeatMs: numberSetting('SSE_HEARTBEAT_SECONDS', 15, { min: 1 }) * 1000,
+  webhooksFile: process.env.TENANT_WEBHOOKS_FILE,
+  webhookMaxAttempts: numberSetting('WEBHOOK_MAX_ATTEMPTS', 5, { min: 1 }),
+  webhookBackoffMs: numberSetting('WEBHOOK_BACKOFF_MS', 1000),
+  webhookTimeoutMs: numberSetting('WEBHOOK_TIMEOUT_MS', 5000, { min: 1 }),
+  budgetsFile: process.env.TENANT_BUDGETS_FILE,
+  budgetUtcOffsetHours: numberSetting('BUDGET_UTC_OFFSET_HOURS', 8, { integer: false, min: -12, max: 14 }),
+  maxUploadBytes: 20 * 1024 * 1024 // Per-file ceiling; per-transform totals are checked by the validator
+};
+
+/**
+ * Read a numeric setting from the environment. Anything that is not a
+ * number in range stops the boot, rather than running with NaN.
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Used when the variable is unset or empty
+ * @param {Object} [options] - { integer = true, min = 0, max = Infinity }
+ * @returns {number}
+ */
+function numberSetting(name, fallback, { integer = true, min = 0, max = Infinity } = {}) {
+  const raw = process.env[name];
+  const value = raw === undefined || raw.trim() === '' ? fallback : Number(raw);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    const range = max === Infinity ? `>= ${min}` : `from ${min} to ${max}`;
+    throw new Error(`${name} must be ${integer ? 'an integer' : 'a number'} ${range}; got "${raw}"`);
+  }
+  return value;
+}
+
+// Errors raised by the inputs themselves - answered as 400s with their own code
+const INPUT_ERRORS = [
+  InputExtractionError,
+  InputTokenLimitError,
+  PdfPageLimitError,
+  PdfUnreadableError,
+  ImageRejectedError
+];
+
 const app = express();
-const PORT = process.env.PORT || 3001;
-const HOST = '0.0.0.0';
+const jobStore = await createJobStore(CONFIG.storageMode, {
+  sqlitePath: CONFIG.sqlitePath,
+  postgresUrl: CONFIG.postgresUrl
+});
+const modelProvider = createProvider();
+const jobEvents = new JobEvents();
+const notifier = new Notifier({
+  endpoints: loadEndpoints(CONFIG.webhooksFile),
+  maxAttempts: CONFIG.webhookMaxAttempts,
+  backoffMs: CONFIG.webhookBackoffMs,
+  timeoutMs: CONFIG.webhookTimeoutMs
+});
+
+const expirySweeper = new ExpirySweeper({
+  jobStore,
+  outputDir: CONFIG.outputDir,
+  proofDir: CONFIG.proofDir,
+  ttlSeconds: CONFIG.ttlSeconds,
+  // MAX_JOBS_IN_MEMORY bounds process memory; durable backends are bounded by TTL alone
+  maxJobs: CONFIG.storageMode === 'memory' ? CONFIG.maxJobsInMemory : Infinity,
+  intervalMs: CONFIG.expirySweepIntervalMs,
+  onPurge: (tombstone) => {
+    jobEvents.publish(tombstone);
+    jobEvents.forget(tombstone.job_id);
+    notifier.forget(tombstone.job_id);
+    preparedRequests.delete(tombstone.job_id);
+  }
+});
+
+const idempotency = new IdempotencyRegistry({
+  jobStore,
+  isLive: (job) => !expirySweeper.isExpired(job)
+});
+
+const budgetLedger = new BudgetLedger({
+  jobStore,
+  budgets: loadBudgets(CONFIG.budgetsFile),
+  utcOffsetHours: CONFIG.budgetUtcOffsetHours
+});
 
-const jobStore = new Map();
+// job_id -> { controller, done } for every job currently executing
+const running = new Map();
+
+const jobQueue = new JobQueue({
+  run: (jobId) => processJob(jobId),
+  concurrency: CONFIG.jobConcurrency,
+  perTenantConcurrency: CONFIG.tenantConcurrency,
+  maxQueued: CONFIG.jobQueueMaxLength
+});
+
+// job_ids whose retry is being recorded but not yet queued
+const retrying = new Set();
+
+// job_ids whose promotion bundle is being built but not yet recorded
+const promoting = new Set();
+
+// job_id -> prepareZ4Request() result from the job's budget estimate,
+// handed to its execution so the inputs are extracted once per attempt
+const preparedRequests = new Map();
+
+const upload = multer({
+  dest: CONFIG.inputDir,
+  limits: { fileSize: CONFIG.maxUploadBytes }
+});
 
 app.use(cors());
 app.use(express.json());
 
+// ============================================================
+// ROUTES
+// ============================================================
+
 app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', layer: 0, service: 'kuasaturbo', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'healthy',
+    layer: 0,
+    service: 'kuasaturbo',
+    s7_enforced: s7Guard.getStatus().enabled,
+    tenant_auth: tenantAuth.enabled,
+    ttl_seconds: CONFIG.ttlSeconds,
+    storage_mode: CONFIG.storageMode,
+    model_provider: modelProvider.name,
+    queue: jobQueue.stats(),
+    dry_run_default: CONFIG.dryRunDefault,
+    timestamp: new Date().toISOString()
+  });
 });
 
-app.post('/api/jobs/submit', async (req, res) => {
-  const job_id = uuidv4();
-  const now = new Date();
-  const expires_at = new Date(now.getTime() + 86400000);
-  const job = { job_id, status: 'queued', created_at: now.toISOString(), expires_at: expires_at.toISOString(), ...req.body };
-  jobStore.set(job_id, job);
-  processJob(job_id);
-  res.status(202).json({ job_id, status: 'queued', expires_at: job.expires_at });
-});
+// Job and tenant endpoints act for the tenant of the API key. Runs
+// before multer, so an unauthenticated upload never reaches the disk.
+app.use(['/api/jobs', '/api/tenants'], authenticateTenant);
 
-app.get('/api/jobs/:job_id/status', (req, res) => {
-  const job = jobStore.get(req.params.job_id);
-  if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND' });
-  res.json({ job_id: job.job_id, status: job.status, progress: job.progress || 0 });
-});
+app.post('/api/jobs/submit', upload.any(), asyncHandler(async (req, res) => {
+  const submission = { ...req.body, files: req.files || [] };
+
+  // tenant_id may be omitted; if given it must name the key's tenant
+  if (req.tenantId) {
+    if (submission.tenant_id !== undefined && submission.tenant_id !== req.tenantId) {
+      await discardUploads(submission.files);
+      return res.status(403).json({
+        error: 'TENANT_MISMATCH',
+        message: 'tenant_id does not match the tenant of the API key'
+      });
+    }
+    submission.tenant_id = req.tenantId;
+  }
+
+  // S7 admission runs first: a chaining attempt is a constitutional
+  // violation regardless of whether the rest of the request is well-formed.
+  const admission = s7Guard.checkSubmission(submission);
+  if (!admission.allowed) {
+    await discardUploads(submission.files);
+    return res.status(403).json({
+      error: 'S7_VIOLATION',
+      message: admission.reason,
+      violations: admission.violation.violations
+    });
+  }
+
+  const validation = validateJobRequest(submission);
+  if (!validation.valid) {
+    await discardUploads(submission.files);
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: 'Job request failed validation',
+      errors: validation.errors
+    });
+  }
+
+  // Only endpoints registered for the tenant can be named, never a URL
+  if (submission.notify && !notifier.endpointFor(submission.tenant_id, submission.notify)) {
+    await discardUploads(submission.files);
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: 'Job request failed validation',
+      errors: [{ field: 'notify', message: `No notification endpoint "${submission.notify}" is registered for this tenant` }]
+    });
+  }
+
+  // Per-request dry_run wins; DRY_RUN_DEFAULT applies when it is absent
+  submission.dry_run = submission.dry_run === undefined
+    ? CONFIG.dryRunDefault
+    : String(submission.dry_run) === 'true';
+
+  const fingerprint = await fingerprintSubmission(submission);
+  let capacityExceeded = false;
+  let queueFull = false;
+  let budgetRefusal = null;
+
+  const { outcome, job } = await idempotency.admit({
+    tenantId: submission.tenant_id,
+    idempotencyKey: submission.idempotency_key,
+    inputFingerprint: fingerprint.input_fingerprint,
+    create: async () => {
+      if (jobQueue.isFull()) {
+        queueFull = true;
+        return null;
+      }
+      const created = createJob(submission, fingerprint);
+      budgetRefusal = await reserveBudget(created);
+      if (budgetRefusal) return null;
+      if (!(await expirySweeper.makeRoom())) {
+        budgetLedger.release(created.job_id);
+        preparedRequests.delete(created.job_id);
+        capacityExceeded = true;
+        return null;
+      }
+      await jobStore.put(created);
+      jobEvents.publish(created);
+      return created;
+    }
+  });
+
+  if (capacityExceeded) {
+    await discardUploads(submission.files);
+    return res.status(503).json({
+      error: 'CAPACITY_EXCEEDED',
+      message: `All ${CONFIG.maxJobsInMemory} job slots are in flight. Retry shortly.`
+    });
+  }
+
+  if (queueFull) {
+    await discardUploads(submission.files);
+    return res.status(503).json({
+      error: 'QUEUE_FULL',
+      message: `${CONFIG.jobQueueMaxLength} jobs are already waiting. Retry shortly.`
+    });
+  }
+
+  if (budgetRefusal) {
+    await discardUploads(submission.files);
+    return res.status(402).json(budgetRefusal);
+  }
+
+  if (outcome === IDEMPOTENCY_OUTCOMES.CONFLICT) {
+    await discardUploads(submission.files);
+    return res.status(409).json({
+      error: 'IDEMPOTENCY_CONFLICT',
+      message: 'idempotency_key was already used with different inputs',
+      idempotency_key: submission.idempotency_key,
+      job_id: job.job_id,
+      existing_input_hash: job.input_fingerprint,
+      submitted_input_hash: fingerprint.input_fingerprint
+    });
+  }
+
+  if (outcome === IDEMPOTENCY_OUTCOMES.DUPLICATE) {
+    // The original job already holds its own copy of these inputs
+    await discardUploads(submission.files);
+    return res.status(200).json({
+      job_id: job.job_id,
+      status: job.status,
+      expires_at: job.expires_at,
+      ttl_seconds: CONFIG.ttlSeconds,
+      dry_run: job.dry_run,
+      idempotent_replay: true
+    });
+  }
+
+  jobQueue.enqueue(job.job_id, job.tenant_id);
+  // A free worker slot starts the job during enqueue; it is no longer waiting
+  const queuePosition = jobQueue.position(job.job_id);
+
+  res.status(202).json({
+    job_id: job.job_id,
+    status: queuePosition === null ? 'processing' : 'queued',
+    queue_position: queuePosition,
+    expires_at: job.expires_at,
+    ttl_seconds: CONFIG.ttlSeconds,
+    dry_run: job.dry_run
+  });
+}));
+
+app.post('/api/jobs/quote', upload.any(), asyncHandler(async (req, res) => {
+  // A quote is never a job: nothing is stored, the uploads are always discarded
+  const submission = { ...req.body, files: req.files || [] };
+
+  try {
+    const validation = validateJobRequest(submission);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Quote request failed validation',
+        errors: validation.errors
+      });
+    }
+
+    const prepared = await prepareZ4Request(submission);
+    const estimate = prepared.token_estimate;
+    const metrics = tokenCounter.calculate({ token_usage: estimate });
+    res.json({
+      transform_type: submission.transform_type,
+      model: estimate.model_used,
+      estimated_tokens: {
+        tokens_in: estimate.tokens_in,
+        tokens_out_max: estimate.tokens_out,
+        total_tokens_max: estimate.total_tokens
+      },
+      max_input_tokens: prepared.max_input_tokens,
+      within_limit: estimate.tokens_in <= prepared.max_input_tokens,
+      cost: metrics.cost,
+      cost_category: metrics.efficiency.cost_category,
+      basis: estimate.basis,
+      input_documents: prepared.documents,
+      disclaimer: metrics.disclaimer
+    });
+  } catch (error) {
+    // The uploads are at fault, not the substrate
+    if (INPUT_ERRORS.some(type => error instanceof type)) {
+      return res.status(400).json({ error: error.code, message: error.message });
+    }
+    console.error('Quote failed:', error.message);
+    res.status(500).json({ error: 'QUOTE_FAILED', message: error.message });
+  } finally {
+    await discardUploads(submission.files);
+  }
+}));
+
+app.get('/api/jobs/:job_id/status', asyncHandler(async (req, res) => {
+  const job = await resolveJob(req.params.job_id, req.tenantId, res);
+  if (!job) return;
+  res.json({
+    job_id: job.job_id,
+    status: job.status,
+    dry_run: job.dry_run,
+    queue_position: job.status === 'queued' ? jobQueue.position(job.job_id) : null,
+    progress: job.progress || 0,
+    expires_at: job.expires_at,
+    time_remaining_seconds: timeRemainingSeconds(job),
+    retry_count: job.retry_count || 0,
+    attempts: job.attempts || [],
+    error: job.error,
+    promoted_at: job.promotion?.promoted_at || null
+  });
+}));
 
-app.get('/api/jobs/:job_id/result', (req, res) => {
-  const job = jobStore.get(req.params.job_id);
-  if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND' });
+app.get('/api/jobs/:job_id/events', asyncHandler(async (req, res) => {
+  const job = await resolveJob(req.params.job_id, req.tenantId, res);
+  if (!job) return;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Replay and subscribe in the same tick, so no event falls between them
+  for (const event of jobEvents.replay(job, req.get('last-event-id'))) {
+    res.write(formatEvent(event));
+  }
+  const unsubscribe = jobEvents.subscribe(job.job_id, (event) => {
+    res.write(formatEvent(event));
+    // Nothing follows expiry; a reconnect is answered 410
+    if (event.event === 'expired') res.end();
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), CONFIG.sseHeartbeatMs);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}));
+
+app.get('/api/jobs/:job_id/notifications', asyncHandler(async (req, res) => {
+  const job = await resolveJob(req.params.job_id, req.tenantId, res);
+  if (!job) return;
+  res.json({
+    job_id: job.job_id,
+    notify: job.notify || null,
+    deliveries: notifier.deliveries(job.job_id)
+  });
+}));
+
+app.get('/api/jobs/:job_id/result', asyncHandler(async (req, res) => {
+  const job = await resolveJob(req.params.job_id, req.tenantId, res);
+  if (!job) return;
   if (job.status !== 'completed') return res.status(400).json({ error: 'JOB_NOT_COMPLETED' });
-  res.json({ job_id: job.job_id, status: job.status, duration_ms: job.duration_ms, outputs: job.outputs, token_metrics: job.token_metrics, expires_at: job.expires_at });
-});
+  if (job.dry_run) {
+    return res.json({
+      job_id: job.job_id,
+      status: job.status,
+      dry_run: true,
+      duration_ms: job.duration_ms,
+      outputs: publicOutputs(job.outputs),
+      prompt: job.prompt,
+      cost_estimate: job.cost_estimate,
+      input_documents: job.input_documents,
+      expires_at: job.expires_at
+    });
+  }
+  res.json({
+    job_id: job.job_id,
+    status: job.status,
+    duration_ms: job.duration_ms,
+    outputs: publicOutputs(job.outputs),
+    extracted_data: job.extracted_data,
+    token_metrics: job.token_metrics,
+    s7_output_check: job.s7_output_check,
+    expires_at: job.expires_at
+  });
+}));
+
+app.get('/api/jobs/:job_id/outputs/:name', asyncHandler(async (req, res, next) => {
+  const job = await resolveJob(req.params.job_id, req.tenantId, res);
+  if (!job) return;
+  const output = (job.outputs || []).find(o => o.name === req.params.name);
+  if (!output) return res.status(404).json({ error: 'OUTPUT_NOT_FOUND', job_id: job.job_id });
+
+  // attachment() sets a type from the extension; the recorded one wins
+  res.attachment(output.name);
+  res.type(output.content_type);
+  res.sendFile(path.resolve(output.path), (error) => {
+    if (!error) return;
+    if (!res.headersSent && error.code === 'ENOENT') {
+      return res.status(410).json({ error: 'OUTPUT_UNAVAILABLE', job_id: job.job_id });
+    }
+    next(error);
+  });
+}));
 
-app.get('/api/jobs/:job_id/proof', (req, res) => {
-  const job = jobStore.get(req.params.job_id);
-  if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND' });
+app.get('/api/jobs/:job_id/proof', asyncHandler(async (req, res) => {
+  const job = await resolveJob(req.params.job_id, req.tenantId, res);
+  if (!job) return;
   if (!job.proof) return res.status(400).json({ error: 'PROOF_NOT_AVAILABLE' });
   res.json({ proof: job.proof, token_metrics: job.token_metrics });
+}));
+
+app.post('/api/proof/verify', authenticateIfPresented, asyncHandler(async (req, res) => {
+  // Accept either { proof: {...} } (as returned by /proof) or a bare pack
+  const proof = req.body?.proof || req.body;
+  if (!isPlainObject(proof) || typeof proof.job_id !== 'string' || !proof.job_id) {
+    return res.status(400).json({ error: 'INVALID_PROOF_PACK', message: 'Request body must contain a proof pack' });
+  }
+  for (const field of ['signature', 'integrity']) {
+    if (proof[field] !== undefined && !isPlainObject(proof[field])) {
+      return res.status(400).json({ error: 'INVALID_PROOF_PACK', message: `${field} must be an object` });
+    }
+  }
+
+  try {
+    const signature = proofSigner.verify(proof);
+    const outputHashes = await verifyOutputHashes(proof, {
+      checkFiles: await mayInspectOutputs(req.tenantId, proof.job_id)
+    });
+
+    res.json({
+      job_id: proof.job_id,
+      verified: signature.valid && outputHashes.valid,
+      signature,
+      output_hashes: outputHashes
+    });
+  } catch (error) {
+    console.error(`[PROOF] Verification error for ${proof.job_id}:`, error.message);
+    res.status(500).json({ error: 'PROOF_VERIFY_FAILED', message: error.message });
+  }
+}));
+
+app.get('/api/proof/keys', (req, res) => {
+  res.json({ keys: proofSigner.getPublicKeys() });
 });
 
-app.post('/api/jobs/:job_id/retry', (req, res) => {
-  const job = jobStore.get(req.params.job_id);
-  if (!job) return res.status(404).json({ error: 'JOB_NOT_FOUND' });
-  job.status = 'queued';
-  job.retry_count = (job.retry_count || 0) + 1;
-  processJob(job.job_id);
-  res.status(202).json({ job_id: job.job_id, status: 'queued', retry_count: job.retry_count });
+app.post('/api/jobs/:job_id/cancel', asyncHandler(async (req, res) => {
+  const job = await resolveJob(req.params.job_id, req.tenantId, res);
+  if (!job) return;
+
+  // Not started yet: take it off the queue; it never reaches the executor
+  if (jobQueue.remove(job.job_id)) {
+    budgetLedger.release(job.job_id);
+    preparedRequests.delete(job.job_id);
+    await terminateJob(job, new JobCancelledError());
+    const cancelled = await jobStore.get(job.job_id);
+    return res.json({ job_id: cancelled.job_id, status: cancelled.status, cancelled_at: cancelled.completed_at });
+  }
+
+  const execution = running.get(job.job_id);
+  if (!execution) {
+    return res.status(409).json({
+      error: 'JOB_NOT_CANCELLABLE',
+      message: `Job is ${job.status}; only queued or processing jobs can be cancelled`,
+      status: job.status
+    });
+  }
+
+  execution.controller.abort(new JobCancelledError());
+  await execution.done;
+
+  const final = await jobStore.get(job.job_id);
+  if (final.status !== 'cancelled') {
+    // The execution finished before it saw the abort
+    return res.status(409).json({
+      error: 'JOB_NOT_CANCELLABLE',
+      message: `Job ${final.status} before it could be cancelled`,
+      status: final.status
+    });
+  }
+
+  res.json({ job_id: final.job_id, status: final.status, cancelled_at: final.completed_at });
+}));
+
+app.post('/api/jobs/:job_id/retry', asyncHandler(async (req, res) => {
+  const job = await resolveJob(req.params.job_id, req.tenantId, res);
+  if (!job) return;
+
+  // The body may restate job_id / idempotency_key; it may not change them
+  const retryRequest = { ...req.body, job_id: req.body?.job_id ?? job.job_id };
+  const s7Check = s7Guard.checkRetry(job, retryRequest);
+  if (!s7Check.allowed) {
+    return res.status(403).json({ error: 'S7_VIOLATION', message: s7Check.reason });
+  }
+
+  const eligibility = checkRetryEligibility(job, CONFIG.maxRetryCount);
+  if (!eligibility.allowed || jobQueue.has(job.job_id) || retrying.has(job.job_id)) {
+    return res.status(409).json({
+      error: eligibility.code || 'JOB_NOT_RETRYABLE',
+      message: eligibility.reason || 'Job is already running',
+      status: job.status,
+      retry_count: job.retry_count || 0,
+      max_retry_count: CONFIG.maxRetryCount
+    });
+  }
+
+  // Claimed synchronously after the check, so a concurrent retry sees it
+  retrying.add(job.job_id);
+  try {
+    const budgetRefusal = await reserveBudget(job);
+    if (budgetRefusal) return res.status(402).json(budgetRefusal);
+    await updateJob(job.job_id, await retryPatch(job));
+  } finally {
+    retrying.delete(job.job_id);
+  }
+  jobQueue.enqueue(job.job_id, job.tenant_id);
+  const queuePosition = jobQueue.position(job.job_id);
+
+  res.status(202).json({
+    job_id: job.job_id,
+    status: queuePosition === null ? 'processing' : 'queued',
+    queue_position: queuePosition,
+    retry_count: (job.retry_count || 0) + 1,
+    max_retry_count: CONFIG.maxRetryCount
+  });
+}));
+
+app.post('/api/jobs/:job_id/promote', asyncHandler(async (req, res) => {
+  const job = await resolveJob(req.params.job_id, req.tenantId, res);
+  if (!job) return;
+
+  const eligibility = checkPromotionEligibility(job);
+  if (!eligibility.allowed || promoting.has(job.job_id)) {
+    return res.status(409).json({
+      error: eligibility.code || 'PROMOTION_IN_PROGRESS',
+      message: eligibility.reason || 'Job is already being promoted',
+      status: job.status,
+      promotion: job.promotion || null
+    });
+  }
+
+  // Claimed synchronously after the check, so a concurrent promotion sees it
+  promoting.add(job.job_id);
+  try {
+    const bundle = proofSigner.sign(await buildPromotionBundle(job, {
+      disclaimers: {
+        output: transformRegistry.get(job.transform_type).disclaimer,
+        token_metrics: tokenCounter.disclaimer
+      }
+    }));
+    const promotion = {
+      bundle_id: bundle.bundle_id,
+      bundle_version: bundle.bundle_version,
+      bundle_hash: digest(canonicalize(bundle)),
+      promoted_at: bundle.promoted_at
+    };
+    if (!await updateJob(job.job_id, { promotion })) {
+      return res.status(410).json({ error: 'JOB_EXPIRED', job_id: job.job_id });
+    }
+    console.log(`[PROMOTE] ${job.job_id} → ${promotion.bundle_hash}`);
+    res.json(bundle);
+  } catch (error) {
+    if (error instanceof PromotionIntegrityError) {
+      return res.status(409).json({ error: error.code, message: error.message, status: job.status });
+    }
+    res.status(500).json({ error: 'PROMOTION_FAILED', message: error.message });
+  } finally {
+    promoting.delete(job.job_id);
+  }
+}));
+
+app.get('/api/tenants/:tenant_id/usage', asyncHandler(async (req, res) => {
+  if (req.tenantId && req.params.tenant_id !== req.tenantId) {
+    return res.status(404).json({ error: 'TENANT_NOT_FOUND' });
+  }
+  res.json({
+    ...await budgetLedger.usage(req.params.tenant_id),
+    disclaimer: tokenCounter.disclaimer
+  });
+}));
+
+// Multer limit errors surface as 400s rather than generic 500s
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({ error: 'UPLOAD_ERROR', message: err.message, field: err.field });
+  }
+  next(err);
+});
+
+// Anything else - body parser rejections, or a route handler that threw - is
+// answered as JSON; a stream already under way (SSE) is left to Express to close
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json({ error: 'BAD_REQUEST', message: err.message });
+  }
+  console.error(`${req.method} ${req.path} failed:`, err.stack || err.message);
+  res.status(500).json({ error: 'INTERNAL_ERROR', message: 'Unexpected error while handling the request' });
 });
 
-async function processJob(job_id) {
-  const job = jobStore.get(job_id);
+// ============================================================
+// JOB LIFECYCLE
+// ============================================================
+
+/**
+ * Express 4 does not route a rejected handler promise to the error
+ * middleware - without this, a throwing route leaves the request hanging
+ * and the rejection unhandled.
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Resolve the request's API key to a tenant (req.tenantId), or answer 401.
+ * req.tenantId is null when TENANT_KEYS_FILE is not configured.
+ */
+function authenticateTenant(req, res, next) {
+  const auth = tenantAuth.authenticate(presentedApiKey(req));
+  if (!auth.allowed) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'UNAUTHENTICATED', message: auth.reason });
+  }
+  req.tenantId = auth.tenant_id;
+  next();
+}
+
+/**
+ * authenticateTenant for endpoints that anonymous callers may also use:
+ * without a key, req.tenantId is left undefined
+ */
+function authenticateIfPresented(req, res, next) {
+  if (!presentedApiKey(req)) return next();
+  authenticateTenant(req, res, next);
+}
+
+function presentedApiKey(req) {
+  return req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1] || req.get('x-api-key');
+}
+
+/**
+ * May this caller have a job's stored outputs re-hashed? Always with tenant
+ * auth off; otherwise only the tenant that owns the job. Anyone else gets
+ * the signature check alone, so verification cannot be used to learn which
+ * jobs exist - another tenant's job is treated like one that never did.
+ * @param {string|null|undefined} tenantId - req.tenantId
+ */
+async function mayInspectOutputs(tenantId, job_id) {
+  if (!tenantAuth.enabled) return true;
+  if (!tenantId) return false;
+  const job = await jobStore.get(job_id);
+  return job?.tenant_id === tenantId;
+}
+
+/**
+ * Look up a live job, answering 404 / 410 itself when there is none.
+ * Another tenant's job - live or expired - is answered exactly like a
+ * job that never existed. A job found past its expires_at is purged on
+ * the spot rather than served until the next sweep.
+ * @param {string} job_id
+ * @param {string|null} tenantId - Authenticated tenant; null when auth is off
+ * @returns {Promise<Object|null>} Job record, or null if a response was sent
+ */
+async function resolveJob(job_id, tenantId, res) {
+  let job = await jobStore.get(job_id);
+  if (job && tenantId && job.tenant_id !== tenantId) job = null;
+
+  let tombstone = job?.status === 'expired' ? job : null;
+
+  if (!tombstone && job && expirySweeper.isPurgeable(job)) {
+    tombstone = await expirySweeper.purge(job, PURGE_REASONS.TTL_ELAPSED);
+  }
+
+  if (tombstone) {
+    res.status(410).json({
+      error: 'JOB_EXPIRED',
+      job_id: tombstone.job_id,
+      reason: tombstone.reason,
+      expires_at: tombstone.expires_at,
+      purged_at: tombstone.purged_at
+    });
+    return null;
+  }
+
+  if (!job) {
+    res.status(404).json({ error: 'JOB_NOT_FOUND' });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Persist a change to a job, publish it to event streams and, on
+ * reaching a terminal state, notify the job's endpoint
+ * @returns {Promise<Object|null>} Updated job, or null if it no longer exists
+ */
+async function updateJob(job_id, patch) {
+  const updated = await jobStore.update(job_id, patch);
+  if (updated && jobEvents.publish(updated) && NOTIFY_STATUSES.includes(updated.status)) {
+    notifier.notify(updated);
+  }
+  return updated;
+}
+
+/**
+ * Build a job record from an admitted submission.
+ * Only known fields are copied - the raw request body is never spread
+ * into the record, so arbitrary client fields cannot ride along.
+ */
+function createJob(submission, fingerprint) {
+  const now = new Date();
+  return {
+    job_id: uuidv4(),
+    job_type: submission.job_type,
+    transform_type: submission.transform_type,
+    tenant_id: submission.tenant_id,
+    idempotency_key: submission.idempotency_key,
+    input_fingerprint: fingerprint.input_fingerprint,
+    dry_run: submission.dry_run,
+    notify: submission.notify || null,
+    files: submission.files.map(f => ({
+      fieldname: f.fieldname,
+      originalname: f.originalname,
+      mimetype: f.mimetype,
+      size: f.size,
+      path: f.path
+    })),
+    status: 'queued',
+    progress: 0,
+    governance_checks: [
+      { id: 'S7-NoContinuity-Admission', passed: true },
+      { id: 'JobValidation', passed: true }
+    ],
+    created_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + CONFIG.ttlSeconds * 1000).toISOString()
+  };
+}
+
+/**
+ * Run a job under an abort signal tripped by JOB_TIMEOUT_SECONDS or
+ * by POST /cancel. Called by the job queue when a worker slot frees;
+ * registered synchronously so a cancel always finds it.
+ * @returns {Promise} Settles when the job reaches a terminal state
+ */
+function processJob(job_id) {
+  const controller = new AbortController();
+  const timer = setTimeout(
+    () => controller.abort(new JobTimeoutError(CONFIG.jobTimeoutSeconds)),
+    CONFIG.jobTimeoutSeconds * 1000
+  );
+
+  const done = executeJob(job_id, controller.signal).finally(async () => {
+    clearTimeout(timer);
+    running.delete(job_id);
+    await settleSpend(job_id);
+  });
+  running.set(job_id, { controller, done });
+  return done;
+}
+
+async function executeJob(job_id, signal) {
+  const prepared = preparedRequests.get(job_id);
+  preparedRequests.delete(job_id);
+  const job = await updateJob(job_id, { status: 'processing', progress: 0, started_at: new Date().toISOString() });
   if (!job) return;
-  const startTime = Date.now();
-  job.status = 'processing';
-  job.progress = 10;
+
+  // Progress writes land one after another and are drained before the
+  // terminal update, so a late one never overwrites it. Progress reported
+  // once the execution has settled is dropped.
+  let progressWrites = Promise.resolve();
+  let settled = false;
+  const onProgress = (progress) => {
+    if (settled) return;
+    progressWrites = progressWrites
+      .then(() => updateJob(job_id, { progress }))
+      .catch(error => console.error(`Job ${job_id} progress update failed:`, error.message));
+  };
+  const drainProgress = () => {
+    settled = true;
+    return progressWrites;
+  };
 
   try {
-    const anthropic = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-    job.progress = 30;
-    const response = await anthropic.messages.create({
-      model: process.env.DEFAULT_MODEL || 'claude-3-haiku-20240307',
-      max_tokens: 4096,
-      system: 'You are a document extraction system. Extract and structure information. Do NOT make decisions.',
-      messages: [{ role: 'user', content: 'Extract information from this document submission.' }]
-    });
-    job.progress = 80;
-    const duration_ms = Date.now() - startTime;
-    job.status = 'completed';
-    job.completed_at = new Date().toISOString();
-    job.duration_ms = duration_ms;
-    job.progress = 100;
-    job.outputs = [{ name: 'extracted_data.json', content_type: 'application/json', content: response.content[0].text }];
-    job.token_metrics = { tokens_in: response.usage.input_tokens, tokens_out: response.usage.output_tokens, total_tokens: response.usage.input_tokens + response.usage.output_tokens, model_used: process.env.DEFAULT_MODEL || 'claude-3-haiku-20240307' };
-    job.proof = { proof_pack_id: `proof-${job_id}`, job_id, layer: '0', source: 'kuasaturbo', authoritative: false, status: 'active', timing: { created_at: job.created_at, completed_at: job.completed_at, duration_ms, expires_at: job.expires_at }, integrity: { input_hash: 'sha256:demo', output_hash: 'sha256:demo' }, governance_applied: { dry_run_enforced: false, classification_honored: 'Z', invariants_checked: [{ id: 'S1-ProofProduction', passed: true }, { id: 'S7-NoContinuity', passed: true }] }, continuity_check: { s7_compliant: true, chain_references_found: false }, expiration: { expires_at: job.expires_at, ttl_seconds: 86400, is_expired: false, can_promote: true } };
-    console.log(`Job ${job_id} completed in ${duration_ms}ms`);
+    const result = await executeZ4Job(job, {
+      provider: modelProvider,
+      dryRun: job.dry_run,
+      signal,
+      prepared,
+      onProgress
+    }).finally(drainProgress);
+
+    if (result.dry_run) {
+      signal.throwIfAborted();
+      await completeDryRun(job, result);
+      return;
+    }
+
+    const outputCheck = s7Guard.checkResult({
+      outputs: [{
+        name: 'extracted_data.json',
+        data: result.extracted_data,
+        content: JSON.stringify(result.extracted_data)
+      }]
+    });
+    if (!outputCheck.clean) {
+      console.warn(`[S7] Job ${job_id} output flagged: ${outputCheck.warnings.length} warning(s)`);
+    }
+
+    const completed = {
+      ...job,
+      completed_at: new Date().toISOString(),
+      duration_ms: result.execution_time_ms,
+      outputs: result.outputs,
+      extracted_data: result.extracted_data,
+      s7_output_check: outputCheck,
+      token_metrics: tokenCounter.calculate(result)
+    };
+    completed.attempts = appendAttempt(job, {
+      status: 'completed',
+      completedAt: completed.completed_at,
+      tokenMetrics: completed.token_metrics
+    });
+    completed.proof = proofSigner.sign(await generateProofPack(completed, {
+      result,
+      languageCheck: result.language_check,
+      schemaCheck: result.schema_check,
+      normalization: result.normalization,
+      checks: [
+        ...job.governance_checks,
+        schemaCheckEntry(result.schema_check),
+        normalizationEntry(result.normalization),
+        languageCheckEntry(result.language_check),
+        { id: 'S7-NoContinuity-Output', passed: outputCheck.clean, warnings: outputCheck.warnings },
+        { id: 'S1-ProofProduction', passed: true }
+      ]
+    }));
+    signal.throwIfAborted();
+    await writeProofPack(completed.proof);
+
+    // Only a job with a proof pack counts as completed (S1)
+    await updateJob(job_id, { ...completed, status: 'completed', progress: 100 });
+    console.log(`Job ${job_id} completed in ${completed.duration_ms}ms`);
   } catch (error) {
+    if (error instanceof JobTimeoutError || error instanceof JobCancelledError) {
+      await terminateJob(job, error);
+      return;
+    }
+
     console.error(`Job ${job_id} failed:`, error.message);
-    job.status = 'failed';
-    job.error = { code: 'EXECUTION_ERROR', message: error.message };
+    const failed = {
+      status: 'failed',
+      completed_at: new Date().toISOString(),
+      error: { code: error.code || 'EXECUTION_ERROR', message: error.message }
+    };
+
+    const blocked = error instanceof ForbiddenLanguageError;
+    if (blocked) {
+      failed.token_metrics = tokenCounter.calculate({ token_usage: error.tokenUsage });
+    }
+    failed.attempts = appendAttempt(job, {
+      status: 'failed',
+      completedAt: failed.completed_at,
+      tokenMetrics: failed.token_metrics,
+      error: failed.error
+    });
+
+    // Every execution that ends gets a proof pack, with no outputs in
+    // it (S1). A blocked output also records the tokens it consumed and
+    // the language check that stopped it.
+    try {
+      const result = { outputs: [], token_usage: blocked ? error.tokenUsage : undefined };
+      const checks = blocked
+        ? [...job.governance_checks, languageCheckEntry(error.languageCheck)]
+        : job.governance_checks;
+      failed.proof = proofSigner.sign(await generateProofPack({ ...job, ...failed }, {
+        result,
+        languageCheck: blocked ? error.languageCheck : null,
+        checks
+      }));
+      await writeProofPack(failed.proof);
+    } catch (proofError) {
+      console.error(`Job ${job_id} proof generation failed:`, proofError.message);
+    }
+
+    await updateJob(job_id, failed);
   }
 }
 
-app.listen(PORT, HOST, () => {
-  console.log(`KuasaTurbo API listening on ${HOST}:${PORT}`);
+/**
+ * Hold a job's pre-flight cost estimate against its tenant's budgets.
+ * Dry runs never call the model and cost nothing.
+ * @returns {Promise<Object|null>} 402 response body, or null if admitted
+ */
+async function reserveBudget(job) {
+  if (job.dry_run || !budgetLedger.isLimited(job.tenant_id)) return null;
+
+  const estimateMyr = await estimateCostMyr(job);
+  const admission = await budgetLedger.reserve({ tenantId: job.tenant_id, jobId: job.job_id, estimateMyr });
+  if (admission.allowed) return null;
+  preparedRequests.delete(job.job_id);
+
+  const usage = admission.usage[admission.period];
+  return {
+    error: 'BUDGET_EXCEEDED',
+    message: admission.reason,
+    tenant_id: job.tenant_id,
+    period: admission.period,
+    estimated_cost_myr: estimateMyr,
+    budget_myr: usage.budget_myr,
+    spent_myr: usage.spent_myr,
+    reserved_myr: usage.reserved_myr,
+    remaining_myr: usage.remaining_myr,
+    resets_at: usage.resets_at
+  };
+}
+
+/**
+ * Upper-bound MYR cost of a job's model call, as quoted by /api/jobs/quote.
+ * Inputs that cannot be prepared, or that exceed MAX_INPUT_TOKENS, fail
+ * during execution before the model is called, so they cost nothing.
+ * The prepared request is kept for the job's execution.
+ */
+async function estimateCostMyr(job) {
+  let prepared;
+  try {
+    prepared = await prepareZ4Request(job);
+  } catch (error) {
+    return 0;
+  }
+  preparedRequests.set(job.job_id, prepared);
+  if (prepared.token_estimate.tokens_in > prepared.max_input_tokens) return 0;
+  return tokenCounter.calculate({ token_usage: prepared.token_estimate }).cost.total_cost_myr;
+}
+
+/**
+ * Record what a finished attempt cost against its tenant's budgets.
+ * An aborted model call may still be billed by the provider, but its
+ * usage is never reported back, so timed out / cancelled attempts record nothing.
+ */
+async function settleSpend(job_id) {
+  try {
+    const job = await jobStore.get(job_id);
+    if (job) await budgetLedger.settle(job);
+    else budgetLedger.release(job_id);
+  } catch (error) {
+    budgetLedger.release(job_id);
+    console.error(`Job ${job_id} spend recording failed:`, error.message);
+  }
+}
+
+/**
+ * Reset a failed / timed_out / interrupted job for another attempt on
+ * the same job_id. Inputs are kept; stale outputs and the previous
+ * attempt's proof pack are removed - the next attempt issues a new one.
+ * An interrupted run never recorded itself, so it is added to the history here.
+ */
+async function retryPatch(previous) {
+  await rm(path.join(CONFIG.outputDir, previous.job_id), { recursive: true, force: true });
+  await rm(path.join(CONFIG.proofDir, `${previous.job_id}.json`), { force: true });
+
+  return {
+    status: 'queued',
+    progress: 0,
+    started_at: null,
+    retry_count: (previous.retry_count || 0) + 1,
+    attempts: previous.status === 'interrupted'
+      ? appendAttempt(previous, { status: 'interrupted', completedAt: previous.interrupted_at, error: previous.error })
+      : previous.attempts,
+    error: null,
+    completed_at: null,
+    duration_ms: null,
+    outputs: null,
+    token_metrics: null,
+    proof: null
+  };
+}
+
+/**
+ * End an aborted job as timed_out or cancelled: drop whatever partial
+ * outputs were written and record the termination in a proof pack (S1)
+ */
+async function terminateJob(job, reason) {
+  const status = reason instanceof JobTimeoutError ? 'timed_out' : 'cancelled';
+  console.warn(`Job ${job.job_id} ${status}: ${reason.message}`);
+
+  await rm(path.join(CONFIG.outputDir, job.job_id), { recursive: true, force: true });
+
+  const terminated = {
+    status,
+    completed_at: new Date().toISOString(),
+    error: { code: reason.code, message: reason.message }
+  };
+  terminated.attempts = appendAttempt(job, {
+    status,
+    completedAt: terminated.completed_at,
+    error: terminated.error
+  });
+
+  try {
+    terminated.proof = proofSigner.sign(await generateProofPack({ ...job, ...terminated }, {
+      result: { outputs: [] },
+      dryRun: job.dry_run,
+      termination: { status, code: reason.code, reason: reason.message, at: terminated.completed_at },
+      checks: [...job.governance_checks, { id: 'S1-ProofProduction', passed: true }]
+    }));
+    await writeProofPack(terminated.proof);
+  } catch (proofError) {
+    console.error(`Job ${job.job_id} proof generation failed:`, proofError.message);
+  }
+
+  await updateJob(job.job_id, terminated);
+}
+
+/**
+ * Record a run that the restart cut short in a proof pack (S1). It is
+ * terminal until retried; its inputs are still held, its outputs are not.
+ */
+async function proveInterrupted(job) {
+  try {
+    const proof = proofSigner.sign(await generateProofPack(job, {
+      result: { outputs: [] },
+      dryRun: job.dry_run,
+      termination: { status: 'interrupted', code: job.error.code, reason: job.error.message, at: job.interrupted_at },
+      checks: [...(job.governance_checks || []), { id: 'S1-ProofProduction', passed: true }]
+    }));
+    await writeProofPack(proof);
+    return (await jobStore.update(job.job_id, { proof })) || job;
+  } catch (proofError) {
+    console.error(`Job ${job.job_id} proof generation failed:`, proofError.message);
+    return job;
+  }
+}
+
+/**
+ * Record a dry run: the prompt that would have been sent, its cost
+ * estimate and a proof pack with dry_run_enforced: true
+ */
+async function completeDryRun(job, result) {
+  const costEstimate = tokenCounter.calculate({ token_usage: result.token_estimate });
+  const completed = {
+    ...job,
+    completed_at: new Date().toISOString(),
+    duration_ms: result.execution_time_ms,
+    outputs: result.outputs,
+    prompt: result.prompt,
+    input_documents: result.input_documents,
+    cost_estimate: { ...costEstimate, estimated: true, basis: result.token_estimate.basis }
+  };
+  completed.attempts = appendAttempt(job, { status: 'completed', completedAt: completed.completed_at });
+  completed.proof = proofSigner.sign(await generateProofPack(completed, {
+    result,
+    dryRun: true,
+    checks: [
+      ...job.governance_checks,
+      { id: 'DryRun-NoModelCall', passed: true },
+      { id: 'S1-ProofProduction', passed: true }
+    ]
+  }));
+  await writeProofPack(completed.proof);
+
+  await updateJob(job.job_id, { ...completed, status: 'completed', progress: 100 });
+  console.log(`Job ${job.job_id} dry run completed in ${completed.duration_ms}ms`);
+}
+
+/**
+ * Governance check entry for the forbidden language check
+ */
+function languageCheckEntry(languageCheck) {
+  return {
+    id: 'Z4-ForbiddenLanguage',
+    passed: languageCheck.matches.length === 0,
+    mode: languageCheck.mode,
+    action: languageCheck.action,
+    match_count: languageCheck.matches.length
+  };
+}
+
+/**
+ * Governance check entry for the output schema check
+ */
+function schemaCheckEntry(schemaCheck) {
+  return {
+    id: 'Z4-OutputSchema',
+    passed: schemaCheck.valid,
+    issue_count: schemaCheck.issues.length,
+    fields_requiring_review: schemaCheck.fields_requiring_review.length
+  };
+}
+
+/**
+ * Governance check entry for field normalization. Review items are
+ * for an officer to look at; they never fail the check.
+ */
+function normalizationEntry(normalization) {
+  return {
+    id: 'Z4-FieldNormalization',
+    passed: true,
+    normalized: normalization.normalized.length,
+    review_items: normalization.review_items.length
+  };
+}
+
+/**
+ * Remove uploads that did not become part of a job
+ */
+async function discardUploads(files) {
+  for (const file of files) {
+    await rm(file.path, { force: true });
+  }
+}
+
+/**
+ * Output records as clients see them: without the server-side file path
+ */
+function publicOutputs(outputs) {
+  return outputs && outputs.map(({ path: _path, ...output }) => output);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function timeRemainingSeconds(job) {
+  return Math.max(0, Math.floor((new Date(job.expires_at).getTime() - Date.now()) / 1000));
+}
+
+// Fail fast on a missing or malformed signing key or keys file rather than on the first request
+proofSigner.load();
+tenantAuth.load();
+
+// Work that was in flight when the process died will never finish (S7: no
+// resumption) - record it as interrupted so clients can see it and retry.
+const interrupted = await jobStore.markInterrupted(['queued', 'processing'], {
+  error: { code: 'INTERRUPTED', message: 'Substrate restarted while the job was in flight' },
+  interrupted_at: new Date().toISOString()
+});
+if (interrupted.length > 0) {
+  console.warn(`[STORAGE] Marked ${interrupted.length} in-flight job(s) as interrupted`);
+  for (const job_id of interrupted) notifier.notify(await proveInterrupted(await jobStore.get(job_id)));
+}
+
+expirySweeper.start();
+
+const server = app.listen(CONFIG.port, CONFIG.host, () => {
+  console.log(`KuasaTurbo API listening on ${CONFIG.host}:${server.address().port}`);
 });
@@ -0,0 +1,336 @@
+/**
+ * ============================================================
+ * API - TEST SUITE
+ * ============================================================
+ * Drives the server over HTTP: a job from submission to result,
+ * the status reported for queued and started submissions, who may
+ * have stored outputs re-hashed by proof verification,
+ * proof packs for failed jobs, settings that stop the boot, and the
+ * JSON answers for missing jobs, bad bodies and handlers that fail
+ *
+ * Run with: node --test src/index.test.js
+ * ============================================================
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ENTRY = fileURLToPath(new URL('./index.js', import.meta.url));
+const STARTUP_TIMEOUT_MS = 15000;
+
+/**
+ * Start the API on an ephemeral port with the mock provider
+ * @param {Object} [env] - Extra environment
+ * @returns {Promise<Object>} { url, child, dir }
+ */
+async function startServer(env = {}) {
+  const dir = mkdtempSync(path.join(tmpdir(), 'kt-api-'));
+  const { TENANT_KEYS_FILE, TENANT_BUDGETS_FILE, TENANT_WEBHOOKS_FILE, ...inherited } = process.env;
+  const child = spawn(process.execPath, [ENTRY], {
+    env: {
+      ...inherited,
+      PORT: '0',
+      MODEL_PROVIDER: 'mock',
+      STORAGE_MODE: 'memory',
+      INPUT_DIR: path.join(dir, 'inputs'),
+      OUTPUT_DIR: path.join(dir, 'outputs'),
+      PROOF_DIR: path.join(dir, 'proof'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  const listening = new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    const onData = (chunk) => {
+      output += chunk;
+      const match = output.match(/listening on [^:\s]+:(\d+)/);
+      if (match) {
+        clearTimeout(timer);
+        resolve(Number(match[1]));
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  let port;
+  try {
+    port = await listening;
+  } catch (error) {
+    await stopServer({ child, dir });
+    throw error;
+  }
+  return { url: `http://127.0.0.1:${port}`, child, dir };
+}
+
+async function stopServer({ child, dir }) {
+  if (child.exitCode === null) {
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    child.kill();
+    await exited;
+  }
+  rmSync(dir, { recursive: true, force: true });
+}
+
+async function submitJob(url, { idempotencyKey, payslip = 'Name: AHMAD BIN ABDULLAH\nGross: RM 6,500.00', headers }) {
+  const form = new FormData();
+  form.append('job_type', 'z4_format_transform');
+  form.append('transform_type', 'mortgage_eligibility_summary');
+  form.append('tenant_id', 'acme');
+  form.append('idempotency_key', idempotencyKey);
+  form.append('dry_run', 'false');
+  form.append('payslip', new Blob([payslip], { type: 'text/plain' }), 'payslip.txt');
+
+  const res = await fetch(`${url}/api/jobs/submit`, { method: 'POST', body: form, headers });
+  assert.strictEqual(res.status, 202);
+  return res.json();
+}
+
+async function waitForStatus(url, jobId, statuses, { headers, timeoutMs = 10000 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const status = await (await fetch(`${url}/api/jobs/${jobId}/status`, { headers })).json();
+    if (statuses.includes(status.status)) return status;
+    if (Date.now() > deadline) throw new Error(`Job ${jobId} still ${status.status}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+describe('API - Jobs over HTTP', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => stopServer(server));
+
+  it('should take a job from submission to its result', async () => {
+    const { job_id: jobId } = await submitJob(server.url, { idempotencyKey: 'api-test-1' });
+
+    const status = await waitForStatus(server.url, jobId, ['completed', 'failed']);
+    assert.strictEqual(status.status, 'completed');
+
+    const result = await (await fetch(`${server.url}/api/jobs/${jobId}/result`)).json();
+    assert.strictEqual(result.job_id, jobId);
+    assert.ok(result.outputs.some(output => output.name === 'extracted_data.json'));
+    assert.ok(result.outputs.every(output => output.path === undefined), 'server paths are not exposed');
+
+    const pdf = await fetch(`${server.url}/api/jobs/${jobId}/outputs/eligibility_summary.pdf`);
+    assert.strictEqual(pdf.status, 200);
+    assert.strictEqual(pdf.headers.get('content-type'), 'application/pdf');
+    assert.strictEqual(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+
+    const json = await fetch(`${server.url}/api/jobs/${jobId}/outputs/extracted_data.json`);
+    assert.ok(json.headers.get('content-type').startsWith('application/json'));
+    assert.deepStrictEqual(await json.json(), result.extracted_data);
+
+    const unknown = await fetch(`${server.url}/api/jobs/${jobId}/outputs/..%2F..%2Fpackage.json`);
+    assert.strictEqual(unknown.status, 404);
+    assert.strictEqual((await unknown.json()).error, 'OUTPUT_NOT_FOUND');
+  });
+
+  it('should answer a quote for an unreadable PDF with 400 and its code', async () => {
+    const form = new FormData();
+    form.append('job_type', 'z4_format_transform');
+    form.append('transform_type', 'mortgage_eligibility_summary');
+    form.append('payslip', new Blob(['%PDF-1.4\nnot really a pdf'], { type: 'application/pdf' }), 'payslip.pdf');
+
+    const res = await fetch(`${server.url}/api/jobs/quote`, { method: 'POST', body: form });
+
+    assert.strictEqual(res.status, 400);
+    const body = await res.json();
+    assert.strictEqual(body.error, 'PDF_UNREADABLE');
+    assert.ok(body.message.includes('payslip.pdf'));
+  });
+
+  it('should answer 404 JSON for an unknown job', async () => {
+    const res = await fetch(`${server.url}/api/jobs/no-such-job/status`);
+
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual((await res.json()).error, 'JOB_NOT_FOUND');
+  });
+
+  it('should answer 400 JSON for a body that is not JSON', async () => {
+    const res = await fetch(`${server.url}/api/proof/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"job_id":'
+    });
+
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).error, 'BAD_REQUEST');
+  });
+});
+
+describe('API - Proof verification with tenant auth', () => {
+  const keys = { acme: 'kt_test-acme-key', other: 'kt_test-other-key' };
+  const bearer = (tenant) => ({ Authorization: `Bearer ${keys[tenant]}` });
+  let keysDir;
+  let server;
+
+  const verify = async (proof, headers = {}) => {
+    const res = await fetch(`${server.url}/api/proof/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({ proof })
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  before(async () => {
+    keysDir = mkdtempSync(path.join(tmpdir(), 'kt-api-keys-'));
+    const keysFile = path.join(keysDir, 'keys.json');
+    writeFileSync(keysFile, JSON.stringify({
+      keys: Object.entries(keys).map(([tenant, key]) => ({
+        key_id: `${tenant}-test`,
+        tenant_id: tenant,
+        sha256: createHash('sha256').update(key).digest('hex')
+      }))
+    }));
+    server = await startServer({ TENANT_KEYS_FILE: keysFile });
+  });
+
+  after(async () => {
+    await stopServer(server);
+    rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  it('should re-hash stored outputs only for the tenant that owns the job', async () => {
+    const { job_id: jobId } = await submitJob(server.url, { idempotencyKey: 'api-verify-1', headers: bearer('acme') });
+    await waitForStatus(server.url, jobId, ['completed'], { headers: bearer('acme') });
+    const { proof } = await (await fetch(`${server.url}/api/jobs/${jobId}/proof`, { headers: bearer('acme') })).json();
+
+    const owner = await verify(proof, bearer('acme'));
+    assert.strictEqual(owner.body.verified, true);
+    assert.strictEqual(owner.body.output_hashes.files_checked, true);
+    assert.ok(owner.body.output_hashes.files.every(file => file.status === 'match'));
+
+    for (const headers of [{}, bearer('other')]) {
+      const outsider = await verify(proof, headers);
+      assert.strictEqual(outsider.status, 200);
+      assert.strictEqual(outsider.body.signature.valid, true);
+      assert.strictEqual(outsider.body.output_hashes.files_checked, false);
+      assert.deepStrictEqual(outsider.body.output_hashes.files, []);
+    }
+
+    // A job that does not exist is answered the same way
+    const unknown = await verify({ ...proof, job_id: 'no-such-job' });
+    assert.strictEqual(unknown.body.output_hashes.files_checked, false);
+    assert.deepStrictEqual(unknown.body.output_hashes.files, []);
+  });
+
+  it('should refuse a key that is presented but unknown', async () => {
+    const res = await verify({ job_id: 'any-job' }, { 'X-API-Key': 'kt_not-a-key' });
+
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.error, 'UNAUTHENTICATED');
+  });
+});
+
+describe('API - Queueing', () => {
+  let server;
+
+  before(async () => {
+    // One slot per tenant, held long enough for a second job to wait
+    server = await startServer({ MOCK_PROVIDER_LATENCY_MS: '500', TENANT_CONCURRENCY: '1' });
+  });
+
+  after(() => stopServer(server));
+
+  it('should report a job taken by a free slot as processing, and the next as queued', async () => {
+    const first = await submitJob(server.url, { idempotencyKey: 'api-queue-1' });
+    const second = await submitJob(server.url, { idempotencyKey: 'api-queue-2', payslip: 'Gross: RM 7,000.00' });
+
+    assert.strictEqual(first.status, 'processing');
+    assert.strictEqual(first.queue_position, null);
+    assert.strictEqual(second.status, 'queued');
+    assert.strictEqual(second.queue_position, 1);
+
+    await waitForStatus(server.url, second.job_id, ['completed']);
+  });
+});
+
+describe('API - Proof packs for failed jobs', () => {
+  let server;
+
+  before(async () => {
+    // Slow enough that a retried job is still queued or running when checked
+    server = await startServer({ MOCK_PROVIDER_LATENCY_MS: '500' });
+  });
+
+  after(() => stopServer(server));
+
+  it('should issue a proof for a first failure and withdraw it on retry', async () => {
+    const { job_id: jobId } = await submitJob(server.url, {
+      idempotencyKey: 'api-fail-1',
+      payslip: 'Payslip [[mock:fail=invalid_request]]'
+    });
+    await waitForStatus(server.url, jobId, ['failed']);
+
+    const first = await (await fetch(`${server.url}/api/jobs/${jobId}/proof`)).json();
+    assert.strictEqual(first.proof.execution.attempts.length, 1);
+    assert.strictEqual(first.proof.execution.attempts[0].status, 'failed');
+
+    const retried = await fetch(`${server.url}/api/jobs/${jobId}/retry`, { method: 'POST' });
+    assert.strictEqual(retried.status, 202);
+    const pending = await fetch(`${server.url}/api/jobs/${jobId}/proof`);
+    assert.strictEqual(pending.status, 400);
+    assert.strictEqual((await pending.json()).error, 'PROOF_NOT_AVAILABLE');
+
+    await waitForStatus(server.url, jobId, ['failed']);
+    const second = await (await fetch(`${server.url}/api/jobs/${jobId}/proof`)).json();
+    assert.strictEqual(second.proof.execution.attempts.length, 2);
+  });
+});
+
+describe('API - Configuration', () => {
+  it('should refuse to boot on a numeric setting that is not a number', async () => {
+    await assert.rejects(startServer({ JOB_CONCURRENCY: 'four' }), /JOB_CONCURRENCY must be an integer >= 1; got "four"/);
+    await assert.rejects(startServer({ BUDGET_UTC_OFFSET_HOURS: 'not-a-number' }), /BUDGET_UTC_OFFSET_HOURS must be a number from -12 to 14/);
+  });
+});
+
+describe('API - Handler errors', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => stopServer(server));
+
+  it('should answer 500 JSON when a handler fails, and keep serving', async () => {
+    const { job_id: jobId } = await submitJob(server.url, { idempotencyKey: 'api-error-1' });
+    await waitForStatus(server.url, jobId, ['completed']);
+
+    // A directory where the output file should be cannot be sent
+    const outputPath = path.join(server.dir, 'outputs', jobId, 'extracted_data.json');
+    rmSync(outputPath);
+    mkdirSync(outputPath);
+
+    const res = await fetch(`${server.url}/api/jobs/${jobId}/outputs/extracted_data.json`);
+
+    assert.strictEqual(res.status, 500);
+    assert.deepStrictEqual(await res.json(), {
+      error: 'INTERNAL_ERROR',
+      message: 'Unexpected error while handling the request'
+    });
+
+    const health = await fetch(`${server.url}/health`);
+    assert.strictEqual(health.status, 200);
+    assert.strictEqual(server.child.exitCode, null);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * ============================================================
+ * ATTEMPTS - RETRY ELIGIBILITY AND ATTEMPT HISTORY
+ * ============================================================
+ * A retry re-runs the SAME job: same job_id, same inputs, same
+ * idempotency_key (S7 - checked by S7Guard.checkRetry). It never
+ * creates a new job.
+ *
+ * Every run of a job is one attempt. job.attempts is append-only
+ * and is copied into the job's single proof pack, so the proof for
+ * a job_id always carries the full history of how it was produced.
+ *
+ * Retryable:  failed | timed_out | interrupted
+ * Cap:        MAX_RETRY_COUNT retries (attempts = retries + 1)
+ * ============================================================
+ */
+
+export const RETRYABLE_STATUSES = ['failed', 'timed_out', 'interrupted'];
+
+/**
+ * Check whether a job may be retried now
+ * @param {Object} job - Job record
+ * @param {number} maxRetryCount - MAX_RETRY_COUNT
+ * @returns {Object} { allowed: boolean, code?: string, reason?: string }
+ */
+export function checkRetryEligibility(job, maxRetryCount) {
+  if (!RETRYABLE_STATUSES.includes(job.status)) {
+    return {
+      allowed: false,
+      code: 'JOB_NOT_RETRYABLE',
+      reason: `Job is ${job.status}; only ${RETRYABLE_STATUSES.join(', ')} jobs can be retried`
+    };
+  }
+
+  const retries = job.retry_count || 0;
+  if (retries >= maxRetryCount) {
+    return {
+      allowed: false,
+      code: 'RETRY_LIMIT_EXCEEDED',
+      reason: `Job has been retried ${retries} time(s); MAX_RETRY_COUNT is ${maxRetryCount}`
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Append the record of a finished attempt to a job's history
+ * @param {Object} job - Job record (attempts, started_at)
+ * @param {Object} outcome
+ * @param {string} outcome.status - completed | failed | timed_out | cancelled | interrupted
+ * @param {string} outcome.completedAt - ISO timestamp
+ * @param {Object} [outcome.tokenMetrics] - TokenCounter metrics, when the model was called
+ * @param {Object} [outcome.error] - { code, message }
+ * @returns {Array} New attempts array (the job record is not modified)
+ */
+export function appendAttempt(job, { status, completedAt, tokenMetrics = null, error = null }) {
+  const attempts = job.attempts || [];
+  const startedAt = job.started_at || null;
+
+  return [...attempts, {
+    attempt: attempts.length + 1,
+    status,
+    started_at: startedAt,
+    completed_at: completedAt,
+    duration_ms: startedAt ? new Date(completedAt).getTime() - new Date(startedAt).getTime() : null,
+    token_usage: tokenMetrics
+      ? {
+        tokens_in: tokenMetrics.tokens_in,
+        tokens_out: tokenMetrics.tokens_out,
+        total_tokens: tokenMetrics.total_tokens,
+        model_used: tokenMetrics.model_used,
+        total_cost_myr: tokenMetrics.cost.total_cost_myr
+      }
+      : null,
+    error
+  }];
+}
+
+export default { checkRetryEligibility, appendAttempt, RETRYABLE_STATUSES };
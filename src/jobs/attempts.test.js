@@ -0,0 +1,100 @@
+/**
+ * ============================================================
+ * ATTEMPTS - TEST SUITE
+ * ============================================================
+ * Tests for retry eligibility and per-job attempt history
+ *
+ * Run with: node --test src/jobs/attempts.test.js
+ * ============================================================
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { checkRetryEligibility, appendAttempt, RETRYABLE_STATUSES } from './attempts.js';
+
+describe('Attempts - Retry Eligibility', () => {
+  it('should allow retry from failed, timed_out and interrupted', () => {
+    for (const status of RETRYABLE_STATUSES) {
+      assert.strictEqual(checkRetryEligibility({ status }, 3).allowed, true, status);
+    }
+  });
+
+  it('should refuse retry from any other status', () => {
+    for (const status of ['queued', 'processing', 'completed', 'cancelled', 'expired']) {
+      const result = checkRetryEligibility({ status }, 3);
+
+      assert.strictEqual(result.allowed, false, status);
+      assert.strictEqual(result.code, 'JOB_NOT_RETRYABLE');
+    }
+  });
+
+  it('should refuse retry once MAX_RETRY_COUNT retries have been made', () => {
+    assert.strictEqual(checkRetryEligibility({ status: 'failed', retry_count: 2 }, 3).allowed, true);
+
+    const result = checkRetryEligibility({ status: 'failed', retry_count: 3 }, 3);
+
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.code, 'RETRY_LIMIT_EXCEEDED');
+  });
+});
+
+describe('Attempts - History', () => {
+  const metrics = {
+    tokens_in: 1200,
+    tokens_out: 300,
+    total_tokens: 1500,
+    model_used: 'claude-3-haiku-20240307',
+    cost: { total_cost_myr: 0.0032 }
+  };
+
+  it('should record timing, token usage and error for each attempt', () => {
+    const job = { started_at: '2026-01-18T00:00:00.000Z' };
+
+    const attempts = appendAttempt(job, {
+      status: 'failed',
+      completedAt: '2026-01-18T00:00:02.500Z',
+      tokenMetrics: metrics,
+      error: { code: 'FORBIDDEN_LANGUAGE', message: 'blocked' }
+    });
+
+    assert.deepStrictEqual(attempts, [{
+      attempt: 1,
+      status: 'failed',
+      started_at: '2026-01-18T00:00:00.000Z',
+      completed_at: '2026-01-18T00:00:02.500Z',
+      duration_ms: 2500,
+      token_usage: {
+        tokens_in: 1200,
+        tokens_out: 300,
+        total_tokens: 1500,
+        model_used: 'claude-3-haiku-20240307',
+        total_cost_myr: 0.0032
+      },
+      error: { code: 'FORBIDDEN_LANGUAGE', message: 'blocked' }
+    }]);
+  });
+
+  it('should append without modifying earlier attempts or the job', () => {
+    const first = appendAttempt({ started_at: '2026-01-18T00:00:00.000Z' }, {
+      status: 'timed_out',
+      completedAt: '2026-01-18T00:02:00.000Z',
+      error: { code: 'JOB_TIMEOUT', message: 'timeout' }
+    });
+    const job = { started_at: '2026-01-18T00:05:00.000Z', attempts: first };
+
+    const attempts = appendAttempt(job, { status: 'completed', completedAt: '2026-01-18T00:05:01.000Z', tokenMetrics: metrics });
+
+    assert.strictEqual(job.attempts.length, 1);
+    assert.deepStrictEqual(attempts.map(a => [a.attempt, a.status, a.duration_ms]), [
+      [1, 'timed_out', 120000],
+      [2, 'completed', 1000]
+    ]);
+    assert.strictEqual(attempts[0].token_usage, null);
+  });
+
+  it('should leave duration unknown when the attempt start was never recorded', () => {
+    const attempts = appendAttempt({}, { status: 'interrupted', completedAt: '2026-01-18T00:00:00.000Z' });
+
+    assert.strictEqual(attempts[0].duration_ms, null);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * ============================================================
+ * JOB EVENTS - STATE TRANSITIONS FOR STREAMING
+ * ============================================================
+ * Every change of a job's status or progress is published as an
+ * event, for GET /api/jobs/:job_id/events (Server-Sent Events):
+ *
+ *   id:    sequence number, increasing across all jobs
+ *   event: the job status (queued, processing, completed, ...)
+ *   data:  { job_id, status, progress, retry_count, error, at }
+ *
+ * The last HISTORY_LIMIT events of each job are kept so a client
+ * reconnecting with Last-Event-ID is sent what it missed. When that
+ * id is no longer held (trimmed, or the process restarted), the
+ * client is sent the job's current state instead.
+ *
+ * In-memory only. Ids start from the boot time in milliseconds, so
+ * they keep increasing across a restart.
+ * ============================================================
+ */
+
+import { EventEmitter } from 'events';
+
+const HISTORY_LIMIT = 50;
+
+/**
+ * Job Events - per-job event history and live subscriptions
+ */
+export class JobEvents {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.historyLimit] - Events kept per job for resume
+   */
+  constructor({ historyLimit = HISTORY_LIMIT } = {}) {
+    this.historyLimit = historyLimit;
+    this.sequence = Date.now();
+    // job_id -> events, oldest first
+    this.history = new Map();
+    this.emitter = new EventEmitter();
+    // One listener per open stream
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Publish a job's state if its status or progress changed
+   * @param {Object} job - Job record or tombstone
+   * @returns {Object|null} The event, or null if nothing changed
+   */
+  publish(job) {
+    const events = this.history.get(job.job_id) || [];
+    const last = events[events.length - 1];
+    const progress = job.progress ?? null;
+    if (last && last.data.status === job.status && last.data.progress === progress) return null;
+
+    const event = {
+      id: String(++this.sequence),
+      event: job.status,
+      data: {
+        job_id: job.job_id,
+        status: job.status,
+        progress,
+        retry_count: job.retry_count || 0,
+        error: job.error || null,
+        at: new Date().toISOString()
+      }
+    };
+
+    events.push(event);
+    if (events.length > this.historyLimit) events.shift();
+    this.history.set(job.job_id, events);
+    this.emitter.emit(job.job_id, event);
+    return event;
+  }
+
+  /**
+   * Events a client has not seen yet
+   * @param {Object} job - Current job record (used when no history is held)
+   * @param {string} [lastEventId] - Last-Event-ID from a reconnecting client
+   * @returns {Array} Events after lastEventId, or just the current state
+   */
+  replay(job, lastEventId) {
+    if (!this.history.has(job.job_id)) this.publish(job);
+    const events = this.history.get(job.job_id);
+
+    const index = lastEventId ? events.findIndex(e => e.id === String(lastEventId)) : -1;
+    if (index === -1) return [events[events.length - 1]];
+    return events.slice(index + 1);
+  }
+
+  /**
+   * Receive every event published for a job from now on
+   * @param {string} jobId
+   * @param {Function} listener - (event) => void
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(jobId, listener) {
+    this.emitter.on(jobId, listener);
+    return () => this.emitter.off(jobId, listener);
+  }
+
+  /**
+   * Drop a job's history (after its final event)
+   */
+  forget(jobId) {
+    this.history.delete(jobId);
+  }
+}
+
+/**
+ * Serialize an event in text/event-stream format
+ * @param {Object} event - { id, event, data }
+ * @returns {string}
+ */
+export function formatEvent({ id, event, data }) {
+  return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+export default JobEvents;
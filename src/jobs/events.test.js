@@ -0,0 +1,118 @@
+/**
+ * ============================================================
+ * JOB EVENTS - TEST SUITE
+ * ============================================================
+ * Tests for state transition events, Last-Event-ID replay and
+ * the text/event-stream format
+ *
+ * Run with: node --test src/jobs/events.test.js
+ * ============================================================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { JobEvents, formatEvent } from './events.js';
+
+const job = (status, progress = 0, extra = {}) => ({ job_id: 'job-1', status, progress, ...extra });
+
+describe('Job Events - Publishing', () => {
+  let events;
+
+  beforeEach(() => {
+    events = new JobEvents({ historyLimit: 3 });
+  });
+
+  it('should publish status and progress changes with increasing ids', () => {
+    const queued = events.publish(job('queued'));
+    const started = events.publish(job('processing', 0));
+    const progressed = events.publish(job('processing', 30));
+
+    assert.deepStrictEqual([queued.event, started.event, progressed.event], ['queued', 'processing', 'processing']);
+    assert.strictEqual(progressed.data.progress, 30);
+    assert.ok(Number(started.id) > Number(queued.id));
+    assert.ok(Number(progressed.id) > Number(started.id));
+  });
+
+  it('should not publish an update that changes neither status nor progress', () => {
+    events.publish(job('processing', 30));
+
+    assert.strictEqual(events.publish(job('processing', 30)), null);
+  });
+
+  it('should deliver events to subscribers of that job only', () => {
+    const received = [];
+    const unsubscribe = events.subscribe('job-1', (event) => received.push(event.event));
+
+    events.publish(job('processing'));
+    events.publish({ job_id: 'job-2', status: 'queued' });
+    unsubscribe();
+    events.publish(job('completed', 100));
+
+    assert.deepStrictEqual(received, ['processing']);
+  });
+
+  it('should carry the error of a failed job', () => {
+    const event = events.publish(job('failed', 30, { error: { code: 'JOB_TIMEOUT', message: 'timeout' } }));
+
+    assert.strictEqual(event.data.error.code, 'JOB_TIMEOUT');
+  });
+});
+
+describe('Job Events - Resume', () => {
+  let events;
+
+  beforeEach(() => {
+    events = new JobEvents({ historyLimit: 3 });
+  });
+
+  it('should replay only the events after Last-Event-ID', () => {
+    const first = events.publish(job('queued'));
+    events.publish(job('processing', 10));
+    events.publish(job('processing', 30));
+
+    const missed = events.replay(job('processing', 30), first.id);
+
+    assert.deepStrictEqual(missed.map(e => e.data.progress), [10, 30]);
+  });
+
+  it('should send the current state to a new client', () => {
+    events.publish(job('queued'));
+    events.publish(job('processing', 70));
+
+    const replayed = events.replay(job('processing', 70));
+
+    assert.strictEqual(replayed.length, 1);
+    assert.strictEqual(replayed[0].data.progress, 70);
+  });
+
+  it('should send the current state when Last-Event-ID is no longer held', () => {
+    const first = events.publish(job('queued'));
+    for (const progress of [10, 30, 70]) events.publish(job('processing', progress));
+
+    const replayed = events.replay(job('processing', 70), first.id);
+
+    assert.deepStrictEqual(replayed.map(e => e.data.progress), [70]);
+  });
+
+  it('should build the current state from the job record when no history is held', () => {
+    const replayed = events.replay(job('completed', 100), '12345');
+
+    assert.strictEqual(replayed.length, 1);
+    assert.strictEqual(replayed[0].event, 'completed');
+  });
+
+  it('should start over after forget', () => {
+    events.publish(job('completed', 100));
+    events.forget('job-1');
+
+    assert.deepStrictEqual(events.replay(job('completed', 100)).map(e => e.event), ['completed']);
+  });
+});
+
+describe('Job Events - Format', () => {
+  it('should serialize as text/event-stream', () => {
+    const text = formatEvent({ id: '7', event: 'processing', data: { job_id: 'job-1', progress: 30 } });
+
+    assert.strictEqual(text, 'id: 7\nevent: processing\ndata: {"job_id":"job-1","progress":30}\n\n');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * ============================================================
+ * EXPIRY SWEEPER - 24H TTL ENFORCEMENT
+ * ============================================================
+ * Per PHASE_1_ALPHA_EXECUTION_TIMELINE v1.2: outputs live for
+ * OUTPUT_TTL_SECONDS and are then destroyed.
+ *
+ * On purge the sweeper deletes:
+ * - the job record
+ * - OUTPUT_DIR/<job_id>/ (all generated outputs)
+ * - PROOF_DIR/<job_id>.json (persisted proof pack)
+ * - the uploaded input files
+ *
+ * and replaces the record in the job store with a content-free
+ * tombstone (ids + timestamps only) so status/result/proof calls
+ * answer 410 JOB_EXPIRED instead of 404. Tombstones are
+ * themselves dropped one TTL after purge.
+ *
+ * Capacity (MAX_JOBS_IN_MEMORY) eviction order:
+ *   1. Jobs already past expires_at
+ *   2. Terminal jobs (completed / failed / timed_out / cancelled /
+ *      interrupted), oldest created_at first
+ *   3. In-flight jobs (queued / processing) are NEVER evicted -
+ *      if nothing else can go, the new submission is refused
+ * ============================================================
+ */
+
+import { rm } from 'fs/promises';
+import path from 'path';
+
+const IN_FLIGHT_STATUSES = ['queued', 'processing'];
+
+export const PURGE_REASONS = {
+  TTL_ELAPSED: 'ttl_elapsed',
+  CAPACITY_EVICTION: 'capacity_eviction'
+};
+
+/**
+ * Expiry Sweeper - purges expired jobs on an interval
+ */
+export class ExpirySweeper {
+  /**
+   * @param {Object} options
+   * @param {Object} options.jobStore - Job store (see storage/job-store.js)
+   * @param {string} options.outputDir - Root of per-job output directories
+   * @param {string} options.proofDir - Directory of persisted proof packs
+   * @param {number} options.ttlSeconds - Output TTL (also tombstone retention)
+   * @param {number} options.maxJobs - MAX_JOBS_IN_MEMORY
+   * @param {number} options.intervalMs - Sweep interval
+   * @param {Function} [options.onPurge] - (tombstone) => void, after each purge
+   */
+  constructor({ jobStore, outputDir, proofDir, ttlSeconds, maxJobs, intervalMs = 60000, onPurge = () => {} }) {
+    this.jobStore = jobStore;
+    this.outputDir = outputDir;
+    this.proofDir = proofDir;
+    this.ttlSeconds = ttlSeconds;
+    this.maxJobs = maxJobs;
+    this.intervalMs = intervalMs;
+    this.onPurge = onPurge;
+    this.timer = null;
+  }
+
+  /**
+   * Start periodic sweeping. The timer does not keep the process alive.
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('[EXPIRY] Sweep failed:', error.message));
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Has the job passed its expires_at?
+   */
+  isExpired(job, now = Date.now()) {
+    return new Date(job.expires_at).getTime() <= now;
+  }
+
+  /**
+   * Is the job expired and safe to purge now?
+   * A job still running past expiry is purged once it finishes.
+   */
+  isPurgeable(job, now = Date.now()) {
+    return this.isExpired(job, now) && !IN_FLIGHT_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Purge every expired, non-in-flight job and drop stale tombstones
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} { purged: number, tombstones_dropped: number }
+   */
+  async sweep(now = Date.now()) {
+    let purged = 0;
+    for (const job of await this.jobStore.list()) {
+      if (this.isPurgeable(job, now)) {
+        await this.purge(job, PURGE_REASONS.TTL_ELAPSED);
+        purged++;
+      }
+    }
+
+    const dropped = await this.jobStore.dropTombstonesBefore(
+      new Date(now - this.ttlSeconds * 1000).toISOString()
+    );
+
+    if (purged > 0) console.log(`[EXPIRY] Purged ${purged} expired job(s)`);
+    return { purged, tombstones_dropped: dropped };
+  }
+
+  /**
+   * Delete a job's outputs, proof and inputs; replace its record with a tombstone
+   * @param {Object} job - Job record
+   * @param {string} reason - One of PURGE_REASONS
+   * @returns {Promise<Object>} Tombstone
+   */
+  async purge(job, reason) {
+    await rm(path.join(this.outputDir, job.job_id), { recursive: true, force: true });
+    await rm(path.join(this.proofDir, `${job.job_id}.json`), { force: true });
+    for (const file of job.files || []) {
+      if (file.path) await rm(file.path, { force: true });
+    }
+
+    const tombstone = {
+      job_id: job.job_id,
+      tenant_id: job.tenant_id,
+      status: 'expired',
+      reason,
+      expires_at: job.expires_at,
+      purged_at: new Date().toISOString()
+    };
+    await this.jobStore.expire(job.job_id, tombstone);
+    this.onPurge(tombstone);
+    return tombstone;
+  }
+
+  /**
+   * Make room for one more job under MAX_JOBS_IN_MEMORY
+   * (eviction order documented in the header)
+   * @returns {Promise<boolean>} false if every held job is in flight
+   */
+  async makeRoom(now = Date.now()) {
+    while (await this.jobStore.count() >= this.maxJobs) {
+      const candidates = (await this.jobStore.list())
+        .filter(job => !IN_FLIGHT_STATUSES.includes(job.status));
+      if (candidates.length === 0) return false;
+
+      const expired = candidates.find(job => this.isExpired(job, now));
+      if (expired) {
+        await this.purge(expired, PURGE_REASONS.TTL_ELAPSED);
+        continue;
+      }
+
+      candidates.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      console.warn(`[EXPIRY] MAX_JOBS_IN_MEMORY reached - evicting ${candidates[0].job_id}`);
+      await this.purge(candidates[0], PURGE_REASONS.CAPACITY_EVICTION);
+    }
+    return true;
+  }
+}
+
+export default ExpirySweeper;
@@ -0,0 +1,165 @@
+/**
+ * ============================================================
+ * EXPIRY SWEEPER - TEST SUITE
+ * ============================================================
+ * Tests for 24h TTL enforcement, purge and capacity eviction
+ *
+ * Run with: node --test src/jobs/expiry.test.js
+ * ============================================================
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, rm, access } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ExpirySweeper, PURGE_REASONS } from './expiry.js';
+import { MemoryJobStore } from '../storage/memory-store.js';
+
+async function exists(p) {
+  try {
+    await access(p);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+describe('Expiry Sweeper - TTL Enforcement', () => {
+  let dir;
+  let jobStore;
+  let sweeper;
+
+  const makeJob = async (job_id, { status = 'completed', expiresInMs = 60000, createdAt = Date.now() } = {}) => {
+    const inputPath = path.join(dir, 'inputs', job_id);
+    await writeFile(inputPath, 'INPUT');
+    await mkdir(path.join(dir, 'outputs', job_id), { recursive: true });
+    await writeFile(path.join(dir, 'outputs', job_id, 'extracted_data.json'), '{}');
+    await writeFile(path.join(dir, 'proof', `${job_id}.json`), '{}');
+
+    const job = {
+      job_id,
+      tenant_id: 'test-tenant',
+      status,
+      created_at: new Date(createdAt).toISOString(),
+      expires_at: new Date(Date.now() + expiresInMs).toISOString(),
+      files: [{ fieldname: 'payslip', path: inputPath }],
+      extracted_data: { personal: { ic_number: '900101-14-5555' } }
+    };
+    await jobStore.put(job);
+    return job;
+  };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'kt-expiry-'));
+    await mkdir(path.join(dir, 'inputs'));
+    await mkdir(path.join(dir, 'outputs'));
+    await mkdir(path.join(dir, 'proof'));
+    jobStore = new MemoryJobStore();
+    sweeper = new ExpirySweeper({
+      jobStore,
+      outputDir: path.join(dir, 'outputs'),
+      proofDir: path.join(dir, 'proof'),
+      ttlSeconds: 86400,
+      maxJobs: 2
+    });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should purge expired jobs with their outputs, proof and inputs', async () => {
+    await makeJob('job-old', { expiresInMs: -1000 });
+
+    const { purged } = await sweeper.sweep();
+
+    assert.strictEqual(purged, 1);
+    assert.strictEqual((await jobStore.get('job-old')).status, 'expired');
+    assert.strictEqual(await exists(path.join(dir, 'outputs', 'job-old')), false);
+    assert.strictEqual(await exists(path.join(dir, 'proof', 'job-old.json')), false);
+    assert.strictEqual(await exists(path.join(dir, 'inputs', 'job-old')), false);
+  });
+
+  it('should leave live jobs untouched', async () => {
+    await makeJob('job-live');
+
+    const { purged } = await sweeper.sweep();
+
+    assert.strictEqual(purged, 0);
+    assert.strictEqual((await jobStore.get('job-live')).status, 'completed');
+    assert.strictEqual(await exists(path.join(dir, 'outputs', 'job-live')), true);
+  });
+
+  it('should leave a content-free tombstone with the purge timestamp', async () => {
+    await makeJob('job-old', { expiresInMs: -1000 });
+    await sweeper.sweep();
+
+    const tombstone = await jobStore.get('job-old');
+
+    assert.strictEqual(tombstone.status, 'expired');
+    assert.strictEqual(tombstone.reason, PURGE_REASONS.TTL_ELAPSED);
+    assert.ok(tombstone.purged_at);
+    assert.deepStrictEqual(
+      Object.keys(tombstone).sort(),
+      ['expires_at', 'job_id', 'purged_at', 'reason', 'status', 'tenant_id']
+    );
+  });
+
+  it('should report each purge to onPurge', async () => {
+    const purged = [];
+    sweeper.onPurge = (tombstone) => purged.push(tombstone);
+    await makeJob('job-old', { expiresInMs: -1000 });
+
+    await sweeper.sweep();
+
+    assert.deepStrictEqual(purged.map(t => [t.job_id, t.status]), [['job-old', 'expired']]);
+  });
+
+  it('should not purge an expired job that is still processing', async () => {
+    await makeJob('job-running', { status: 'processing', expiresInMs: -1000 });
+
+    await sweeper.sweep();
+
+    assert.strictEqual((await jobStore.get('job-running')).status, 'processing');
+  });
+
+  it('should drop tombstones one TTL after purge', async () => {
+    await makeJob('job-old', { expiresInMs: -1000 });
+    await sweeper.sweep();
+
+    await sweeper.sweep(Date.now() + 86400 * 1000 + 1);
+
+    assert.strictEqual(await jobStore.get('job-old'), null);
+  });
+
+  describe('MAX_JOBS_IN_MEMORY eviction order', () => {
+    it('should evict expired jobs before live ones', async () => {
+      await makeJob('job-expired', { expiresInMs: -1000, createdAt: Date.now() });
+      await makeJob('job-older-live', { createdAt: Date.now() - 5000 });
+
+      assert.strictEqual(await sweeper.makeRoom(), true);
+
+      assert.strictEqual((await jobStore.get('job-expired')).status, 'expired');
+      assert.strictEqual((await jobStore.get('job-older-live')).status, 'completed');
+    });
+
+    it('should evict the oldest terminal job next', async () => {
+      await makeJob('job-newer', { createdAt: Date.now() });
+      await makeJob('job-oldest', { status: 'failed', createdAt: Date.now() - 5000 });
+
+      assert.strictEqual(await sweeper.makeRoom(), true);
+
+      assert.strictEqual((await jobStore.get('job-oldest')).reason, PURGE_REASONS.CAPACITY_EVICTION);
+      assert.strictEqual((await jobStore.get('job-newer')).status, 'completed');
+    });
+
+    it('should never evict in-flight jobs', async () => {
+      await makeJob('job-q', { status: 'queued' });
+      await makeJob('job-p', { status: 'processing' });
+
+      assert.strictEqual(await sweeper.makeRoom(), false);
+      assert.strictEqual(await jobStore.count(), 2);
+    });
+  });
+});
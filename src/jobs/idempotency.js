@@ -0,0 +1,112 @@
+/**
+ * ============================================================
+ * IDEMPOTENCY - SUBMISSION DEDUPLICATION
+ * ============================================================
+ * (tenant_id, idempotency_key) names exactly one job for as long
+ * as that job is live (within its TTL):
+ *
+ * - same key, same inputs      → the original job (no new model call)
+ * - same key, different inputs → conflict (client bug or key reuse)
+ * - key whose job has expired  → a new job may be created
+ *
+ * "Same inputs" is decided by an input fingerprint: a digest over
+ * job_type, transform_type, the dry run flag and the per-slot digest
+ * of every upload.
+ *
+ * This is deduplication of a single request, not continuity (S7):
+ * the original job is returned as-is, nothing is derived from it.
+ * ============================================================
+ */
+
+import { canonicalize } from '../proof/signer.js';
+import { digest, hashFile } from '../proof/generator.js';
+
+export const IDEMPOTENCY_OUTCOMES = {
+  CREATED: 'created',
+  DUPLICATE: 'duplicate',
+  CONFLICT: 'conflict'
+};
+
+/**
+ * Fingerprint a submission's inputs
+ * @param {Object} submission - { job_type, transform_type, dry_run, files }
+ * @returns {Promise<Object>} { input_fingerprint, input_digests: [{ slot, digest }] }
+ */
+export async function fingerprintSubmission(submission) {
+  const inputDigests = [];
+  for (const file of submission.files || []) {
+    inputDigests.push({ slot: file.fieldname, digest: await hashFile(file.path) });
+  }
+  inputDigests.sort((a, b) => (a.slot + a.digest).localeCompare(b.slot + b.digest));
+
+  return {
+    input_fingerprint: digest(canonicalize({
+      job_type: submission.job_type,
+      transform_type: submission.transform_type,
+      dry_run: submission.dry_run === true,
+      inputs: inputDigests
+    })),
+    input_digests: inputDigests
+  };
+}
+
+/**
+ * Idempotency Registry - admits submissions against existing jobs
+ */
+export class IdempotencyRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} options.jobStore - Job store (see storage/job-store.js)
+   * @param {Function} options.isLive - (job) => boolean, false once past TTL
+   */
+  constructor({ jobStore, isLive }) {
+    this.jobStore = jobStore;
+    this.isLive = isLive;
+    // "tenant\0key" -> tail of the admission chain for that key
+    this.locks = new Map();
+  }
+
+  /**
+   * Admit a submission, creating a job only if its key is unused
+   * @param {Object} params
+   * @param {string} params.tenantId
+   * @param {string} [params.idempotencyKey] - No deduplication when absent
+   * @param {string} params.inputFingerprint
+   * @param {Function} params.create - async () => job; called at most once
+   * @returns {Promise<Object>} { outcome, job }
+   */
+  async admit({ tenantId, idempotencyKey, inputFingerprint, create }) {
+    if (!idempotencyKey) {
+      return { outcome: IDEMPOTENCY_OUTCOMES.CREATED, job: await create() };
+    }
+
+    // Serialize admissions per key so two concurrent identical
+    // submissions cannot both miss the lookup and both create a job
+    const lockKey = `${tenantId}\u0000${idempotencyKey}`;
+    const previous = this.locks.get(lockKey) || Promise.resolve();
+    const current = previous.then(() => this.admitLocked({ tenantId, idempotencyKey, inputFingerprint, create }));
+    const tail = current.catch(() => {});
+    this.locks.set(lockKey, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(lockKey) === tail) this.locks.delete(lockKey);
+    }
+  }
+
+  async admitLocked({ tenantId, idempotencyKey, inputFingerprint, create }) {
+    const existing = await this.jobStore.findByIdempotencyKey(tenantId, idempotencyKey);
+
+    if (existing && this.isLive(existing)) {
+      const outcome = existing.input_fingerprint === inputFingerprint
+        ? IDEMPOTENCY_OUTCOMES.DUPLICATE
+        : IDEMPOTENCY_OUTCOMES.CONFLICT;
+      return { outcome, job: existing };
+    }
+
+    return { outcome: IDEMPOTENCY_OUTCOMES.CREATED, job: await create() };
+  }
+}
+
+export default IdempotencyRegistry;
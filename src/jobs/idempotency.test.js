@@ -0,0 +1,142 @@
+/**
+ * ============================================================
+ * IDEMPOTENCY - TEST SUITE
+ * ============================================================
+ * Tests that (tenant_id, idempotency_key) maps to one live job
+ *
+ * Run with: node --test src/jobs/idempotency.test.js
+ * ============================================================
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { IdempotencyRegistry, IDEMPOTENCY_OUTCOMES, fingerprintSubmission } from './idempotency.js';
+import { MemoryJobStore } from '../storage/memory-store.js';
+
+describe('Idempotency - Submission Deduplication', () => {
+  let dir;
+  let jobStore;
+  let registry;
+  let created;
+
+  const submissionWith = (slot, file) => ({
+    job_type: 'z4_format_transform',
+    transform_type: 'mortgage_eligibility_summary',
+    files: [{ fieldname: slot, path: path.join(dir, file) }]
+  });
+
+  const admit = async (tenantId, idempotencyKey, submission) => {
+    const { input_fingerprint } = await fingerprintSubmission(submission);
+    return registry.admit({
+      tenantId,
+      idempotencyKey,
+      inputFingerprint: input_fingerprint,
+      create: async () => {
+        created++;
+        const job = {
+          job_id: `job-${created}`,
+          tenant_id: tenantId,
+          idempotency_key: idempotencyKey,
+          input_fingerprint,
+          status: 'queued',
+          created_at: new Date().toISOString(),
+          expires_at: new Date(Date.now() + 86400000).toISOString()
+        };
+        await jobStore.put(job);
+        return job;
+      }
+    });
+  };
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'kt-idem-'));
+    await writeFile(path.join(dir, 'payslip-a'), 'PAYSLIP A');
+    await writeFile(path.join(dir, 'payslip-a-copy'), 'PAYSLIP A');
+    await writeFile(path.join(dir, 'payslip-b'), 'PAYSLIP B');
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jobStore = new MemoryJobStore();
+    registry = new IdempotencyRegistry({
+      jobStore,
+      isLive: (job) => new Date(job.expires_at).getTime() > Date.now()
+    });
+    created = 0;
+  });
+
+  it('should return the original job for an identical resubmission', async () => {
+    const first = await admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a'));
+    // Same bytes re-uploaded to a different temp path
+    const second = await admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a-copy'));
+
+    assert.strictEqual(first.outcome, IDEMPOTENCY_OUTCOMES.CREATED);
+    assert.strictEqual(second.outcome, IDEMPOTENCY_OUTCOMES.DUPLICATE);
+    assert.strictEqual(second.job.job_id, first.job.job_id);
+    assert.strictEqual(created, 1);
+  });
+
+  it('should report a conflict when the key is reused with different inputs', async () => {
+    await admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a'));
+    const second = await admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-b'));
+
+    assert.strictEqual(second.outcome, IDEMPOTENCY_OUTCOMES.CONFLICT);
+    assert.strictEqual(created, 1);
+  });
+
+  it('should treat the same file in a different slot as different inputs', async () => {
+    await admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a'));
+    const second = await admit('tenant-a', 'key-1', submissionWith('bank_statement', 'payslip-a'));
+
+    assert.strictEqual(second.outcome, IDEMPOTENCY_OUTCOMES.CONFLICT);
+  });
+
+  it('should treat a dry run and a real run of the same inputs as different', async () => {
+    await admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a'));
+    const second = await admit('tenant-a', 'key-1', { ...submissionWith('payslip', 'payslip-a'), dry_run: true });
+
+    assert.strictEqual(second.outcome, IDEMPOTENCY_OUTCOMES.CONFLICT);
+  });
+
+  it('should scope keys per tenant', async () => {
+    await admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a'));
+    const other = await admit('tenant-b', 'key-1', submissionWith('payslip', 'payslip-a'));
+
+    assert.strictEqual(other.outcome, IDEMPOTENCY_OUTCOMES.CREATED);
+    assert.strictEqual(created, 2);
+  });
+
+  it('should create a new job once the original has expired', async () => {
+    const first = await admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a'));
+    await jobStore.update(first.job.job_id, { expires_at: new Date(Date.now() - 1000).toISOString() });
+
+    const second = await admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a'));
+
+    assert.strictEqual(second.outcome, IDEMPOTENCY_OUTCOMES.CREATED);
+    assert.notStrictEqual(second.job.job_id, first.job.job_id);
+  });
+
+  it('should not deduplicate submissions without a key', async () => {
+    await admit('tenant-a', undefined, submissionWith('payslip', 'payslip-a'));
+    await admit('tenant-a', undefined, submissionWith('payslip', 'payslip-a'));
+
+    assert.strictEqual(created, 2);
+  });
+
+  it('should create only one job for concurrent identical submissions', async () => {
+    const results = await Promise.all([
+      admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a')),
+      admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a')),
+      admit('tenant-a', 'key-1', submissionWith('payslip', 'payslip-a'))
+    ]);
+
+    assert.strictEqual(created, 1);
+    assert.strictEqual(new Set(results.map(r => r.job.job_id)).size, 1);
+  });
+});
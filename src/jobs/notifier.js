@@ -0,0 +1,246 @@
+/**
+ * ============================================================
+ * NOTIFIER - SIGNED JOB COMPLETION NOTICES
+ * ============================================================
+ * Tells Layer 1 (Qontrek) that a job reached a terminal state,
+ * so it does not have to poll.
+ *
+ * - Endpoints are registered per tenant in TENANT_WEBHOOKS_FILE;
+ *   a job names one with the `notify` field, never a URL
+ * - The notice is content-free: ids, status, proof hash and
+ *   timestamps. No outputs, no extracted data, no error text.
+ * - Body signed with HMAC-SHA256 over "<timestamp>.<body>" using
+ *   the endpoint's secret (X-KuasaTurbo-Signature: t=..,v1=..)
+ * - Delivery is retried with exponential backoff; every try is
+ *   recorded in a per-job delivery log
+ *
+ * A notice is output-only (S7): the response is discarded,
+ * redirects are not followed, and nothing the receiver sends can
+ * start or alter a job. Notices for one job are delivered in
+ * order. Pending deliveries and the log are in memory and do not
+ * survive a restart.
+ * ============================================================
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+import { setTimeout as sleep } from 'timers/promises';
+import { canonicalize } from '../proof/signer.js';
+import { digest } from '../proof/generator.js';
+
+export const NOTIFY_STATUSES = ['completed', 'failed', 'timed_out', 'cancelled', 'interrupted'];
+
+export const SIGNATURE_HEADER = 'X-KuasaTurbo-Signature';
+
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+/**
+ * Load notification endpoints from a JSON file:
+ *   { "tenants": { "<tenant_id>": {
+ *       "<name>": { "url": "https://...", "secret": "..." } } } }
+ * @param {string} [file] - TENANT_WEBHOOKS_FILE; no endpoints when unset
+ * @returns {Object} tenant_id -> name -> { url, secret }
+ */
+export function loadEndpoints(file) {
+  if (!file) return {};
+
+  const endpoints = {};
+  for (const [tenantId, named] of Object.entries(JSON.parse(readFileSync(file, 'utf-8')).tenants || {})) {
+    endpoints[tenantId] = {};
+    for (const [name, endpoint] of Object.entries(named)) {
+      const url = new URL(endpoint.url);
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new Error(`Webhook ${tenantId}/${name} must use http or https`);
+      }
+      if (typeof endpoint.secret !== 'string' || endpoint.secret.length < 16) {
+        throw new Error(`Webhook ${tenantId}/${name} needs a secret of at least 16 characters`);
+      }
+      endpoints[tenantId][name] = { url: url.toString(), secret: endpoint.secret };
+    }
+  }
+  return endpoints;
+}
+
+/**
+ * Signature header value for a notice body
+ * @param {string} body - Exact request body
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} "t=<timestamp>,v1=<hex hmac>"
+ */
+export function signNotice(body, secret, timestamp) {
+  const mac = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Verify a notice on the receiving side
+ * @param {string} body - Raw request body
+ * @param {string} header - X-KuasaTurbo-Signature value
+ * @param {string} secret - Endpoint secret
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] - Maximum age of the signature
+ * @param {number} [options.now] - Current time (ms)
+ * @returns {Object} { valid: boolean, reason?: string }
+ */
+export function verifyNoticeSignature(body, header, secret, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return { valid: false, reason: 'Malformed signature header' };
+  }
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return { valid: false, reason: 'Signature timestamp outside tolerance' };
+  }
+
+  const expected = Buffer.from(signNotice(body, secret, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return { valid: false, reason: 'Signature does not match notice body' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Build the content-free notice for a job in a terminal state
+ * @param {Object} job - Job record
+ * @returns {Object} Notice
+ */
+export function buildNotice(job) {
+  const attempt = (job.retry_count || 0) + 1;
+  return {
+    type: 'job.finished',
+    notification_id: `${job.job_id}:${attempt}`,
+    job_id: job.job_id,
+    tenant_id: job.tenant_id,
+    status: job.status,
+    attempt,
+    error_code: job.error?.code || null,
+    proof_hash: job.proof ? digest(canonicalize(job.proof)) : null,
+    finished_at: job.completed_at || job.interrupted_at || null,
+    expires_at: job.expires_at
+  };
+}
+
+/**
+ * Notifier - delivers completion notices to tenant endpoints
+ */
+export class Notifier {
+  /**
+   * @param {Object} options
+   * @param {Object} options.endpoints - From loadEndpoints()
+   * @param {number} [options.maxAttempts] - WEBHOOK_MAX_ATTEMPTS
+   * @param {number} [options.backoffMs] - WEBHOOK_BACKOFF_MS, doubled after each failure
+   * @param {number} [options.timeoutMs] - WEBHOOK_TIMEOUT_MS per request
+   */
+  constructor({ endpoints, maxAttempts = 5, backoffMs = 1000, timeoutMs = 5000 }) {
+    this.endpoints = endpoints;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.timeoutMs = timeoutMs;
+    // job_id -> delivery log entries, oldest first
+    this.logs = new Map();
+    // job_id -> tail of that job's delivery chain
+    this.chains = new Map();
+  }
+
+  /**
+   * Registered endpoint for a tenant
+   * @returns {Object|null} { url, secret }
+   */
+  endpointFor(tenantId, name) {
+    return this.endpoints[tenantId]?.[name] || null;
+  }
+
+  /**
+   * Queue a notice for a job that reached a terminal state.
+   * Returns at once; delivery continues in the background.
+   * @param {Object} job - Job record with a `notify` endpoint name
+   * @returns {Promise} Settles when this notice is delivered or abandoned
+   */
+  notify(job) {
+    const endpoint = this.endpointFor(job.tenant_id, job.notify);
+    if (!endpoint || !NOTIFY_STATUSES.includes(job.status)) return Promise.resolve();
+
+    const notice = buildNotice(job);
+    const previous = this.chains.get(job.job_id) || Promise.resolve();
+    const current = previous
+      .then(() => this.deliver(job.job_id, job.notify, endpoint, notice))
+      .catch(error => console.error(`[NOTIFY] ${notice.notification_id} delivery failed:`, error.message));
+    this.chains.set(job.job_id, current);
+    current.finally(() => {
+      if (this.chains.get(job.job_id) === current) this.chains.delete(job.job_id);
+    });
+    return current;
+  }
+
+  /**
+   * POST a notice until it is accepted (2xx) or maxAttempts is reached
+   */
+  async deliver(jobId, name, endpoint, notice) {
+    const body = JSON.stringify(notice);
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let httpStatus = null;
+      let error = null;
+      try {
+        const response = await fetch(endpoint.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'kuasaturbo-notifier',
+            'X-KuasaTurbo-Notification': notice.notification_id,
+            [SIGNATURE_HEADER]: signNotice(body, endpoint.secret, Math.floor(Date.now() / 1000))
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        httpStatus = response.status;
+        // The receiver's reply carries no meaning here
+        await response.body?.cancel();
+      } catch (e) {
+        error = e.message;
+      }
+
+      const delivered = httpStatus >= 200 && httpStatus < 300;
+      const last = delivered || attempt === this.maxAttempts;
+      this.record(jobId, {
+        notification_id: notice.notification_id,
+        endpoint: name,
+        status: notice.status,
+        attempt,
+        outcome: delivered ? 'delivered' : last ? 'abandoned' : 'retrying',
+        http_status: httpStatus,
+        error: error || (delivered ? null : `HTTP ${httpStatus}`),
+        at: new Date().toISOString()
+      });
+      if (last) return delivered;
+
+      await sleep(Math.min(this.backoffMs * 2 ** (attempt - 1), MAX_BACKOFF_MS));
+    }
+    return false;
+  }
+
+  record(jobId, entry) {
+    if (!this.logs.has(jobId)) this.logs.set(jobId, []);
+    this.logs.get(jobId).push(entry);
+  }
+
+  /**
+   * Delivery log for a job
+   * @returns {Array} Entries, oldest first
+   */
+  deliveries(jobId) {
+    return [...(this.logs.get(jobId) || [])];
+  }
+
+  /**
+   * Drop a job's delivery log (job purged)
+   */
+  forget(jobId) {
+    this.logs.delete(jobId);
+  }
+}
+
+export default Notifier;
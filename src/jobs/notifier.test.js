@@ -0,0 +1,193 @@
+/**
+ * ============================================================
+ * NOTIFIER - TEST SUITE
+ * ============================================================
+ * Tests for signed completion notices against a local HTTP
+ * receiver: content, signature, retry/backoff and delivery log
+ *
+ * Run with: node --test src/jobs/notifier.test.js
+ * ============================================================
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Notifier, loadEndpoints, verifyNoticeSignature, signNotice, buildNotice, SIGNATURE_HEADER } from './notifier.js';
+
+const SECRET = 'whsec_test_0123456789abcdef';
+
+const finishedJob = (overrides = {}) => ({
+  job_id: 'job-1',
+  tenant_id: 'acme',
+  notify: 'qontrek',
+  status: 'completed',
+  retry_count: 0,
+  completed_at: '2026-02-01T00:00:05.000Z',
+  expires_at: '2026-02-02T00:00:00.000Z',
+  proof: { job_id: 'job-1', signature: { value: 'abc' } },
+  outputs: [{ name: 'extracted_data.json' }],
+  extracted_data: { personal: { ic_number: '850615-14-5123' } },
+  ...overrides
+});
+
+describe('Notifier - Delivery', () => {
+  let server;
+  let url;
+  let received;
+  // Status codes to answer with, in order; 204 once exhausted
+  let replies;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = replies.shift() || 204;
+        res.end('{"start_job": true}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks/kuasaturbo`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    received = [];
+    replies = [];
+  });
+
+  const notifier = (options = {}) => new Notifier({
+    endpoints: { acme: { qontrek: { url, secret: SECRET } } },
+    backoffMs: 5,
+    ...options
+  });
+
+  it('should POST a signed notice without any job content', async () => {
+    const n = notifier();
+
+    await n.notify(finishedJob());
+
+    assert.strictEqual(received.length, 1);
+    const { headers, body } = received[0];
+    assert.strictEqual(verifyNoticeSignature(body, headers[SIGNATURE_HEADER.toLowerCase()], SECRET).valid, true);
+
+    const notice = JSON.parse(body);
+    assert.deepStrictEqual(Object.keys(notice).sort(), [
+      'attempt', 'error_code', 'expires_at', 'finished_at', 'job_id', 'notification_id',
+      'proof_hash', 'status', 'tenant_id', 'type'
+    ]);
+    assert.strictEqual(notice.status, 'completed');
+    assert.match(notice.proof_hash, /^sha256:[0-9a-f]{64}$/);
+    assert.ok(!body.includes('850615'), 'no extracted data');
+  });
+
+  it('should retry with backoff until the receiver accepts', async () => {
+    replies = [500, 503];
+    const n = notifier();
+
+    assert.strictEqual(await n.notify(finishedJob()), true);
+
+    assert.strictEqual(received.length, 3);
+    assert.deepStrictEqual(n.deliveries('job-1').map(d => [d.attempt, d.outcome, d.http_status]), [
+      [1, 'retrying', 500],
+      [2, 'retrying', 503],
+      [3, 'delivered', 204]
+    ]);
+  });
+
+  it('should give up after maxAttempts and log it', async () => {
+    replies = [500, 500, 500];
+    const n = notifier({ maxAttempts: 2 });
+
+    assert.strictEqual(await n.notify(finishedJob()), false);
+
+    assert.strictEqual(received.length, 2);
+    assert.strictEqual(n.deliveries('job-1').at(-1).outcome, 'abandoned');
+  });
+
+  it('should log unreachable endpoints as errors', async () => {
+    const n = new Notifier({
+      endpoints: { acme: { qontrek: { url: 'http://127.0.0.1:1/closed', secret: SECRET } } },
+      maxAttempts: 1
+    });
+
+    await n.notify(finishedJob());
+
+    const [entry] = n.deliveries('job-1');
+    assert.strictEqual(entry.outcome, 'abandoned');
+    assert.strictEqual(entry.http_status, null);
+    assert.ok(entry.error);
+  });
+
+  it('should deliver notices for one job in order', async () => {
+    replies = [500];
+    const n = notifier();
+
+    const first = n.notify(finishedJob({ status: 'failed', error: { code: 'PROVIDER_ERROR', message: 'x' } }));
+    const second = n.notify(finishedJob({ retry_count: 1 }));
+    await Promise.all([first, second]);
+
+    assert.deepStrictEqual(received.map(r => JSON.parse(r.body).notification_id), ['job-1:1', 'job-1:1', 'job-1:2']);
+  });
+
+  it('should send nothing for jobs without a registered endpoint or a terminal status', async () => {
+    const n = notifier();
+
+    await n.notify(finishedJob({ notify: undefined }));
+    await n.notify(finishedJob({ notify: 'unregistered' }));
+    await n.notify(finishedJob({ tenant_id: 'globex' }));
+    await n.notify(finishedJob({ status: 'processing' }));
+
+    assert.strictEqual(received.length, 0);
+  });
+});
+
+describe('Notifier - Signatures', () => {
+  const body = '{"job_id":"job-1"}';
+  const now = Date.parse('2026-02-01T00:00:00Z');
+  const header = signNotice(body, SECRET, now / 1000);
+
+  it('should reject a tampered body or wrong secret', () => {
+    assert.strictEqual(verifyNoticeSignature('{"job_id":"job-2"}', header, SECRET, { now }).valid, false);
+    assert.strictEqual(verifyNoticeSignature(body, header, 'whsec_other_0123456789', { now }).valid, false);
+  });
+
+  it('should reject an old signature', () => {
+    const result = verifyNoticeSignature(body, header, SECRET, { now: now + 301000 });
+
+    assert.strictEqual(result.valid, false);
+    assert.match(result.reason, /tolerance/);
+  });
+
+  it('should leave proof_hash null when the job has no proof', () => {
+    assert.strictEqual(buildNotice(finishedJob({ proof: undefined })).proof_hash, null);
+  });
+});
+
+describe('Notifier - Endpoint Registry', () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'kt-webhooks-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const write = (config) => {
+    const file = path.join(dir, `${Math.random()}.json`);
+    writeFileSync(file, JSON.stringify(config));
+    return file;
+  };
+
+  it('should load endpoints per tenant', () => {
+    const endpoints = loadEndpoints(write({ tenants: { acme: { qontrek: { url: 'https://l1.example/hook', secret: SECRET } } } }));
+
+    assert.strictEqual(new Notifier({ endpoints }).endpointFor('acme', 'qontrek').url, 'https://l1.example/hook');
+    assert.strictEqual(new Notifier({ endpoints }).endpointFor('globex', 'qontrek'), null);
+  });
+
+  it('should reject non-http URLs and short secrets', () => {
+    assert.throws(() => loadEndpoints(write({ tenants: { acme: { q: { url: 'file:///etc/passwd', secret: SECRET } } } })), /http or https/);
+    assert.throws(() => loadEndpoints(write({ tenants: { acme: { q: { url: 'https://l1.example', secret: 'short' } } } })), /at least 16/);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * ============================================================
+ * PROMOTION - LAYER 1 BUNDLE EXPORT
+ * ============================================================
+ * Layer 0 output is NOT authoritative until promoted to Qontrek
+ * (Layer 1). Promotion hands Layer 1 one self-contained bundle:
+ * every output (bytes inline), the signed proof pack, their
+ * digests and the disclaimers. Layer 0 only records that the job
+ * was promoted - once; a second promotion is refused.
+ *
+ * Promotable: completed, not a dry run, S7-clean (proof
+ * expiration.can_promote), not yet promoted, not expired.
+ *
+ * Bundle format (PROMOTION_BUNDLE_VERSION, see README):
+ *   JSON, signed like a proof pack (Ed25519 over the canonical
+ *   form without `signature`). Outputs are listed in proof order
+ *   as base64, and each digest is re-checked against the proof
+ *   before the bundle is built.
+ * ============================================================
+ */
+
+import { readFile } from 'fs/promises';
+import { canonicalize } from '../proof/signer.js';
+import { digest } from '../proof/generator.js';
+
+export const PROMOTION_BUNDLE_VERSION = '1.0';
+
+/**
+ * An output on disk no longer matches the digest in its proof pack
+ */
+export class PromotionIntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromotionIntegrityError';
+    this.code = 'OUTPUT_INTEGRITY_FAILED';
+  }
+}
+
+/**
+ * Check whether a job may be promoted now
+ * @param {Object} job - Live job record
+ * @returns {Object} { allowed: boolean, code?: string, reason?: string }
+ */
+export function checkPromotionEligibility(job) {
+  if (job.promotion) {
+    return {
+      allowed: false,
+      code: 'ALREADY_PROMOTED',
+      reason: `Job was promoted at ${job.promotion.promoted_at}`
+    };
+  }
+  if (job.status !== 'completed') {
+    return { allowed: false, code: 'JOB_NOT_PROMOTABLE', reason: `Job is ${job.status}; only completed jobs can be promoted` };
+  }
+  if (job.dry_run) {
+    return { allowed: false, code: 'JOB_NOT_PROMOTABLE', reason: 'A dry run has no model output to promote' };
+  }
+  if (job.s7_output_check?.clean === false || !job.proof?.continuity_check?.s7_compliant) {
+    return { allowed: false, code: 'S7_FLAGGED', reason: 'Job output was flagged by the S7 continuity check' };
+  }
+  if (!job.proof.expiration?.can_promote) {
+    return { allowed: false, code: 'JOB_NOT_PROMOTABLE', reason: 'Proof pack does not allow promotion' };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Assemble the (unsigned) promotion bundle for an eligible job
+ * @param {Object} job - Job record with outputs and proof
+ * @param {Object} options
+ * @param {Object} options.disclaimers - { output, token_metrics }
+ * @param {string} [options.promotedAt] - ISO timestamp
+ * @returns {Promise<Object>} Bundle document
+ * @throws {PromotionIntegrityError} If an output is missing or altered
+ */
+export async function buildPromotionBundle(job, { disclaimers, promotedAt = new Date().toISOString() }) {
+  const proof = job.proof;
+  const algorithm = proof.integrity.algorithm;
+  const files = new Map((job.outputs || []).map(output => [output.name, output]));
+
+  const outputs = [];
+  for (const listed of proof.integrity.outputs) {
+    const file = files.get(listed.name);
+    let bytes;
+    try {
+      bytes = await readFile(file.path);
+    } catch (error) {
+      throw new PromotionIntegrityError(`Output ${listed.name} is missing`);
+    }
+    if (digest(bytes, algorithm) !== listed.digest) {
+      throw new PromotionIntegrityError(`Output ${listed.name} does not match its proof pack digest`);
+    }
+    outputs.push({
+      name: listed.name,
+      content_type: listed.content_type,
+      size_bytes: bytes.length,
+      digest: listed.digest,
+      content_base64: bytes.toString('base64')
+    });
+  }
+
+  return {
+    bundle_version: PROMOTION_BUNDLE_VERSION,
+    bundle_type: 'kuasaturbo.promotion',
+    bundle_id: `bundle-${job.job_id}`,
+    promoted_at: promotedAt,
+    source: { layer: '0', system: 'kuasaturbo', authoritative: false },
+    job: {
+      job_id: job.job_id,
+      job_type: job.job_type,
+      transform_type: job.transform_type,
+      tenant_id: job.tenant_id,
+      idempotency_key: job.idempotency_key,
+      created_at: job.created_at,
+      completed_at: job.completed_at,
+      expires_at: job.expires_at
+    },
+    outputs,
+    proof,
+    integrity: {
+      algorithm,
+      output_hash: proof.integrity.output_hash,
+      proof_hash: digest(canonicalize(proof), algorithm)
+    },
+    disclaimers: {
+      output: disclaimers.output,
+      token_metrics: disclaimers.token_metrics,
+      promotion: 'Layer 0 made no decisions. Authority over these outputs begins only once Qontrek (Layer 1) accepts this bundle.'
+    }
+  };
+}
+
+export default { checkPromotionEligibility, buildPromotionBundle, PROMOTION_BUNDLE_VERSION };
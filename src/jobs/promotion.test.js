@@ -0,0 +1,168 @@
+/**
+ * ============================================================
+ * PROMOTION - TEST SUITE
+ * ============================================================
+ * Tests for Layer 1 promotion eligibility and bundle assembly
+ *
+ * Run with: node --test src/jobs/promotion.test.js
+ * ============================================================
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  checkPromotionEligibility,
+  buildPromotionBundle,
+  PromotionIntegrityError,
+  PROMOTION_BUNDLE_VERSION
+} from './promotion.js';
+import { digest, combineDigests } from '../proof/generator.js';
+import { canonicalize } from '../proof/signer.js';
+
+const DISCLAIMERS = { output: 'Not a credit decision.', token_metrics: 'Cost signals only.' };
+
+describe('Promotion - Eligibility', () => {
+  const completed = (overrides = {}) => ({
+    job_id: 'job-1',
+    status: 'completed',
+    dry_run: false,
+    s7_output_check: { clean: true },
+    proof: { continuity_check: { s7_compliant: true }, expiration: { can_promote: true } },
+    ...overrides
+  });
+
+  it('should allow a completed, S7-clean job', () => {
+    assert.deepStrictEqual(checkPromotionEligibility(completed()), { allowed: true });
+  });
+
+  it('should refuse jobs that did not complete', () => {
+    for (const status of ['queued', 'processing', 'failed', 'timed_out', 'cancelled', 'interrupted']) {
+      const result = checkPromotionEligibility(completed({ status }));
+      assert.strictEqual(result.code, 'JOB_NOT_PROMOTABLE', status);
+    }
+  });
+
+  it('should refuse dry runs', () => {
+    assert.strictEqual(checkPromotionEligibility(completed({ dry_run: true })).code, 'JOB_NOT_PROMOTABLE');
+  });
+
+  it('should refuse S7-flagged output', () => {
+    assert.strictEqual(checkPromotionEligibility(completed({ s7_output_check: { clean: false } })).code, 'S7_FLAGGED');
+    assert.strictEqual(
+      checkPromotionEligibility(completed({ proof: { continuity_check: { s7_compliant: false }, expiration: { can_promote: false } } })).code,
+      'S7_FLAGGED'
+    );
+  });
+
+  it('should refuse a proof pack that does not allow promotion', () => {
+    const proof = { continuity_check: { s7_compliant: true }, expiration: { can_promote: false } };
+    assert.strictEqual(checkPromotionEligibility(completed({ proof })).code, 'JOB_NOT_PROMOTABLE');
+  });
+
+  it('should refuse a second promotion', () => {
+    const result = checkPromotionEligibility(completed({ promotion: { promoted_at: '2026-02-01T00:00:00.000Z' } }));
+
+    assert.strictEqual(result.code, 'ALREADY_PROMOTED');
+    assert.match(result.reason, /2026-02-01/);
+  });
+});
+
+describe('Promotion - Bundle', () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'kt-promotion-'));
+  const files = {
+    'extracted_data.json': '{"personal":{"name":"Ahmad"}}',
+    'eligibility_summary.txt': 'Eligibility summary\n'
+  };
+  let job;
+
+  before(() => {
+    const outputs = Object.entries(files).map(([name, content]) => {
+      const filePath = path.join(dir, name);
+      writeFileSync(filePath, content);
+      return { name, content_type: name.endsWith('.json') ? 'application/json' : 'text/plain', path: filePath };
+    });
+    const listed = outputs.map(o => ({
+      name: o.name,
+      content_type: o.content_type,
+      size_bytes: Buffer.byteLength(files[o.name]),
+      digest: digest(files[o.name], 'sha256')
+    }));
+    job = {
+      job_id: 'job-1',
+      job_type: 'z4_document_extraction',
+      transform_type: 'mortgage_eligibility_summary',
+      tenant_id: 'acme',
+      idempotency_key: 'idem-1',
+      status: 'completed',
+      created_at: '2026-02-01T00:00:00.000Z',
+      completed_at: '2026-02-01T00:00:05.000Z',
+      expires_at: '2026-02-02T00:00:00.000Z',
+      outputs,
+      proof: {
+        job_id: 'job-1',
+        integrity: {
+          algorithm: 'sha256',
+          outputs: listed,
+          output_hash: combineDigests(listed.map(o => o.digest), 'sha256')
+        },
+        signature: { value: 'abc' }
+      }
+    };
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('should carry every output inline with its proof digest', async () => {
+    const bundle = await buildPromotionBundle(job, { disclaimers: DISCLAIMERS, promotedAt: '2026-02-01T01:00:00.000Z' });
+
+    assert.strictEqual(bundle.bundle_version, PROMOTION_BUNDLE_VERSION);
+    assert.strictEqual(bundle.bundle_id, 'bundle-job-1');
+    assert.strictEqual(bundle.promoted_at, '2026-02-01T01:00:00.000Z');
+    assert.strictEqual(bundle.source.authoritative, false);
+    assert.deepStrictEqual(bundle.outputs.map(o => o.name), ['extracted_data.json', 'eligibility_summary.txt']);
+    for (const output of bundle.outputs) {
+      const bytes = Buffer.from(output.content_base64, 'base64');
+      assert.strictEqual(bytes.toString(), files[output.name]);
+      assert.strictEqual(digest(bytes, 'sha256'), output.digest);
+    }
+  });
+
+  it('should include the proof pack, its hash and the disclaimers', async () => {
+    const bundle = await buildPromotionBundle(job, { disclaimers: DISCLAIMERS });
+
+    assert.deepStrictEqual(bundle.proof, job.proof);
+    assert.strictEqual(bundle.integrity.output_hash, job.proof.integrity.output_hash);
+    assert.strictEqual(bundle.integrity.proof_hash, digest(canonicalize(job.proof), 'sha256'));
+    assert.strictEqual(bundle.disclaimers.output, DISCLAIMERS.output);
+    assert.strictEqual(bundle.disclaimers.token_metrics, DISCLAIMERS.token_metrics);
+  });
+
+  it('should be deterministic for the same job and time', async () => {
+    const options = { disclaimers: DISCLAIMERS, promotedAt: '2026-02-01T01:00:00.000Z' };
+
+    assert.strictEqual(
+      canonicalize(await buildPromotionBundle(job, options)),
+      canonicalize(await buildPromotionBundle(job, options))
+    );
+  });
+
+  it('should refuse an output altered since the proof was signed', async () => {
+    const altered = path.join(dir, 'altered.txt');
+    writeFileSync(altered, 'Eligibility summary (edited)\n');
+    const tampered = { ...job, outputs: [job.outputs[0], { ...job.outputs[1], path: altered }] };
+
+    await assert.rejects(
+      buildPromotionBundle(tampered, { disclaimers: DISCLAIMERS }),
+      (error) => error instanceof PromotionIntegrityError && error.code === 'OUTPUT_INTEGRITY_FAILED'
+    );
+  });
+
+  it('should refuse a missing output', async () => {
+    const missing = { ...job, outputs: [job.outputs[0]] };
+
+    await assert.rejects(buildPromotionBundle(missing, { disclaimers: DISCLAIMERS }), /eligibility_summary.txt is missing/);
+  });
+});
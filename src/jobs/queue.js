@@ -0,0 +1,188 @@
+/**
+ * ============================================================
+ * JOB QUEUE - BOUNDED, TENANT-FAIR SCHEDULING
+ * ============================================================
+ * Admitted jobs wait here until a worker slot is free:
+ *
+ * - At most JOB_CONCURRENCY jobs execute at once
+ * - At most TENANT_CONCURRENCY of them belong to one tenant
+ * - Tenants are served round-robin: the next slot goes to the
+ *   least recently served tenant with a waiting job, so a burst
+ *   from one tenant cannot starve the others
+ * - At most JOB_QUEUE_MAX_LENGTH jobs should wait; callers check
+ *   isFull() before admitting a new job
+ *
+ * The queue holds job ids only. It is in-memory: jobs waiting when
+ * the process stops are marked interrupted on boot like any other
+ * in-flight job.
+ * ============================================================
+ */
+
+/**
+ * Job Queue - dispatches waiting jobs to a bounded set of workers
+ */
+export class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.run - (jobId) => Promise; executes one job
+   * @param {number} options.concurrency - JOB_CONCURRENCY
+   * @param {number} options.perTenantConcurrency - TENANT_CONCURRENCY
+   * @param {number} [options.maxQueued] - JOB_QUEUE_MAX_LENGTH
+   */
+  constructor({ run, concurrency, perTenantConcurrency, maxQueued = Infinity }) {
+    this.run = run;
+    this.concurrency = concurrency;
+    this.perTenantConcurrency = perTenantConcurrency;
+    this.maxQueued = maxQueued;
+    // tenant -> [jobId], FIFO within a tenant; tenants in arrival order
+    this.waiting = new Map();
+    // tenant -> dispatch sequence number of its last started job
+    this.lastServed = new Map();
+    this.sequence = 0;
+    // tenant -> number of executing jobs
+    this.active = new Map();
+    // jobId -> tenant, for every executing job
+    this.executing = new Map();
+  }
+
+  /**
+   * Add a job to its tenant's queue and dispatch if a slot is free.
+   * Always accepts: a job that was admitted must never be dropped.
+   */
+  enqueue(jobId, tenantId) {
+    const tenant = tenantKey(tenantId);
+    if (!this.waiting.has(tenant)) this.waiting.set(tenant, []);
+    this.waiting.get(tenant).push(jobId);
+    this.dispatch();
+  }
+
+  /**
+   * Has the waiting line reached JOB_QUEUE_MAX_LENGTH?
+   */
+  isFull() {
+    return this.queuedCount() >= this.maxQueued;
+  }
+
+  /**
+   * Remove a job that has not started yet
+   * @returns {boolean} true if the job was waiting and is now removed
+   */
+  remove(jobId) {
+    for (const [tenant, entries] of this.waiting) {
+      const index = entries.indexOf(jobId);
+      if (index === -1) continue;
+      entries.splice(index, 1);
+      if (entries.length === 0) this.waiting.delete(tenant);
+      this.forget(tenant);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Is the job waiting or executing?
+   */
+  has(jobId) {
+    return this.executing.has(jobId) || this.position(jobId) !== null;
+  }
+
+  /**
+   * 1-based position among waiting jobs, in the order they would be
+   * dispatched if nothing else arrived (per-tenant caps not modelled)
+   * @returns {number|null} null if the job is not waiting
+   */
+  position(jobId) {
+    const index = this.dispatchOrder().indexOf(jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  queuedCount() {
+    let count = 0;
+    for (const entries of this.waiting.values()) count += entries.length;
+    return count;
+  }
+
+  stats() {
+    return {
+      queued: this.queuedCount(),
+      executing: this.executing.size,
+      concurrency: this.concurrency,
+      per_tenant_concurrency: this.perTenantConcurrency,
+      max_queued: this.maxQueued
+    };
+  }
+
+  /**
+   * Start waiting jobs while global and per-tenant slots allow
+   */
+  dispatch() {
+    while (this.executing.size < this.concurrency) {
+      const tenant = this.rotation().find(t => (this.active.get(t) || 0) < this.perTenantConcurrency);
+      if (!tenant) return;
+
+      const entries = this.waiting.get(tenant);
+      const jobId = entries.shift();
+      if (entries.length === 0) this.waiting.delete(tenant);
+      this.lastServed.set(tenant, ++this.sequence);
+
+      this.start(jobId, tenant);
+    }
+  }
+
+  start(jobId, tenant) {
+    this.executing.set(jobId, tenant);
+    this.active.set(tenant, (this.active.get(tenant) || 0) + 1);
+
+    Promise.resolve()
+      .then(() => this.run(jobId))
+      .catch(error => console.error(`[QUEUE] Job ${jobId} worker failed:`, error.message))
+      .finally(() => {
+        this.executing.delete(jobId);
+        const remaining = this.active.get(tenant) - 1;
+        if (remaining === 0) this.active.delete(tenant);
+        else this.active.set(tenant, remaining);
+        this.forget(tenant);
+        this.dispatch();
+      });
+  }
+
+  /**
+   * Tenants with waiting jobs, least recently served first
+   * (never served first of all, then arrival order)
+   */
+  rotation() {
+    return [...this.waiting.keys()]
+      .sort((a, b) => (this.lastServed.get(a) || 0) - (this.lastServed.get(b) || 0));
+  }
+
+  /**
+   * Jobs in round-robin dispatch order: one per tenant per round
+   */
+  dispatchOrder() {
+    const order = [];
+    const cursors = this.rotation().map(tenant => ({ entries: this.waiting.get(tenant), next: 0 }));
+    let remaining = this.queuedCount();
+    while (remaining > 0) {
+      for (const cursor of cursors) {
+        if (cursor.next < cursor.entries.length) {
+          order.push(cursor.entries[cursor.next++]);
+          remaining--;
+        }
+      }
+    }
+    return order;
+  }
+
+  /**
+   * Drop scheduling history for a tenant with nothing waiting or running
+   */
+  forget(tenant) {
+    if (!this.waiting.has(tenant) && !this.active.has(tenant)) this.lastServed.delete(tenant);
+  }
+}
+
+function tenantKey(tenantId) {
+  return tenantId ? String(tenantId) : 'default';
+}
+
+export default JobQueue;
@@ -0,0 +1,137 @@
+/**
+ * ============================================================
+ * JOB QUEUE - TEST SUITE
+ * ============================================================
+ * Tests for bounded concurrency and per-tenant fair scheduling
+ *
+ * Run with: node --test src/jobs/queue.test.js
+ * ============================================================
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { JobQueue } from './queue.js';
+
+describe('Job Queue - Fair Scheduling', () => {
+  let started;
+  let pending;
+
+  // Each run stays open until finish(jobId) is called
+  const run = (jobId) => new Promise(resolve => {
+    started.push(jobId);
+    pending.set(jobId, resolve);
+  });
+
+  const settle = () => new Promise(resolve => setImmediate(resolve));
+
+  const finish = async (jobId) => {
+    pending.get(jobId)();
+    pending.delete(jobId);
+    await settle();
+  };
+
+  beforeEach(() => {
+    started = [];
+    pending = new Map();
+  });
+
+  it('should never run more than the global concurrency', async () => {
+    const queue = new JobQueue({ run, concurrency: 2, perTenantConcurrency: 10 });
+
+    for (let i = 1; i <= 5; i++) queue.enqueue(`job-${i}`, `tenant-${i}`);
+    await settle();
+
+    assert.deepStrictEqual(started, ['job-1', 'job-2']);
+    assert.strictEqual(queue.stats().queued, 3);
+
+    await finish('job-1');
+
+    assert.deepStrictEqual(started, ['job-1', 'job-2', 'job-3']);
+  });
+
+  it('should cap concurrent jobs per tenant', async () => {
+    const queue = new JobQueue({ run, concurrency: 4, perTenantConcurrency: 1 });
+
+    queue.enqueue('a-1', 'a');
+    queue.enqueue('a-2', 'a');
+    queue.enqueue('b-1', 'b');
+    await settle();
+
+    assert.deepStrictEqual(started, ['a-1', 'b-1']);
+
+    await finish('a-1');
+
+    assert.deepStrictEqual(started, ['a-1', 'b-1', 'a-2']);
+  });
+
+  it('should not let a burst from one tenant starve another', async () => {
+    const queue = new JobQueue({ run, concurrency: 1, perTenantConcurrency: 1 });
+
+    for (let i = 1; i <= 4; i++) queue.enqueue(`a-${i}`, 'a');
+    queue.enqueue('b-1', 'b');
+    queue.enqueue('b-2', 'b');
+    await settle();
+
+    for (const jobId of ['a-1', 'b-1', 'a-2', 'b-2', 'a-3']) await finish(jobId);
+
+    assert.deepStrictEqual(started, ['a-1', 'b-1', 'a-2', 'b-2', 'a-3', 'a-4']);
+  });
+
+  it('should report queue position in dispatch order', async () => {
+    const queue = new JobQueue({ run, concurrency: 1, perTenantConcurrency: 1 });
+
+    queue.enqueue('running', 'a');
+    queue.enqueue('a-1', 'a');
+    queue.enqueue('a-2', 'a');
+    queue.enqueue('b-1', 'b');
+    await settle();
+
+    // Tenant a was just served, so b goes first
+    assert.strictEqual(queue.position('running'), null);
+    assert.strictEqual(queue.position('b-1'), 1);
+    assert.strictEqual(queue.position('a-1'), 2);
+    assert.strictEqual(queue.position('a-2'), 3);
+  });
+
+  it('should remove a waiting job without running it', async () => {
+    const queue = new JobQueue({ run, concurrency: 1, perTenantConcurrency: 1 });
+
+    queue.enqueue('a-1', 'a');
+    queue.enqueue('a-2', 'a');
+    await settle();
+
+    assert.strictEqual(queue.remove('a-2'), true);
+    assert.strictEqual(queue.remove('a-1'), false, 'running jobs are not removable');
+    await finish('a-1');
+
+    assert.deepStrictEqual(started, ['a-1']);
+    assert.strictEqual(queue.has('a-2'), false);
+  });
+
+  it('should report full once the waiting line reaches its maximum', async () => {
+    const queue = new JobQueue({ run, concurrency: 1, perTenantConcurrency: 1, maxQueued: 1 });
+
+    queue.enqueue('a-1', 'a');
+    assert.strictEqual(queue.isFull(), false, 'executing jobs do not count');
+
+    queue.enqueue('a-2', 'a');
+    assert.strictEqual(queue.isFull(), true);
+  });
+
+  it('should free the slot when a job fails', async () => {
+    let calls = 0;
+    const queue = new JobQueue({
+      run: async () => { calls++; throw new Error('boom'); },
+      concurrency: 1,
+      perTenantConcurrency: 1
+    });
+
+    queue.enqueue('a-1', 'a');
+    queue.enqueue('a-2', 'a');
+    await settle();
+    await settle();
+
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(queue.stats().executing, 0);
+  });
+});
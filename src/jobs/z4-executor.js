@@ -5,19 +5,25 @@
  * Job Type: z4_format_transform
  * CIVOS Class: Z (Content generation, no authority)
  * 
- * Supported transforms:
- * - mortgage_eligibility_summary
- * - solar_proposal_draft
+ * Supported transforms: src/transforms/definitions/ (prompt,
+ * forbidden phrases, disclaimer and summary per transform)
  * 
  * Output: Structured PDF + JSON (NON-AUTHORITATIVE)
  * ============================================================
  */
 
-import Anthropic from '@anthropic-ai/sdk';
 import { createHash } from 'crypto';
-import { writeFile, mkdir } from 'fs/promises';
+import { readFile, writeFile, mkdir } from 'fs/promises';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { extractPdfText, extractPageImages } from '../extractors/pdf-extractor.js';
+import { buildImageBlock, checkImageCount, encodePng } from '../extractors/image-extractor.js';
+import { createProvider } from '../providers/index.js';
+import { tokenCounter } from '../metrics/token-counter.js';
+import { transformRegistry } from '../transforms/registry.js';
+import { validateExtraction } from '../transforms/schema.js';
+import { normalizeExtraction } from '../transforms/normalizers.js';
+import { renderSummaryPdf } from '../documents/summary-pdf.js';
 
 // ============================================================
 // CONFIGURATION
@@ -31,168 +37,177 @@ const CONFIG = {
 };
 
 // ============================================================
-// FORBIDDEN OUTPUT LANGUAGE
+// STRUCTURED EXTRACTION
 // ============================================================
+// tool_use - the transform's outputSchema is sent as a tool the
+//            model must call; its input is the extraction
+// text     - fallback for providers without tool support: the
+//            first JSON object in the reply text is the extraction
+// The mode used is recorded in the proof (execution.extraction).
 
-const FORBIDDEN_PHRASES = {
-  mortgage: [
-    'Eligible for loan',
-    'Not eligible',
-    'Approved',
-    'Rejected',
-    'Recommended',
-    'Should apply',
-    'Likely to qualify',
-    'High risk',
-    'Medium risk',
-    'Low risk',
-    'Score:',
-    'Rating:',
-    'Meets criteria',
-    'Does not meet criteria',
-    'Suggested loan amount',
-    'Recommended next step'
-  ],
-  solar: [
-    'Recommended system size',
-    'Estimated savings',
-    'ROI:',
-    'Payback period',
-    'Best option',
-    'Should install',
-    'Suitable for',
-    'Not suitable',
-    'Quotation',
-    'Price:',
-    'Recommended panels',
-    'Suggested configuration',
-    'Expected generation'
-  ]
-};
+export const EXTRACTION_MODES = ['tool_use', 'text'];
+
+const EXTRACTION_TOOL_NAME = 'record_extraction';
 
 // ============================================================
-// PROMPT TEMPLATES
+// FORBIDDEN LANGUAGE ENFORCEMENT
 // ============================================================
+// Per transform: LANGUAGE_ENFORCEMENT_<TRANSFORM_TYPE>=warn|redact|block
+// Fallback for all transforms: LANGUAGE_ENFORCEMENT_MODE (default: warn)
+//
+// warn   - log and record matches, outputs unchanged
+// redact - mask matched phrases in the JSON and summary outputs
+// block  - no outputs are written; the job fails with FORBIDDEN_LANGUAGE
 
-const PROMPTS = {
-  mortgage_eligibility_summary: `You are a document extraction system. Your task is to extract and structure information from the provided documents. 
-
-CRITICAL RULES:
-1. You MUST NOT make any eligibility decisions
-2. You MUST NOT provide recommendations
-3. You MUST NOT use approval/rejection language
-4. You ONLY extract and format existing information
-5. Mark any unclear fields as "requires_review"
-
-Extract the following information and return as JSON:
-
-{
-  "personal": {
-    "name": "extracted name or null",
-    "ic_number": "extracted IC or null",
-    "date_of_birth": "extracted DOB or null"
-  },
-  "employment": {
-    "employer": "extracted employer or null",
-    "position": "extracted position or null",
-    "gross_salary": "number or null",
-    "net_salary": "number or null",
-    "pay_period": "monthly/weekly or null"
-  },
-  "financial": {
-    "account_type": "savings/current or null",
-    "average_balance": "number or null",
-    "statement_period": "extracted period or null"
-  },
-  "extraction_metadata": {
-    "fields_extracted": "count",
-    "fields_total": "count",
-    "fields_requiring_review": ["list of uncertain fields"],
-    "confidence_scores": {
-      "field_name": 0.0-1.0
-    }
+export const ENFORCEMENT_MODES = ['warn', 'redact', 'block'];
+
+const REDACTION_MASK = '[REDACTED]';
+
+/**
+ * Resolve the enforcement mode for a transform type
+ */
+export function getEnforcementMode(transformType) {
+  const mode = process.env[`LANGUAGE_ENFORCEMENT_${transformType.toUpperCase()}`]
+    || process.env.LANGUAGE_ENFORCEMENT_MODE
+    || 'warn';
+  if (!ENFORCEMENT_MODES.includes(mode)) {
+    throw new Error(`Invalid language enforcement mode for ${transformType}: ${mode}. Allowed: ${ENFORCEMENT_MODES.join(', ')}`);
   }
+  return mode;
 }
 
-Remember: You are extracting information, NOT making decisions.`,
-
-  solar_proposal_draft: `You are a document extraction system. Your task is to extract and structure information from the provided documents.
-
-CRITICAL RULES:
-1. You MUST NOT provide pricing or quotations
-2. You MUST NOT recommend system sizes
-3. You MUST NOT calculate ROI or savings
-4. You MUST NOT make installation recommendations
-5. You ONLY extract and format existing information
-
-Extract the following information and return as JSON:
-
-{
-  "property": {
-    "address": "extracted address or null",
-    "property_type": "residential/commercial or null"
-  },
-  "consumption": {
-    "account_number": "extracted account or null",
-    "billing_period": "extracted period or null",
-    "total_kwh": "number or null",
-    "total_amount": "number or null",
-    "tariff_category": "extracted tariff or null"
-  },
-  "visual": {
-    "photo_observations": "factual observations only, no recommendations"
-  },
-  "extraction_metadata": {
-    "fields_extracted": "count",
-    "fields_total": "count",
-    "fields_requiring_review": ["list of uncertain fields"],
-    "confidence_scores": {
-      "field_name": 0.0-1.0
-    }
+/**
+ * Raised before the model call when no input yielded usable content
+ */
+export class InputExtractionError extends Error {
+  constructor(message, documents) {
+    super(message);
+    this.name = 'InputExtractionError';
+    this.code = 'NO_EXTRACTABLE_CONTENT';
+    this.documents = documents;
   }
 }
 
-Remember: You are extracting information, NOT making recommendations.`
-};
-
-// ============================================================
-// DISCLAIMER TEMPLATES
-// ============================================================
-
-const DISCLAIMERS = {
-  mortgage_eligibility_summary: `
-⚠️ DISCLAIMER
-This document contains extracted information only.
-It does NOT constitute eligibility assessment.
-All decisions must be made by qualified human officers.
+/**
+ * Raised before the model call when the estimated prompt exceeds MAX_INPUT_TOKENS
+ */
+export class InputTokenLimitError extends Error {
+  constructor(tokenEstimate, limit) {
+    super(`Estimated input of ${tokenEstimate.tokens_in} tokens exceeds MAX_INPUT_TOKENS (${limit}). Submit fewer or shorter documents.`);
+    this.name = 'InputTokenLimitError';
+    this.code = 'INPUT_TOKEN_LIMIT_EXCEEDED';
+    this.tokenEstimate = tokenEstimate;
+    this.limit = limit;
+  }
+}
 
-This output is from KuasaTurbo (Layer 0).
-It is NOT authoritative until promoted to Qontrek (Layer 1).
-No decisions have been made.`,
+/**
+ * Abort reason when a job runs past JOB_TIMEOUT_SECONDS
+ */
+export class JobTimeoutError extends Error {
+  constructor(timeoutSeconds) {
+    super(`Job exceeded JOB_TIMEOUT_SECONDS (${timeoutSeconds}s)`);
+    this.name = 'JobTimeoutError';
+    this.code = 'JOB_TIMEOUT';
+  }
+}
 
-  solar_proposal_draft: `
-⚠️ DISCLAIMER
-This document contains extracted information only.
-It does NOT constitute a quotation or recommendation.
-All proposals must be reviewed and finalized by sales team.
+/**
+ * Abort reason when a client cancels a job
+ */
+export class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled by the client');
+    this.name = 'JobCancelledError';
+    this.code = 'JOB_CANCELLED';
+  }
+}
 
-This output is from KuasaTurbo (Layer 0).
-It is NOT authoritative until promoted to Qontrek (Layer 1).
-No recommendations have been made.`
-};
+/**
+ * Raised in block mode when extracted output contains forbidden phrases
+ */
+export class ForbiddenLanguageError extends Error {
+  constructor(languageCheck, tokenUsage) {
+    super(`Output contains forbidden decision language: ${[...new Set(languageCheck.matches.map(m => m.phrase))].join(', ')}`);
+    this.name = 'ForbiddenLanguageError';
+    this.code = 'FORBIDDEN_LANGUAGE';
+    this.languageCheck = languageCheck;
+    this.tokenUsage = tokenUsage;
+  }
+}
 
 // ============================================================
 // MAIN EXECUTOR
 // ============================================================
 
+/**
+ * Extract inputs and assemble the model request for a job, without
+ * calling the model. Shared by execution, dry runs and quotes.
+ * @param {Object} job - { transform_type, files }
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops input extraction; its reason is thrown
+ * @returns {Promise<Object>} { request, documents, imagesSent, token_estimate, max_input_tokens }
+ */
+export async function prepareZ4Request(job, { signal } = {}) {
+  const transform = transformRegistry.get(job.transform_type);
+  if (!transform) {
+    throw new Error(`Unknown transform type: ${job.transform_type}`);
+  }
+  
+  // Process input files
+  const { parts: inputParts, documents, imagesSent } = await processInputFiles(job.files, { signal });
+  if (!documents.some(doc => doc.has_text || doc.images_sent > 0)) {
+    // Never send the model an empty prompt: it would invent every field
+    throw new InputExtractionError(
+      'No input file contains extractable text or a usable image',
+      documents
+    );
+  }
+  
+  const request = {
+    model: CONFIG.model,
+    maxTokens: CONFIG.maxOutputTokens,
+    system: transform.prompt,
+    transformType: job.transform_type,
+    tool: {
+      name: EXTRACTION_TOOL_NAME,
+      description: 'Record the information extracted from the documents. Use null for anything the documents do not show.',
+      input_schema: transform.outputSchema
+    },
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'Please extract information from these documents:' },
+          ...inputParts
+        ]
+      }
+    ]
+  };
+  
+  return {
+    request,
+    documents,
+    imagesSent,
+    token_estimate: tokenCounter.estimate(request),
+    max_input_tokens: CONFIG.maxInputTokens
+  };
+}
+
 /**
  * Execute z4_format_transform job
  * @param {Object} job - Job definition
  * @param {Object} options - Execution options
+ * @param {Function} [options.onProgress] - (percent) => void
+ * @param {Object} [options.provider] - Model provider (default: MODEL_PROVIDER)
+ * @param {boolean} [options.dryRun] - Stop before the model call; output the assembled prompt
+ * @param {AbortSignal} [options.signal] - Aborts the job; its reason is thrown
+ * @param {Object} [options.prepared] - prepareZ4Request() result for this job, when
+ *   already prepared (for its budget estimate); its inputs are not extracted again
  * @returns {Object} Execution result with outputs
  */
 export async function executeZ4Job(job, options = {}) {
-  const { onProgress } = options;
+  const { onProgress, signal } = options;
   const startTime = Date.now();
   
   console.log(`[Z4] Starting execution: ${job.job_id}`);
@@ -201,73 +216,118 @@ export async function executeZ4Job(job, options = {}) {
   // Report progress
   if (onProgress) onProgress(10);
   
-  // Get appropriate prompt
-  const systemPrompt = PROMPTS[job.transform_type];
-  if (!systemPrompt) {
-    throw new Error(`Unknown transform type: ${job.transform_type}`);
+  const { request, documents, imagesSent, token_estimate: tokenEstimate } = options.prepared
+    || await prepareZ4Request(job, { signal });
+  // Oversized prompts never reach the model - dry runs fail the same way
+  if (tokenEstimate.tokens_in > CONFIG.maxInputTokens) {
+    throw new InputTokenLimitError(tokenEstimate, CONFIG.maxInputTokens);
   }
-  
-  // Process input files
-  const inputContent = await processInputFiles(job.files);
+  signal?.throwIfAborted();
   if (onProgress) onProgress(30);
   
-  // Initialize Anthropic client
-  const anthropic = new Anthropic({
-    apiKey: process.env.ANTHROPIC_API_KEY
-  });
+  // Dry run: everything up to, but not including, the model call
+  if (options.dryRun) {
+    const { output, prompt } = await writeDryRunPrompt(job, request, imagesSent);
+    if (onProgress) onProgress(90);
+    
+    console.log(`[Z4] Dry run complete: ${Date.now() - startTime}ms (no model call)`);
+    
+    return {
+      success: true,
+      dry_run: true,
+      outputs: [output],
+      prompt,
+      token_estimate: tokenEstimate,
+      input_documents: documents,
+      images_sent: imagesSent,
+      execution_time_ms: Date.now() - startTime
+    };
+  }
+  
+  // Model provider (MODEL_PROVIDER, see providers/index.js)
+  const provider = options.provider || createProvider();
+  const extractionMode = provider.supportsTools ? 'tool_use' : 'text';
   
   // Execute AI extraction
-  console.log(`[Z4] Calling AI model: ${CONFIG.model}`);
+  console.log(`[Z4] Calling AI model: ${CONFIG.model} (provider: ${provider.name}, extraction: ${extractionMode})`);
   
-  const response = await anthropic.messages.create({
-    model: CONFIG.model,
-    max_tokens: CONFIG.maxOutputTokens,
-    system: systemPrompt,
-    messages: [
-      {
-        role: 'user',
-        content: `Please extract information from these documents:\n\n${inputContent}`
-      }
-    ]
-  });
+  let response;
+  try {
+    response = await provider.createMessage({
+      ...request,
+      tool: extractionMode === 'tool_use' ? request.tool : undefined,
+      signal
+    });
+  } catch (error) {
+    // An aborted call surfaces as the abort reason, not a provider error
+    signal?.throwIfAborted();
+    throw error;
+  }
+  signal?.throwIfAborted();
   
   if (onProgress) onProgress(70);
   
-  // Parse response
-  const extractedContent = response.content[0].text;
-  let extractedData;
+  // Read the extraction: the tool input, or the first JSON object in the text
+  const extractedContent = response.text || '';
+  const parsed = extractionMode === 'tool_use'
+    ? (isPlainObject(response.toolInput) ? response.toolInput : null)
+    : parseFirstJsonObject(extractedContent);
+  if (parsed === null) {
+    console.warn(`[Z4] No structured extraction (${extractionMode}), using raw content`);
+  }
+  const extraction = {
+    mode: extractionMode,
+    tool: extractionMode === 'tool_use' ? EXTRACTION_TOOL_NAME : null,
+    structured: parsed !== null
+  };
   
-  try {
-    // Try to parse as JSON
-    const jsonMatch = extractedContent.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      extractedData = JSON.parse(jsonMatch[0]);
-    } else {
-      extractedData = { raw_extraction: extractedContent };
-    }
-  } catch (e) {
-    console.warn('[Z4] Could not parse as JSON, using raw content');
-    extractedData = { raw_extraction: extractedContent };
+  // Conform to the transform's output schema: coerce, null + review, drop
+  const transform = transformRegistry.get(job.transform_type);
+  const { data: conformed, ...schemaCheck } = validateExtraction(parsed, transform.outputSchema);
+  if (!schemaCheck.valid) {
+    console.warn(`[Z4] Extraction failed schema validation: ${schemaCheck.fields_requiring_review.length} field(s) set for review`);
   }
+
+  // Canonical IC, dates, amounts, tariffs; cross-checks become review items
+  const { data: normalized, ...normalization } = normalizeExtraction(conformed, transform);
+  let extractedData = normalized;
+  if (parsed === null && extractedContent) {
+    extractedData.raw_extraction = extractedContent;
+  }
+  
+  // Calculate token usage
+  const tokenUsage = {
+    tokens_in: response.usage.input_tokens,
+    tokens_out: response.usage.output_tokens,
+    total_tokens: response.usage.input_tokens + response.usage.output_tokens,
+    model_used: response.model,
+    provider: provider.name
+  };
   
   // Validate output for forbidden language
-  validateOutputLanguage(extractedContent, job.transform_type);
+  const languageCheck = validateOutputLanguage(extractedData, job.transform_type);
+  if (languageCheck.action === 'blocked') {
+    throw new ForbiddenLanguageError(languageCheck, tokenUsage);
+  }
+  if (languageCheck.action === 'redacted') {
+    extractedData = languageCheck.redacted;
+  }
+  delete languageCheck.redacted;
+  
+  // Record what the substrate itself saw in each input (not model-reported)
+  extractedData.extraction_metadata = {
+    ...(extractedData.extraction_metadata || {}),
+    input_documents: documents
+  };
   
   if (onProgress) onProgress(80);
   
   // Generate outputs
+  signal?.throwIfAborted();
   const outputs = await generateOutputs(job, extractedData);
   
   if (onProgress) onProgress(90);
   
-  // Calculate token usage
-  const tokenUsage = {
-    tokens_in: response.usage.input_tokens,
-    tokens_out: response.usage.output_tokens,
-    total_tokens: response.usage.input_tokens + response.usage.output_tokens,
-    model_used: CONFIG.model
-  };
-  
   const endTime = Date.now();
   
   console.log(`[Z4] Execution complete: ${endTime - startTime}ms`);
@@ -277,7 +337,13 @@ export async function executeZ4Job(job, options = {}) {
     success: true,
     outputs,
     extracted_data: extractedData,
+    language_check: languageCheck,
+    schema_check: schemaCheck,
+    normalization,
+    extraction,
+    images_sent: imagesSent,
     token_usage: tokenUsage,
+    provider: provider.name,
     execution_time_ms: endTime - startTime
   };
 }
@@ -287,61 +353,174 @@ export async function executeZ4Job(job, options = {}) {
 // ============================================================
 
 /**
- * Process input files and extract content
+ * Process input files into model content blocks
+ *
+ * Text is sent as text blocks; photos and scanned PDF pages are sent
+ * as base64 image blocks directly after their file/page label.
+ *
+ * @returns {Promise<Object>} { parts, documents, imagesSent }
  */
-async function processInputFiles(files) {
-  const contents = [];
+async function processInputFiles(files, { signal } = {}) {
+  const parts = [];
+  const documents = [];
+  const imagesSent = [];
+  
+  const pushText = (text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === 'text') last.text += `\n${text}`;
+    else parts.push({ type: 'text', text });
+  };
   
   for (const file of files) {
-    const content = await extractFileContent(file);
-    contents.push(`--- ${file.originalname} ---\n${content}\n`);
+    signal?.throwIfAborted();
+    const { segments, metadata } = await extractFileContent(file, { signal });
+    let fileImages = 0;
+    
+    pushText(`\n--- ${file.originalname} ---`);
+    for (const segment of segments) {
+      if (segment.text !== undefined) {
+        pushText(segment.text);
+        continue;
+      }
+      const label = segment.page ? `${file.originalname} page ${segment.page}` : file.originalname;
+      const image = buildImageBlock(segment.image, { label });
+      parts.push(image.block);
+      fileImages++;
+      imagesSent.push({
+        slot: file.fieldname,
+        name: file.originalname,
+        page: segment.page || null,
+        media_type: image.media_type,
+        size_bytes: image.size_bytes,
+        sha256: computeHash(segment.image)
+      });
+    }
+    
+    documents.push({ slot: file.fieldname, name: file.originalname, ...metadata, images_sent: fileImages });
   }
   
-  return contents.join('\n');
+  checkImageCount(imagesSent.length);
+  
+  return { parts, documents, imagesSent };
 }
 
 /**
  * Extract content from a file based on its type
+ * @returns {Promise<Object>} { segments: [{ text } | { image, page? }], metadata }
  */
-async function extractFileContent(file) {
+async function extractFileContent(file, { signal } = {}) {
   const ext = path.extname(file.originalname).toLowerCase();
   
-  // For Phase 1α, we'll use placeholder extraction
-  // In production, integrate proper OCR/PDF extraction
-  
   switch (ext) {
-    case '.pdf':
-      // TODO: Integrate pdf-parse or similar
-      return `[PDF Content from: ${file.originalname}]\n[Size: ${file.size} bytes]\n[Requires OCR processing]`;
+    case '.pdf': {
+      const pdf = await extractPdfText(file.path, { fileName: file.originalname, signal });
+      const pageImages = new Map(
+        (await extractPageImages(file.path, pdf.image_only_pages, { fileName: file.originalname, signal }))
+          .map(({ page, image }) => [page, encodePng(image)])
+      );
+      
+      const segments = [];
+      for (const page of pdf.pages) {
+        const header = `[Page ${page.number} of ${pdf.page_count}]`;
+        if (!page.image_only) {
+          segments.push({ text: `${header}\n${page.text}` });
+        } else if (pageImages.has(page.number)) {
+          segments.push({ text: `${header} [Scanned page - image attached]` });
+          segments.push({ image: pageImages.get(page.number), page: page.number });
+        } else {
+          segments.push({ text: `${header} [Scanned page - image could not be decoded]` });
+        }
+      }
+      
+      return {
+        segments,
+        metadata: {
+          type: 'pdf',
+          page_count: pdf.page_count,
+          image_only_pages: pdf.image_only_pages,
+          scanned: pdf.scanned,
+          has_text: pdf.pages.some(page => page.text.length > 0)
+        }
+      };
+    }
     
     case '.jpg':
     case '.jpeg':
     case '.png':
-      // TODO: Integrate image OCR
-      return `[Image Content from: ${file.originalname}]\n[Size: ${file.size} bytes]\n[Requires image OCR]`;
+      return {
+        segments: [{ text: '[Image attached]' }, { image: await readFile(file.path) }],
+        metadata: { type: 'image', has_text: false }
+      };
     
-    case '.txt':
+    case '.txt': {
       // Read text file directly
-      const { readFile } = await import('fs/promises');
-      return await readFile(file.path, 'utf-8');
+      const text = await readFile(file.path, 'utf-8');
+      return { segments: [{ text }], metadata: { type: 'text', has_text: text.trim().length > 0 } };
+    }
     
     default:
-      return `[Unknown file type: ${file.originalname}]`;
+      return {
+        segments: [{ text: `[Unknown file type: ${file.originalname}]` }],
+        metadata: { type: 'unknown', has_text: false }
+      };
   }
 }
 
 /**
- * Validate output doesn't contain forbidden language
+ * Check extracted data for forbidden decision language
+ *
+ * Only string values are inspected (keys come from our own schema).
+ * Each match records the phrase, the JSON path of the value and the
+ * character offset within it.
+ *
+ * @param {Object} extractedData - Parsed extraction
+ * @param {string} transformType - Transform type
+ * @returns {Object} { mode, action, matches, redacted? }
  */
-function validateOutputLanguage(content, transformType) {
-  const forbidden = FORBIDDEN_PHRASES[transformType.split('_')[0]] || [];
-  
-  for (const phrase of forbidden) {
-    if (content.toLowerCase().includes(phrase.toLowerCase())) {
-      console.warn(`[Z4] WARNING: Output contains forbidden phrase: "${phrase}"`);
-      // In strict mode, could throw error here
+export function validateOutputLanguage(extractedData, transformType) {
+  const forbidden = transformRegistry.get(transformType)?.forbiddenPhrases || [];
+  const mode = getEnforcementMode(transformType);
+  const matches = [];
+
+  const visit = (value, location) => {
+    if (typeof value === 'string') {
+      let masked = value;
+      for (const phrase of forbidden) {
+        const pattern = new RegExp(escapeRegExp(phrase), 'gi');
+        for (const match of value.matchAll(pattern)) {
+          matches.push({ phrase, path: location, index: match.index });
+        }
+        masked = masked.replace(pattern, REDACTION_MASK);
+      }
+      return masked;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, i) => visit(item, `${location}[${i}]`));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, visit(item, location ? `${location}.${key}` : key)])
+      );
     }
+    return value;
+  };
+
+  const redacted = visit(extractedData, '');
+
+  for (const match of matches) {
+    console.warn(`[Z4] WARNING: Output contains forbidden phrase: "${match.phrase}" at ${match.path}`);
+  }
+
+  let action = 'none';
+  if (matches.length > 0) {
+    action = { warn: 'warned', redact: 'redacted', block: 'blocked' }[mode];
   }
+
+  return { mode, action, matches, redacted };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
 /**
@@ -369,10 +548,9 @@ async function generateOutputs(job, extractedData) {
     sha256: computeHash(jsonContent)
   });
   
-  // 2. Generate summary document (text for now, PDF in full implementation)
-  const summaryFileName = job.transform_type === 'mortgage_eligibility_summary' 
-    ? 'eligibility_summary.txt' 
-    : 'proposal_draft.txt';
+  // 2. Generate summary document (text)
+  const { summary, disclaimer } = transformRegistry.get(job.transform_type);
+  const summaryFileName = summary.fileName;
   
   const summaryPath = path.join(outputDir, summaryFileName);
   const summaryContent = generateSummaryDocument(job, extractedData);
@@ -387,18 +565,84 @@ async function generateOutputs(job, extractedData) {
     sha256: computeHash(summaryContent)
   });
   
+  // 3. Generate summary document (PDF), traceable to the JSON by its hash
+  const pdfPath = path.join(outputDir, summary.pdfFileName);
+  const pdfContent = renderSummaryPdf({
+    title: summary.title,
+    disclaimer,
+    job,
+    extractedData,
+    dataHash: outputs[0].sha256
+  });
+  
+  await writeFile(pdfPath, pdfContent);
+  
+  outputs.push({
+    name: summary.pdfFileName,
+    content_type: 'application/pdf',
+    path: pdfPath,
+    size_bytes: pdfContent.length,
+    sha256: computeHash(pdfContent)
+  });
+  
   return outputs;
 }
 
+/**
+ * Write the request a dry run would have sent as its only output.
+ * Image payloads are replaced by a reference to their images_sent
+ * entry (same order, sha256 of the exact bytes) to keep the file small.
+ * @returns {Promise<Object>} { output, prompt }
+ */
+async function writeDryRunPrompt(job, request, imagesSent) {
+  const outputDir = path.join(CONFIG.outputDir, job.job_id);
+  await mkdir(outputDir, { recursive: true });
+  
+  let imageIndex = 0;
+  const content = request.messages.map(message => ({
+    ...message,
+    content: message.content.map(block => {
+      if (block.type !== 'image') return block;
+      const image = imagesSent[imageIndex++];
+      return {
+        type: 'image',
+        source: { type: 'base64', media_type: block.source.media_type, data: `<${image.size_bytes} bytes, sha256:${image.sha256}>` }
+      };
+    })
+  }));
+  
+  const prompt = {
+    dry_run: true,
+    model: request.model,
+    max_tokens: request.maxTokens,
+    system: request.system,
+    // Sent only to providers with tool support
+    tool: request.tool,
+    messages: content
+  };
+  
+  const fileName = 'dry_run_prompt.json';
+  const filePath = path.join(outputDir, fileName);
+  const fileContent = JSON.stringify(prompt, null, 2);
+  await writeFile(filePath, fileContent, 'utf-8');
+  
+  return {
+    output: {
+      name: fileName,
+      content_type: 'application/json',
+      path: filePath,
+      size_bytes: Buffer.byteLength(fileContent),
+      sha256: computeHash(fileContent)
+    },
+    prompt
+  };
+}
+
 /**
  * Generate summary document content
  */
 function generateSummaryDocument(job, extractedData) {
-  const title = job.transform_type === 'mortgage_eligibility_summary'
-    ? 'ELIGIBILITY SUMMARY (Non-Decision Document)'
-    : 'SOLAR PROPOSAL DRAFT (Non-Binding Document)';
-  
-  const disclaimer = DISCLAIMERS[job.transform_type];
+  const { summary: { title }, disclaimer } = transformRegistry.get(job.transform_type);
   const now = new Date();
   const expiresAt = new Date(job.expires_at);
   
@@ -451,6 +695,12 @@ function formatExtractedData(data, indent = 0) {
       result += `${spaces}${key}: [Not extracted]\n`;
     } else if (typeof value === 'object' && !Array.isArray(value)) {
       result += `${spaces}${key}:\n${formatExtractedData(value, indent + 1)}`;
+    } else if (Array.isArray(value) && value.some(item => item && typeof item === 'object')) {
+      // e.g. review_items: one line per item
+      result += `${spaces}${key}:\n`;
+      for (const item of value) {
+        result += `${spaces}  - ${Object.values(item).join(' | ')}\n`;
+      }
     } else if (Array.isArray(value)) {
       result += `${spaces}${key}: ${value.join(', ') || '[None]'}\n`;
     } else {
@@ -461,6 +711,51 @@ function formatExtractedData(data, indent = 0) {
   return result;
 }
 
+/**
+ * First top-level JSON object in a text, skipping prose around it
+ * and any later objects
+ * @returns {Object|null}
+ */
+export function parseFirstJsonObject(text) {
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    const end = matchingBrace(text, start);
+    if (end === -1) continue;
+    try {
+      const value = JSON.parse(text.slice(start, end + 1));
+      if (isPlainObject(value)) return value;
+    } catch (e) {
+      // Not JSON from this brace; try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Index of the brace closing the one at `start`, ignoring braces in strings
+ */
+function matchingBrace(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
 /**
  * Compute SHA256 hash of content
  */
@@ -468,4 +763,4 @@ function computeHash(content) {
   return `sha256:${createHash('sha256').update(content).digest('hex')}`;
 }
 
-export default { executeZ4Job };
+export default { executeZ4Job, prepareZ4Request, validateOutputLanguage, parseFirstJsonObject };
@@ -0,0 +1,355 @@
+/**
+ * ============================================================
+ * Z4 EXECUTOR - TEST SUITE
+ * ============================================================
+ * Tests for forbidden decision language enforcement and
+ * end-to-end execution against the mock provider
+ *
+ * Run with: node --test src/jobs/z4-executor.test.js
+ * ============================================================
+ */
+
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createHash } from 'crypto';
+import { mkdtempSync } from 'fs';
+import { writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { MockProvider } from '../providers/mock-provider.js';
+
+// OUTPUT_DIR and MAX_INPUT_TOKENS are read once at import
+const outputDir = mkdtempSync(path.join(tmpdir(), 'kt-z4-'));
+process.env.OUTPUT_DIR = outputDir;
+process.env.MAX_INPUT_TOKENS = '2000';
+const {
+  executeZ4Job,
+  prepareZ4Request,
+  validateOutputLanguage,
+  getEnforcementMode,
+  parseFirstJsonObject,
+  JobTimeoutError,
+  JobCancelledError
+} = await import('./z4-executor.js');
+
+const extraction = () => ({
+  personal: { name: 'Ali bin Abu' },
+  employment: { position: 'Engineer', notes: 'Approved by HR. Low risk profile.' },
+  extraction_metadata: { fields_requiring_review: ['Likely to qualify'] }
+});
+
+describe('Z4 Executor - Forbidden Language', () => {
+  afterEach(() => {
+    delete process.env.LANGUAGE_ENFORCEMENT_MODE;
+    delete process.env.LANGUAGE_ENFORCEMENT_MORTGAGE_ELIGIBILITY_SUMMARY;
+  });
+
+  describe('Enforcement mode resolution', () => {
+    it('should default to warn', () => {
+      assert.strictEqual(getEnforcementMode('mortgage_eligibility_summary'), 'warn');
+    });
+
+    it('should prefer the per-transform setting over the global one', () => {
+      process.env.LANGUAGE_ENFORCEMENT_MODE = 'redact';
+      process.env.LANGUAGE_ENFORCEMENT_MORTGAGE_ELIGIBILITY_SUMMARY = 'block';
+
+      assert.strictEqual(getEnforcementMode('mortgage_eligibility_summary'), 'block');
+      assert.strictEqual(getEnforcementMode('solar_proposal_draft'), 'redact');
+    });
+
+    it('should reject unknown modes', () => {
+      process.env.LANGUAGE_ENFORCEMENT_MODE = 'ignore';
+
+      assert.throws(() => getEnforcementMode('solar_proposal_draft'), /Invalid language enforcement mode/);
+    });
+  });
+
+  describe('Matching', () => {
+    it('should record each phrase with its path and offset', () => {
+      const check = validateOutputLanguage(extraction(), 'mortgage_eligibility_summary');
+
+      assert.deepStrictEqual(check.matches, [
+        { phrase: 'Approved', path: 'employment.notes', index: 0 },
+        { phrase: 'Low risk', path: 'employment.notes', index: 16 },
+        { phrase: 'Likely to qualify', path: 'extraction_metadata.fields_requiring_review[0]', index: 0 }
+      ]);
+    });
+
+    it('should match case-insensitively', () => {
+      const check = validateOutputLanguage({ note: 'this is APPROVED' }, 'mortgage_eligibility_summary');
+
+      assert.strictEqual(check.matches.length, 1);
+    });
+
+    it('should report no action on clean output', () => {
+      const check = validateOutputLanguage({ personal: { name: 'Ali' } }, 'mortgage_eligibility_summary');
+
+      assert.strictEqual(check.action, 'none');
+      assert.deepStrictEqual(check.matches, []);
+    });
+
+    it('should use the solar phrase list for solar transforms', () => {
+      const check = validateOutputLanguage({ visual: { photo_observations: 'Best option is south roof' } }, 'solar_proposal_draft');
+
+      assert.strictEqual(check.matches[0].phrase, 'Best option');
+    });
+  });
+
+  describe('Modes', () => {
+    it('warn: should leave the extraction unchanged', () => {
+      const check = validateOutputLanguage(extraction(), 'mortgage_eligibility_summary');
+
+      assert.strictEqual(check.action, 'warned');
+    });
+
+    it('redact: should mask matched phrases in a copy of the extraction', () => {
+      process.env.LANGUAGE_ENFORCEMENT_MODE = 'redact';
+      const original = extraction();
+
+      const check = validateOutputLanguage(original, 'mortgage_eligibility_summary');
+
+      assert.strictEqual(check.action, 'redacted');
+      assert.strictEqual(check.redacted.employment.notes, '[REDACTED] by HR. [REDACTED] profile.');
+      assert.strictEqual(check.redacted.personal.name, 'Ali bin Abu');
+      assert.strictEqual(original.employment.notes, 'Approved by HR. Low risk profile.');
+    });
+
+    it('block: should report the output as blocked', () => {
+      process.env.LANGUAGE_ENFORCEMENT_MORTGAGE_ELIGIBILITY_SUMMARY = 'block';
+
+      const check = validateOutputLanguage(extraction(), 'mortgage_eligibility_summary');
+
+      assert.strictEqual(check.action, 'blocked');
+    });
+  });
+});
+
+describe('Z4 Executor - Mock provider execution', () => {
+  let payslipPath;
+
+  before(async () => {
+    payslipPath = path.join(outputDir, 'payslip-upload');
+    await writeFile(payslipPath, 'PAYSLIP\nName: AHMAD BIN ABDULLAH\nGross: RM 6,500.00');
+  });
+
+  after(async () => {
+    await rm(outputDir, { recursive: true, force: true });
+  });
+
+  const job = (overrides = {}) => ({
+    job_id: 'job-mock-1',
+    expires_at: '2026-01-19T00:00:00.000Z',
+    transform_type: 'mortgage_eligibility_summary',
+    files: [{ fieldname: 'payslip', originalname: 'payslip.txt', mimetype: 'text/plain', path: payslipPath }],
+    ...overrides
+  });
+
+  it('should run a job end to end without network access', async () => {
+    const result = await executeZ4Job(job(), { provider: new MockProvider() });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.provider, 'mock');
+    assert.strictEqual(result.token_usage.model_used, 'mock-extractor-v1');
+    assert.strictEqual(result.extracted_data.personal.name, 'AHMAD BIN ABDULLAH');
+    assert.strictEqual(result.language_check.action, 'none');
+
+    const written = JSON.parse(await readFile(path.join(outputDir, 'job-mock-1', 'extracted_data.json'), 'utf-8'));
+    assert.strictEqual(written.employment.gross_salary, 6500);
+
+    assert.deepStrictEqual(result.outputs.map(o => [o.name, o.content_type]), [
+      ['extracted_data.json', 'application/json'],
+      ['eligibility_summary.txt', 'text/plain'],
+      ['eligibility_summary.pdf', 'application/pdf']
+    ]);
+    const pdf = await readFile(path.join(outputDir, 'job-mock-1', 'eligibility_summary.pdf'));
+    assert.strictEqual(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.strictEqual(result.outputs[2].sha256, `sha256:${createHash('sha256').update(pdf).digest('hex')}`);
+  });
+
+  it('should conform the extraction to the transform schema before writing it', async () => {
+    const provider = {
+      name: 'loose',
+      createMessage: async () => ({
+        text: 'Here you go: {"personal": {"name": "AHMAD", "nickname": "Mat"}, "employment": {"gross_salary": "RM 6,500.00", "net_salary": "unclear"}}',
+        usage: { input_tokens: 10, output_tokens: 10 },
+        model: 'loose-1'
+      })
+    };
+
+    const result = await executeZ4Job(job({ job_id: 'job-loose-1' }), { provider });
+
+    assert.strictEqual(result.extracted_data.employment.gross_salary, 6500);
+    assert.strictEqual(result.extracted_data.employment.net_salary, null);
+    assert.strictEqual('nickname' in result.extracted_data.personal, false);
+    assert.strictEqual(result.schema_check.valid, false);
+    assert.ok(result.extracted_data.extraction_metadata.fields_requiring_review.includes('employment.net_salary'));
+    assert.strictEqual(result.extracted_data.extraction_metadata.fields_extracted, 2);
+  });
+
+  it('should normalize fields after the schema check and report cross-checks for review', async () => {
+    const provider = {
+      name: 'loose',
+      createMessage: async () => ({
+        text: '{"personal": {"name": "AHMAD", "ic_number": "850615 14 5123", "date_of_birth": "16/06/1985"}}',
+        usage: { input_tokens: 10, output_tokens: 10 },
+        model: 'loose-1'
+      })
+    };
+
+    const result = await executeZ4Job(job({ job_id: 'job-normalize-1' }), { provider });
+
+    assert.strictEqual(result.extracted_data.personal.ic_number, '850615-14-5123');
+    assert.strictEqual(result.extracted_data.personal.date_of_birth, '1985-06-16');
+    assert.deepStrictEqual(result.normalization.review_items.map(i => i.code), ['DOB_IC_MISMATCH']);
+    assert.ok(result.extracted_data.extraction_metadata.fields_requiring_review.includes('personal.date_of_birth'));
+  });
+
+  it('should read the extraction from the tool call when the provider supports tools', async () => {
+    let sent;
+    const provider = new MockProvider();
+    const createMessage = provider.createMessage.bind(provider);
+    provider.createMessage = async (request) => { sent = request; return createMessage(request); };
+
+    const result = await executeZ4Job(job({ job_id: 'job-tool-1' }), { provider });
+
+    assert.strictEqual(sent.tool.name, 'record_extraction');
+    assert.ok(sent.tool.input_schema.properties.employment);
+    assert.deepStrictEqual(result.extraction, { mode: 'tool_use', tool: 'record_extraction', structured: true });
+    assert.strictEqual(result.extracted_data.employment.gross_salary, 6500);
+  });
+
+  it('should fall back to text parsing when the provider has no tool support', async () => {
+    let sent;
+    const provider = new MockProvider({ supportsTools: false });
+    const createMessage = provider.createMessage.bind(provider);
+    provider.createMessage = async (request) => { sent = request; return createMessage(request); };
+
+    const result = await executeZ4Job(job({ job_id: 'job-text-1' }), { provider });
+
+    assert.strictEqual(sent.tool, undefined);
+    assert.deepStrictEqual(result.extraction, { mode: 'text', tool: null, structured: true });
+    assert.strictEqual(result.extracted_data.personal.name, 'AHMAD BIN ABDULLAH');
+  });
+
+  it('should keep the reply as raw_extraction when the model does not call the tool', async () => {
+    const provider = {
+      name: 'stubborn',
+      supportsTools: true,
+      createMessage: async () => ({ text: 'I cannot read these documents.', toolInput: null, usage: { input_tokens: 1, output_tokens: 1 }, model: 'x' })
+    };
+
+    const result = await executeZ4Job(job({ job_id: 'job-notool-1' }), { provider });
+
+    assert.strictEqual(result.extraction.structured, false);
+    assert.strictEqual(result.extracted_data.raw_extraction, 'I cannot read these documents.');
+    assert.strictEqual(result.extracted_data.extraction_metadata.fields_extracted, 0);
+  });
+
+  it('should report identical usage for identical jobs', async () => {
+    const first = await executeZ4Job(job(), { provider: new MockProvider() });
+    const second = await executeZ4Job(job(), { provider: new MockProvider() });
+
+    assert.ok(first.token_usage.tokens_in > 0);
+    assert.deepStrictEqual(first.token_usage, second.token_usage);
+  });
+
+  it('dry run: should assemble the prompt and estimate cost without calling the provider', async () => {
+    const provider = { name: 'unreachable', createMessage: async () => assert.fail('model called in dry run') };
+
+    const result = await executeZ4Job(job({ job_id: 'job-dry-1' }), { provider, dryRun: true });
+
+    assert.strictEqual(result.dry_run, true);
+    assert.deepStrictEqual(result.outputs.map(o => o.name), ['dry_run_prompt.json']);
+    assert.match(result.prompt.messages[0].content[0].text, /Please extract information/);
+    assert.match(result.prompt.messages[0].content[1].text, /AHMAD BIN ABDULLAH/);
+    assert.strictEqual(result.token_estimate.estimated, true);
+    assert.ok(result.token_estimate.tokens_in > 0);
+
+    const written = JSON.parse(await readFile(result.outputs[0].path, 'utf-8'));
+    assert.deepStrictEqual(written, result.prompt);
+  });
+
+  it('should estimate input tokens over the assembled prompt', async () => {
+    const prepared = await prepareZ4Request(job());
+
+    const promptChars = prepared.request.system.length
+      + JSON.stringify(prepared.request.tool).length
+      + prepared.request.messages[0].content.reduce((sum, block) => sum + block.text.length, 0);
+    assert.strictEqual(prepared.token_estimate.tokens_in, Math.ceil(promptChars / 4));
+    assert.strictEqual(prepared.token_estimate.tokens_out, 4096);
+    assert.strictEqual(prepared.max_input_tokens, 2000);
+  });
+
+  it('should execute a request prepared earlier without extracting the inputs again', async () => {
+    const prepared = await prepareZ4Request(job());
+    const gone = job({ job_id: 'job-prepared-1', files: [{ ...job().files[0], path: path.join(outputDir, 'no-such-upload') }] });
+
+    const result = await executeZ4Job(gone, { provider: new MockProvider(), prepared });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.extracted_data.extraction_metadata.input_documents, prepared.documents);
+    assert.strictEqual(result.extracted_data.personal.name, 'AHMAD BIN ABDULLAH');
+  });
+
+  it('should reject prompts above MAX_INPUT_TOKENS before calling the provider', async () => {
+    const statementPath = path.join(outputDir, 'statement-upload');
+    await writeFile(statementPath, 'TXN 01/01 GROCER RM 12.00\n'.repeat(400));
+    const provider = { name: 'unreachable', createMessage: async () => assert.fail('model called over limit') };
+
+    await assert.rejects(
+      executeZ4Job(job({
+        files: [
+          ...job().files,
+          { fieldname: 'bank_statement', originalname: 'statement.txt', mimetype: 'text/plain', path: statementPath }
+        ]
+      }), { provider }),
+      error => error.code === 'INPUT_TOKEN_LIMIT_EXCEEDED' && /exceeds MAX_INPUT_TOKENS \(2000\)/.test(error.message)
+    );
+  });
+
+  it('should stop a hung model call when the signal aborts, throwing its reason', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new JobTimeoutError(0.05)), 50);
+
+    await assert.rejects(
+      executeZ4Job(job({ job_id: 'job-hung-1' }), { provider: new MockProvider({ latencyMs: 60000 }), signal: controller.signal }),
+      error => error instanceof JobTimeoutError && error.code === 'JOB_TIMEOUT'
+    );
+  });
+
+  it('should not call the provider once the job is cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort(new JobCancelledError());
+    const provider = { name: 'unreachable', createMessage: async () => assert.fail('model called after cancel') };
+
+    await assert.rejects(
+      executeZ4Job(job({ job_id: 'job-cancel-1' }), { provider, signal: controller.signal }),
+      error => error.code === 'JOB_CANCELLED'
+    );
+  });
+
+  it('should surface simulated provider failures as PROVIDER_ERROR', async () => {
+    await assert.rejects(
+      executeZ4Job(job(), { provider: new MockProvider({ failWith: 'overloaded' }) }),
+      error => error.code === 'PROVIDER_ERROR' && error.status === 529
+    );
+  });
+});
+
+describe('Z4 Executor - Text extraction fallback', () => {
+  it('should take the first JSON object, ignoring prose and later objects', () => {
+    const text = 'Sure! Here is the data:\n{"personal": {"name": "Ali {bin} Abu"}}\nAnd a second: {"other": true}';
+
+    assert.deepStrictEqual(parseFirstJsonObject(text), { personal: { name: 'Ali {bin} Abu' } });
+  });
+
+  it('should skip braces that do not open a JSON object', () => {
+    assert.deepStrictEqual(parseFirstJsonObject('Fields {unclear}: {"a": 1}'), { a: 1 });
+    assert.deepStrictEqual(parseFirstJsonObject('Unclosed { then {"a": "x\\"}"}'), { a: 'x"}' });
+  });
+
+  it('should return null when the text holds no object', () => {
+    assert.strictEqual(parseFirstJsonObject('No data found.'), null);
+    assert.strictEqual(parseFirstJsonObject('[1, 2]'), null);
+  });
+});
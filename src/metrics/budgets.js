@@ -0,0 +1,232 @@
+/**
+ * ============================================================
+ * BUDGETS - PER-TENANT SPEND LIMITS (MYR)
+ * ============================================================
+ * Tenants may be given a daily and a monthly budget in MYR
+ * (TENANT_BUDGETS_FILE). Spend is TokenCounter's total_cost_myr:
+ *
+ * - Admission: a job's pre-flight cost estimate must fit in what
+ *   remains of both budgets, after the spend already recorded and
+ *   the estimates of the tenant's jobs still queued or running
+ * - Settlement: when a job attempt ends, its actual cost is
+ *   recorded and its estimate released
+ *
+ * The estimate takes output at MAX_OUTPUT_TOKENS, so admission is
+ * conservative. Periods start at midnight / the 1st in
+ * BUDGET_UTC_OFFSET_HOURS (default +8, Malaysia time).
+ *
+ * Spend is metering of the tenant, not job state: no job reads
+ * anything another job produced (S7).
+ * ============================================================
+ */
+
+import { readFileSync } from 'fs';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+
+/**
+ * Load budgets from a JSON file:
+ *   { "default": { "daily_myr": 50, "monthly_myr": 1000 },
+ *     "tenants": { "<tenant_id>": { "daily_myr": 20, "monthly_myr": null } } }
+ * A missing or null limit means no limit for that period. A tenant
+ * entry replaces the default entry as a whole.
+ * @param {string} [file] - TENANT_BUDGETS_FILE; no budgets when unset
+ * @returns {Object} { default, tenants }
+ */
+export function loadBudgets(file) {
+  if (!file) return { default: {}, tenants: {} };
+
+  const config = JSON.parse(readFileSync(file, 'utf-8'));
+  const budgets = { default: validLimits(config.default, 'default'), tenants: {} };
+  for (const [tenantId, limits] of Object.entries(config.tenants || {})) {
+    budgets.tenants[tenantId] = validLimits(limits, tenantId);
+  }
+  return budgets;
+}
+
+function validLimits(limits = {}, owner) {
+  const valid = {};
+  for (const period of BUDGET_PERIODS) {
+    const value = limits[`${period}_myr`];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !(value >= 0)) {
+      throw new Error(`Budget ${period}_myr for ${owner} must be a non-negative number, got ${JSON.stringify(value)}`);
+    }
+    valid[`${period}_myr`] = value;
+  }
+  return valid;
+}
+
+/**
+ * Budget Ledger - admits jobs against tenant budgets and records spend
+ */
+export class BudgetLedger {
+  /**
+   * @param {Object} options
+   * @param {Object} options.jobStore - Job store holding spend entries (see storage/job-store.js)
+   * @param {Object} options.budgets - From loadBudgets()
+   * @param {number} [options.utcOffsetHours] - BUDGET_UTC_OFFSET_HOURS
+   */
+  constructor({ jobStore, budgets, utcOffsetHours = 8 }) {
+    this.jobStore = jobStore;
+    this.budgets = budgets;
+    this.utcOffsetHours = utcOffsetHours;
+    // job_id -> { tenantId, estimateMyr } for admitted jobs not yet settled
+    this.reservations = new Map();
+    // tenant -> tail of the admission chain for that tenant
+    this.locks = new Map();
+  }
+
+  /**
+   * Limits that apply to a tenant
+   * @returns {Object} { daily_myr, monthly_myr } - null where unlimited
+   */
+  limitsFor(tenantId) {
+    const limits = this.budgets.tenants[tenantId] || this.budgets.default;
+    return {
+      daily_myr: limits.daily_myr ?? null,
+      monthly_myr: limits.monthly_myr ?? null
+    };
+  }
+
+  /**
+   * Does any budget apply to this tenant? (No estimate is needed otherwise.)
+   */
+  isLimited(tenantId) {
+    const limits = this.limitsFor(tenantId);
+    return limits.daily_myr !== null || limits.monthly_myr !== null;
+  }
+
+  /**
+   * Hold a job's estimated cost against its tenant's budgets
+   * @param {Object} params
+   * @param {string} params.tenantId
+   * @param {string} params.jobId
+   * @param {number} params.estimateMyr - Pre-flight cost estimate
+   * @param {Date} [params.now]
+   * @returns {Promise<Object>} { allowed: boolean, period?, reason?, usage? }
+   */
+  async reserve({ tenantId, jobId, estimateMyr, now = new Date() }) {
+    // Serialized per tenant so concurrent submissions cannot both
+    // fit into the same remaining budget
+    const previous = this.locks.get(tenantId) || Promise.resolve();
+    const current = previous.then(() => this.reserveLocked({ tenantId, jobId, estimateMyr, now }));
+    const tail = current.catch(() => {});
+    this.locks.set(tenantId, tail);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(tenantId) === tail) this.locks.delete(tenantId);
+    }
+  }
+
+  async reserveLocked({ tenantId, jobId, estimateMyr, now }) {
+    const usage = await this.usage(tenantId, now);
+
+    for (const period of BUDGET_PERIODS) {
+      const { remaining_myr: remaining } = usage[period];
+      if (remaining !== null && estimateMyr > remaining) {
+        return {
+          allowed: false,
+          period,
+          reason: `Estimated cost RM${estimateMyr.toFixed(4)} exceeds the remaining ${period} budget of RM${remaining.toFixed(4)}`,
+          usage
+        };
+      }
+    }
+
+    this.reservations.set(jobId, { tenantId, estimateMyr });
+    return { allowed: true, usage };
+  }
+
+  /**
+   * Record what a finished attempt actually cost and release its estimate
+   * @param {Object} job - Job record after the attempt (token_metrics, attempts)
+   * @param {Date} [now]
+   * @returns {Promise<number>} MYR recorded
+   */
+  async settle(job, now = new Date()) {
+    this.release(job.job_id);
+
+    const costMyr = job.token_metrics?.cost?.total_cost_myr || 0;
+    if (costMyr <= 0) return 0;
+
+    await this.jobStore.recordSpend({
+      tenant_id: job.tenant_id,
+      job_id: job.job_id,
+      attempt: (job.attempts || []).length,
+      cost_myr: costMyr,
+      recorded_at: now.toISOString()
+    });
+    // Only the current month is ever consulted
+    await this.jobStore.dropSpendBefore(this.periods(now).monthly.start);
+    return costMyr;
+  }
+
+  /**
+   * Drop a job's estimate without recording spend (job never ran)
+   */
+  release(jobId) {
+    this.reservations.delete(jobId);
+  }
+
+  /**
+   * Consumption against each budget for the current periods
+   * @returns {Promise<Object>} { tenant_id, currency, daily, monthly }
+   */
+  async usage(tenantId, now = new Date()) {
+    const limits = this.limitsFor(tenantId);
+    const periods = this.periods(now);
+    const reserved = this.reservedFor(tenantId);
+
+    const report = { tenant_id: tenantId, currency: 'MYR', utc_offset_hours: this.utcOffsetHours };
+    for (const period of BUDGET_PERIODS) {
+      const budget = limits[`${period}_myr`];
+      const spent = await this.jobStore.sumSpend(tenantId, periods[period].start);
+      report[period] = {
+        budget_myr: budget,
+        spent_myr: round(spent),
+        reserved_myr: round(reserved),
+        remaining_myr: budget === null ? null : round(Math.max(0, budget - spent - reserved)),
+        period_start: periods[period].start,
+        resets_at: periods[period].end
+      };
+    }
+    return report;
+  }
+
+  reservedFor(tenantId) {
+    let total = 0;
+    for (const reservation of this.reservations.values()) {
+      if (reservation.tenantId === tenantId) total += reservation.estimateMyr;
+    }
+    return total;
+  }
+
+  /**
+   * Current day and month boundaries in the budget time zone, as UTC ISO strings
+   */
+  periods(now = new Date()) {
+    const offsetMs = this.utcOffsetHours * HOUR_MS;
+    // Shift so the UTC calendar fields read as local time
+    const local = new Date(now.getTime() + offsetMs);
+    const y = local.getUTCFullYear();
+    const m = local.getUTCMonth();
+    const d = local.getUTCDate();
+    const at = (year, month, day) => new Date(Date.UTC(year, month, day) - offsetMs).toISOString();
+
+    return {
+      daily: { start: at(y, m, d), end: at(y, m, d + 1) },
+      monthly: { start: at(y, m, 1), end: at(y, m + 1, 1) }
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export default BudgetLedger;
@@ -0,0 +1,154 @@
+/**
+ * ============================================================
+ * BUDGETS - TEST SUITE
+ * ============================================================
+ * Tests for per-tenant budget admission, spend recording and
+ * period boundaries
+ *
+ * Run with: node --test src/metrics/budgets.test.js
+ * ============================================================
+ */
+
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { BudgetLedger, loadBudgets } from './budgets.js';
+import { MemoryJobStore } from '../storage/memory-store.js';
+
+const NOW = new Date('2026-02-10T04:00:00.000Z'); // 12:00 in Malaysia
+
+const spentJob = (job_id, cost, overrides = {}) => ({
+  job_id,
+  tenant_id: 'acme',
+  token_metrics: { cost: { total_cost_myr: cost } },
+  attempts: [{ attempt: 1 }],
+  ...overrides
+});
+
+describe('Budgets - Loading', () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'kt-budgets-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const write = (config) => {
+    const file = path.join(dir, `${Math.random()}.json`);
+    writeFileSync(file, JSON.stringify(config));
+    return file;
+  };
+
+  it('should apply the default entry unless a tenant has its own', () => {
+    const budgets = loadBudgets(write({
+      default: { daily_myr: 10, monthly_myr: 100 },
+      tenants: { acme: { monthly_myr: 500 } }
+    }));
+    const ledger = new BudgetLedger({ jobStore: new MemoryJobStore(), budgets });
+
+    assert.deepStrictEqual(ledger.limitsFor('other'), { daily_myr: 10, monthly_myr: 100 });
+    assert.deepStrictEqual(ledger.limitsFor('acme'), { daily_myr: null, monthly_myr: 500 });
+  });
+
+  it('should mean no limits when no file is configured', () => {
+    const ledger = new BudgetLedger({ jobStore: new MemoryJobStore(), budgets: loadBudgets(undefined) });
+
+    assert.strictEqual(ledger.isLimited('acme'), false);
+  });
+
+  it('should reject a malformed limit', () => {
+    assert.throws(() => loadBudgets(write({ tenants: { acme: { daily_myr: '50' } } })), /daily_myr for acme/);
+  });
+});
+
+describe('Budgets - Admission and Spend', () => {
+  let store;
+  let ledger;
+
+  beforeEach(() => {
+    store = new MemoryJobStore();
+    ledger = new BudgetLedger({
+      jobStore: store,
+      budgets: { default: {}, tenants: { acme: { daily_myr: 1, monthly_myr: 5 } } }
+    });
+  });
+
+  it('should admit an estimate that fits and hold it until settled', async () => {
+    const result = await ledger.reserve({ tenantId: 'acme', jobId: 'job-1', estimateMyr: 0.6, now: NOW });
+
+    assert.strictEqual(result.allowed, true);
+    const usage = await ledger.usage('acme', NOW);
+    assert.strictEqual(usage.daily.reserved_myr, 0.6);
+    assert.strictEqual(usage.daily.remaining_myr, 0.4);
+  });
+
+  it('should refuse an estimate larger than the remaining daily budget', async () => {
+    await ledger.reserve({ tenantId: 'acme', jobId: 'job-1', estimateMyr: 0.6, now: NOW });
+
+    const result = await ledger.reserve({ tenantId: 'acme', jobId: 'job-2', estimateMyr: 0.6, now: NOW });
+
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.period, 'daily');
+    assert.match(result.reason, /remaining daily budget/);
+    assert.strictEqual(ledger.reservedFor('acme'), 0.6, 'a refused job holds nothing');
+  });
+
+  it('should not let concurrent submissions share the same remaining budget', async () => {
+    const results = await Promise.all([1, 2, 3].map(i =>
+      ledger.reserve({ tenantId: 'acme', jobId: `job-${i}`, estimateMyr: 0.4, now: NOW })));
+
+    assert.deepStrictEqual(results.map(r => r.allowed), [true, true, false]);
+  });
+
+  it('should replace the estimate with actual spend on settle', async () => {
+    await ledger.reserve({ tenantId: 'acme', jobId: 'job-1', estimateMyr: 0.9, now: NOW });
+
+    const recorded = await ledger.settle(spentJob('job-1', 0.25), NOW);
+
+    assert.strictEqual(recorded, 0.25);
+    const usage = await ledger.usage('acme', NOW);
+    assert.strictEqual(usage.daily.spent_myr, 0.25);
+    assert.strictEqual(usage.daily.reserved_myr, 0);
+    assert.strictEqual(usage.monthly.remaining_myr, 4.75);
+  });
+
+  it('should record nothing for an attempt without token metrics', async () => {
+    await ledger.reserve({ tenantId: 'acme', jobId: 'job-1', estimateMyr: 0.9, now: NOW });
+
+    await ledger.settle(spentJob('job-1', 0, { token_metrics: null }), NOW);
+
+    assert.strictEqual((await ledger.usage('acme', NOW)).daily.spent_myr, 0);
+    assert.strictEqual(ledger.reservedFor('acme'), 0);
+  });
+
+  it('should count the monthly budget across days', async () => {
+    for (let day = 1; day <= 5; day++) {
+      await ledger.settle(spentJob(`job-${day}`, 0.9), new Date(Date.UTC(2026, 1, day, 4)));
+    }
+
+    const result = await ledger.reserve({ tenantId: 'acme', jobId: 'job-6', estimateMyr: 0.6, now: NOW });
+
+    assert.strictEqual(result.allowed, false);
+    assert.strictEqual(result.period, 'monthly');
+    assert.strictEqual(result.usage.daily.spent_myr, 0);
+    assert.strictEqual(result.usage.monthly.spent_myr, 4.5);
+  });
+});
+
+describe('Budgets - Periods', () => {
+  const ledger = new BudgetLedger({ jobStore: new MemoryJobStore(), budgets: loadBudgets() });
+
+  it('should start days and months at local midnight (UTC+8)', () => {
+    // 2026-03-01 07:30 in Malaysia is still 2026-02-28 in UTC
+    const periods = ledger.periods(new Date('2026-02-28T23:30:00.000Z'));
+
+    assert.deepStrictEqual(periods, {
+      daily: { start: '2026-02-28T16:00:00.000Z', end: '2026-03-01T16:00:00.000Z' },
+      monthly: { start: '2026-02-28T16:00:00.000Z', end: '2026-03-31T16:00:00.000Z' }
+    });
+  });
+
+  it('should roll the month over in December', () => {
+    const { monthly } = ledger.periods(new Date('2026-12-15T00:00:00.000Z'));
+
+    assert.deepStrictEqual(monthly, { start: '2026-11-30T16:00:00.000Z', end: '2026-12-31T16:00:00.000Z' });
+  });
+});
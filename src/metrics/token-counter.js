@@ -39,6 +39,12 @@ const PRICING = {
 // Exchange rate
 const USD_TO_MYR = parseFloat(process.env.USD_TO_MYR_RATE || '4.65');
 
+// Pre-call estimation (no tokenizer available offline):
+// ~4 characters per text token; images are resized by the API to at
+// most ~1.15 megapixels, which costs up to ~1600 tokens each
+const CHARS_PER_TOKEN = 4;
+const TOKENS_PER_IMAGE = 1600;
+
 /**
  * Token Counter class
  */
@@ -114,6 +120,50 @@ export class TokenCounter {
     return metrics;
   }
   
+  /**
+   * Estimate token usage for a model request before it is sent
+   *
+   * Input is approximated from the request text (including any tool
+   * definition) and image count.
+   * Output is taken at its ceiling (max tokens), so the cost derived
+   * from this estimate is an upper bound, not a prediction.
+   *
+   * @param {Object} request - { model, system, maxTokens, messages, tool? }
+   * @returns {Object} token_usage-shaped estimate (see calculate)
+   */
+  estimate(request) {
+    let chars = (request.system || '').length;
+    // A tool definition is sent as part of the prompt
+    if (request.tool) chars += JSON.stringify(request.tool).length;
+    let images = 0;
+    for (const message of request.messages || []) {
+      const blocks = typeof message.content === 'string'
+        ? [{ type: 'text', text: message.content }]
+        : message.content;
+      for (const block of blocks) {
+        if (block.type === 'text') chars += block.text.length;
+        if (block.type === 'image') images++;
+      }
+    }
+
+    const tokensIn = Math.ceil(chars / CHARS_PER_TOKEN) + images * TOKENS_PER_IMAGE;
+    const tokensOut = request.maxTokens || 0;
+    return {
+      tokens_in: tokensIn,
+      tokens_out: tokensOut,
+      total_tokens: tokensIn + tokensOut,
+      model_used: request.model,
+      estimated: true,
+      basis: {
+        text_chars: chars,
+        images,
+        chars_per_token: CHARS_PER_TOKEN,
+        tokens_per_image: TOKENS_PER_IMAGE,
+        output: 'max_tokens'
+      }
+    };
+  }
+  
   /**
    * Get cost category for display
    * @param {number} costMyr - Cost in MYR
@@ -0,0 +1,249 @@
+/**
+ * ============================================================
+ * PROOF PACK GENERATOR
+ * ============================================================
+ * Principle S1: Every execution produces proof
+ *
+ * A proof pack is the only artefact that records what the
+ * substrate did for a job: which inputs it saw, which outputs
+ * it wrote, which model ran and which governance checks passed.
+ *
+ * Integrity digests are computed from the bytes on disk using
+ * HASH_ALGORITHM - never copied from the executor's own claims.
+ * ============================================================
+ */
+
+import { createHash, getHashes } from 'crypto';
+import { readFile, writeFile, mkdir, access } from 'fs/promises';
+import path from 'path';
+
+// ============================================================
+// CONFIGURATION
+// ============================================================
+
+export const PROOF_PACK_VERSION = '1.0';
+
+const CONFIG = {
+  hashAlgorithm: process.env.HASH_ALGORITHM || 'sha256',
+  proofDir: process.env.PROOF_DIR || './proof',
+  outputDir: process.env.OUTPUT_DIR || './outputs',
+  ttlSeconds: parseInt(process.env.OUTPUT_TTL_SECONDS || '86400'),
+  civosClass: process.env.Z4_CIVOS_CLASS || 'Z'
+};
+
+// ============================================================
+// HASHING
+// ============================================================
+
+/**
+ * Compute a prefixed digest (e.g. "sha256:ab12...") of a buffer or string
+ * @param {Buffer|string} content - Content to hash
+ * @param {string} algorithm - Hash algorithm
+ * @returns {string} Prefixed digest
+ */
+export function digest(content, algorithm = CONFIG.hashAlgorithm) {
+  return `${algorithm}:${createHash(algorithm).update(content).digest('hex')}`;
+}
+
+/**
+ * Hash a file on disk
+ * @param {string} filePath - Path to file
+ * @param {string} algorithm - Hash algorithm
+ * @returns {Promise<string>} Prefixed digest
+ */
+export async function hashFile(filePath, algorithm = CONFIG.hashAlgorithm) {
+  return digest(await readFile(filePath), algorithm);
+}
+
+/**
+ * Combine per-file digests into a single order-independent digest.
+ * Digests are sorted first so upload order does not change the result.
+ */
+export function combineDigests(digests, algorithm) {
+  return digest([...digests].sort().join('\n'), algorithm);
+}
+
+// ============================================================
+// PROOF PACK GENERATION
+// ============================================================
+
+/**
+ * Generate a proof pack for an executed job
+ * @param {Object} job - Job record (job_id, transform_type, files, timing, attempts)
+ * @param {Object} context - Execution context
+ * @param {Object} context.result - Executor result (outputs, token_usage, images_sent, provider)
+ * @param {Array} context.checks - Governance checks that ran: { id, passed, detail? }
+ * @param {boolean} [context.dryRun] - Whether the job ran as a dry run
+ * @param {Object} [context.languageCheck] - Forbidden language check: { mode, action, matches }
+ * @param {Object} [context.schemaCheck] - Output schema check (transforms/schema.js)
+ * @param {Object} [context.normalization] - Field normalization (transforms/normalizers.js)
+ * @param {Object} [context.termination] - Set when the job was stopped: { status, code, reason, at }
+ * @returns {Promise<Object>} Proof pack document
+ */
+export async function generateProofPack(job, { result, checks = [], dryRun = false, languageCheck = null, schemaCheck = null, normalization = null, termination = null }) {
+  const algorithm = CONFIG.hashAlgorithm;
+
+  const inputs = [];
+  for (const file of job.files || []) {
+    inputs.push({
+      slot: file.fieldname,
+      name: file.originalname,
+      content_type: file.mimetype,
+      size_bytes: file.size,
+      digest: await hashFile(file.path, algorithm)
+    });
+  }
+
+  const outputs = [];
+  for (const output of result.outputs || []) {
+    outputs.push({
+      name: output.name,
+      content_type: output.content_type,
+      size_bytes: output.size_bytes,
+      digest: await hashFile(output.path, algorithm)
+    });
+  }
+
+  const s7Checks = checks.filter(c => c.id.startsWith('S7'));
+  const s7Compliant = s7Checks.every(c => c.passed);
+
+  return {
+    proof_pack_version: PROOF_PACK_VERSION,
+    proof_pack_id: `proof-${job.job_id}`,
+    job_id: job.job_id,
+    layer: '0',
+    source: 'kuasaturbo',
+    authoritative: false,
+    status: 'active',
+    generated_at: new Date().toISOString(),
+    job: {
+      job_type: job.job_type,
+      transform_type: job.transform_type,
+      tenant_id: job.tenant_id,
+      idempotency_key: job.idempotency_key
+    },
+    execution: {
+      provider: result.provider || result.token_usage?.provider || null,
+      model: result.token_usage?.model_used || null,
+      execution_time_ms: result.execution_time_ms,
+      // How the extraction was read: { mode: tool_use | text, tool, structured }
+      extraction: result.extraction || null,
+      // Inputs (or scanned PDF pages) that reached the model as image blocks
+      images_sent: result.images_sent || [],
+      // Timed out or cancelled before completion (null when it ran to the end)
+      termination,
+      // Every run of this job_id, oldest first (retries never create a new job)
+      attempts: job.attempts || []
+    },
+    timing: {
+      created_at: job.created_at,
+      completed_at: job.completed_at,
+      duration_ms: job.duration_ms,
+      expires_at: job.expires_at
+    },
+    integrity: {
+      algorithm,
+      inputs,
+      outputs,
+      input_hash: combineDigests(inputs.map(i => i.digest), algorithm),
+      output_hash: combineDigests(outputs.map(o => o.digest), algorithm)
+    },
+    governance_applied: {
+      dry_run_enforced: dryRun,
+      classification_honored: CONFIG.civosClass,
+      invariants_checked: checks,
+      forbidden_language: languageCheck,
+      // Issues by field path only; the model's own review list is not copied
+      output_schema: schemaCheck && {
+        valid: schemaCheck.valid,
+        fields_extracted: schemaCheck.fields_extracted,
+        fields_total: schemaCheck.fields_total,
+        issues: schemaCheck.issues
+      },
+      // Review item codes by field path; messages may quote values
+      normalization: normalization && {
+        normalized: normalization.normalized,
+        review_items: normalization.review_items.map(({ field, code }) => ({ field, code }))
+      }
+    },
+    continuity_check: {
+      s7_compliant: s7Compliant,
+      chain_references_found: !s7Compliant
+    },
+    expiration: {
+      expires_at: job.expires_at,
+      ttl_seconds: CONFIG.ttlSeconds,
+      is_expired: false,
+      // Only a full, S7-clean run with outputs can go to Layer 1 (see jobs/promotion.js)
+      can_promote: !dryRun && !termination && s7Compliant && outputs.length > 0
+    }
+  };
+}
+
+/**
+ * Persist a proof pack to PROOF_DIR/<job_id>.json
+ * @param {Object} proof - Proof pack document
+ * @returns {Promise<string>} Path written
+ */
+export async function writeProofPack(proof) {
+  await mkdir(CONFIG.proofDir, { recursive: true });
+  const proofPath = path.join(CONFIG.proofDir, `${proof.job_id}.json`);
+  await writeFile(proofPath, JSON.stringify(proof, null, 2), 'utf-8');
+  return proofPath;
+}
+
+/**
+ * Check a proof pack's output digests.
+ *
+ * - consistent: integrity.output_hash matches the listed per-output digests
+ * - files: each listed output re-hashed from OUTPUT_DIR/<job_id>/<name>;
+ *   'unavailable' once the output has been purged or was never held here.
+ *   Skipped (files_checked: false) when options.checkFiles is false.
+ *
+ * @param {Object} proof - Proof pack document
+ * @param {Object} [options]
+ * @param {boolean} [options.checkFiles] - Re-hash the stored outputs (default true)
+ * @returns {Promise<Object>} { valid, consistent, files_checked, files: [{ name, status }] }
+ */
+export async function verifyOutputHashes(proof, { checkFiles = true } = {}) {
+  const integrity = proof?.integrity || {};
+  const outputs = Array.isArray(integrity.outputs) ? integrity.outputs : [];
+  const algorithm = integrity.algorithm || CONFIG.hashAlgorithm;
+
+  if (!getHashes().includes(algorithm)) {
+    return { valid: false, consistent: false, files_checked: false, files: [], reason: `Unsupported hash algorithm: ${algorithm}` };
+  }
+
+  const consistent = combineDigests(outputs.map(o => String(o?.digest)), algorithm) === integrity.output_hash;
+  if (!checkFiles) {
+    return { valid: consistent, consistent, files_checked: false, files: [] };
+  }
+  const jobId = String(proof.job_id);
+
+  const files = [];
+  for (const output of outputs.map(o => o || {})) {
+    // Job ids and output names are flat file names; anything else cannot be ours
+    if (typeof output.name !== 'string' || path.basename(output.name) !== output.name || path.basename(jobId) !== jobId) {
+      files.push({ name: output.name, status: 'mismatch' });
+      continue;
+    }
+    const outputPath = path.join(CONFIG.outputDir, jobId, output.name);
+    try {
+      await access(outputPath);
+    } catch (e) {
+      files.push({ name: output.name, status: 'unavailable' });
+      continue;
+    }
+    const actual = await hashFile(outputPath, algorithm);
+    files.push({ name: output.name, status: actual === output.digest ? 'match' : 'mismatch' });
+  }
+
+  return {
+    valid: consistent && files.every(f => f.status !== 'mismatch'),
+    consistent,
+    files_checked: true,
+    files
+  };
+}
+
+export default { generateProofPack, writeProofPack, verifyOutputHashes, hashFile, digest };
@@ -0,0 +1,131 @@
+/**
+ * ============================================================
+ * PROOF PACK GENERATOR - TEST SUITE
+ * ============================================================
+ * Tests that proof packs carry real integrity digests
+ *
+ * Run with: node --test src/proof/generator.test.js
+ * ============================================================
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createHash } from 'crypto';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { generateProofPack, PROOF_PACK_VERSION } from './generator.js';
+
+function sha256(content) {
+  return `sha256:${createHash('sha256').update(content).digest('hex')}`;
+}
+
+describe('Proof Pack Generator', () => {
+  let dir;
+  let job;
+  let result;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'kt-proof-'));
+    await writeFile(path.join(dir, 'payslip'), 'PAYSLIP CONTENT');
+    await writeFile(path.join(dir, 'statement'), 'STATEMENT CONTENT');
+    await writeFile(path.join(dir, 'extracted_data.json'), '{"a":1}');
+
+    job = {
+      job_id: 'job-proof-1',
+      job_type: 'z4_format_transform',
+      transform_type: 'mortgage_eligibility_summary',
+      tenant_id: 'test-tenant',
+      idempotency_key: 'key-1',
+      created_at: '2026-01-18T00:00:00.000Z',
+      expires_at: '2026-01-19T00:00:00.000Z',
+      files: [
+        { fieldname: 'payslip', originalname: 'payslip.txt', mimetype: 'text/plain', size: 15, path: path.join(dir, 'payslip') },
+        { fieldname: 'bank_statement', originalname: 'bank.txt', mimetype: 'text/plain', size: 17, path: path.join(dir, 'statement') }
+      ]
+    };
+
+    result = {
+      outputs: [
+        { name: 'extracted_data.json', content_type: 'application/json', size_bytes: 7, path: path.join(dir, 'extracted_data.json') }
+      ],
+      token_usage: { model_used: 'claude-3-haiku-20240307' },
+      execution_time_ms: 42
+    };
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should hash every input file from disk', async () => {
+    const proof = await generateProofPack(job, { result });
+
+    assert.strictEqual(proof.integrity.inputs.length, 2);
+    assert.strictEqual(proof.integrity.inputs[0].slot, 'payslip');
+    assert.strictEqual(proof.integrity.inputs[0].digest, sha256('PAYSLIP CONTENT'));
+    assert.strictEqual(proof.integrity.inputs[1].digest, sha256('STATEMENT CONTENT'));
+  });
+
+  it('should hash every output file from disk', async () => {
+    const proof = await generateProofPack(job, { result });
+
+    assert.strictEqual(proof.integrity.outputs[0].digest, sha256('{"a":1}'));
+  });
+
+  it('should never contain placeholder hashes', async () => {
+    const proof = await generateProofPack(job, { result });
+
+    assert.ok(!JSON.stringify(proof).includes('sha256:demo'));
+    assert.match(proof.integrity.input_hash, /^sha256:[0-9a-f]{64}$/);
+    assert.match(proof.integrity.output_hash, /^sha256:[0-9a-f]{64}$/);
+  });
+
+  it('should produce an input_hash independent of upload order', async () => {
+    const first = await generateProofPack(job, { result });
+    const reversed = await generateProofPack({ ...job, files: [...job.files].reverse() }, { result });
+
+    assert.strictEqual(first.integrity.input_hash, reversed.integrity.input_hash);
+  });
+
+  it('should record version, transform, model and checks that ran', async () => {
+    const checks = [
+      { id: 'S7-NoContinuity-Admission', passed: true },
+      { id: 'S7-NoContinuity-Output', passed: true }
+    ];
+    const proof = await generateProofPack(job, { result, checks });
+
+    assert.strictEqual(proof.proof_pack_version, PROOF_PACK_VERSION);
+    assert.strictEqual(proof.job.transform_type, 'mortgage_eligibility_summary');
+    assert.strictEqual(proof.execution.model, 'claude-3-haiku-20240307');
+    assert.deepStrictEqual(proof.governance_applied.invariants_checked, checks);
+    assert.strictEqual(proof.continuity_check.s7_compliant, true);
+    assert.strictEqual(proof.authoritative, false);
+  });
+
+  it('should mark S7 non-compliance when an S7 check failed', async () => {
+    const proof = await generateProofPack(job, {
+      result,
+      checks: [{ id: 'S7-NoContinuity-Output', passed: false }]
+    });
+
+    assert.strictEqual(proof.continuity_check.s7_compliant, false);
+    assert.strictEqual(proof.continuity_check.chain_references_found, true);
+  });
+
+  it('should only allow promotion of a full, S7-clean run with outputs', async () => {
+    const promotable = await generateProofPack(job, { result, checks: [{ id: 'S7-NoContinuity-Output', passed: true }] });
+    const dryRun = await generateProofPack(job, { result, dryRun: true });
+    const flagged = await generateProofPack(job, { result, checks: [{ id: 'S7-NoContinuity-Output', passed: false }] });
+    const blocked = await generateProofPack(job, { result: { outputs: [] } });
+    const cancelled = await generateProofPack(job, {
+      result: { outputs: [] },
+      termination: { status: 'cancelled', code: 'JOB_CANCELLED', reason: 'cancelled', at: job.expires_at }
+    });
+
+    assert.strictEqual(promotable.expiration.can_promote, true);
+    for (const proof of [dryRun, flagged, blocked, cancelled]) {
+      assert.strictEqual(proof.expiration.can_promote, false);
+    }
+  });
+});
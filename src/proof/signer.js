@@ -0,0 +1,206 @@
+/**
+ * ============================================================
+ * PROOF SIGNER - ED25519 PROOF PACK SIGNATURES
+ * ============================================================
+ * Lets Qontrek (Layer 1) confirm a proof pack was issued by
+ * this substrate and not edited in transit.
+ *
+ * - Signature covers the canonical serialization of the pack
+ *   with the `signature` block removed
+ * - Canonical form: JSON with object keys sorted recursively,
+ *   no whitespace, undefined members dropped
+ * - key_id is derived from the public key (SPKI fingerprint),
+ *   so it can never drift from the key it names
+ *
+ * Rotation:
+ *   1. Generate a new key (npm run keygen)
+ *   2. Copy the OLD public key into PROOF_VERIFY_KEYS_DIR
+ *   3. Point PROOF_SIGNING_KEY_FILE at the new private key
+ * Packs signed by any key in the verify directory still verify.
+ * Removing a public key from that directory revokes it.
+ * ============================================================
+ */
+
+import { createHash, createPrivateKey, createPublicKey, generateKeyPairSync, sign, verify } from 'crypto';
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import path from 'path';
+
+export const SIGNATURE_ALGORITHM = 'Ed25519';
+export const CANONICALIZATION = 'json-sorted-keys-v1';
+
+// ============================================================
+// CANONICAL SERIALIZATION
+// ============================================================
+
+/**
+ * Serialize a value deterministically (sorted keys, no whitespace)
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(v => (v === undefined ? 'null' : canonicalize(v))).join(',')}]`;
+  }
+  const members = Object.keys(value)
+    .filter(k => value[k] !== undefined)
+    .sort()
+    .map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`);
+  return `{${members.join(',')}}`;
+}
+
+/**
+ * Bytes that are signed for a proof pack
+ */
+function signingPayload(proof) {
+  const { signature, ...unsigned } = proof;
+  return Buffer.from(canonicalize(unsigned), 'utf-8');
+}
+
+/**
+ * Derive key id from a public key: "ed25519:" + first 16 hex of SHA-256(SPKI DER)
+ */
+export function keyIdFor(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return `ed25519:${createHash('sha256').update(der).digest('hex').slice(0, 16)}`;
+}
+
+// ============================================================
+// SIGNER
+// ============================================================
+
+/**
+ * Proof Signer - signs and verifies proof packs
+ */
+export class ProofSigner {
+  /**
+   * @param {Object} options
+   * @param {string} [options.keyFile] - PEM file holding the active Ed25519 private key
+   * @param {string} [options.verifyKeysDir] - Directory of PEM public keys from earlier rotations
+   * @param {boolean} [options.allowEphemeral] - Generate a throwaway key when no keyFile is set
+   */
+  constructor({ keyFile, verifyKeysDir, allowEphemeral = false } = {}) {
+    this.keyFile = keyFile;
+    this.verifyKeysDir = verifyKeysDir;
+    this.allowEphemeral = allowEphemeral;
+    this.loaded = false;
+    this.privateKey = null;
+    this.activeKeyId = null;
+    this.ephemeral = false;
+    // key_id -> KeyObject (public)
+    this.publicKeys = new Map();
+  }
+
+  /**
+   * Load keys from disk. Called lazily on first use.
+   */
+  load() {
+    if (this.loaded) return;
+
+    if (this.keyFile) {
+      this.privateKey = createPrivateKey(readFileSync(this.keyFile));
+      if (this.privateKey.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`Proof signing key must be Ed25519, got ${this.privateKey.asymmetricKeyType}`);
+      }
+    } else if (this.allowEphemeral) {
+      console.warn('[PROOF] No PROOF_SIGNING_KEY_FILE configured - using an ephemeral key. Signatures will not verify after restart.');
+      this.privateKey = generateKeyPairSync('ed25519').privateKey;
+      this.ephemeral = true;
+    } else {
+      throw new Error('PROOF_SIGNING_KEY_FILE is required to sign proof packs');
+    }
+
+    const activePublic = createPublicKey(this.privateKey);
+    this.activeKeyId = keyIdFor(activePublic);
+    this.publicKeys.set(this.activeKeyId, activePublic);
+
+    if (this.verifyKeysDir && existsSync(this.verifyKeysDir)) {
+      for (const name of readdirSync(this.verifyKeysDir)) {
+        if (!name.endsWith('.pem')) continue;
+        const publicKey = createPublicKey(readFileSync(path.join(this.verifyKeysDir, name)));
+        if (publicKey.asymmetricKeyType !== 'ed25519') continue;
+        this.publicKeys.set(keyIdFor(publicKey), publicKey);
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Sign a proof pack. Any existing signature is replaced.
+   * @param {Object} proof - Proof pack document
+   * @returns {Object} Proof pack with `signature` block
+   */
+  sign(proof) {
+    this.load();
+    const { signature: _previous, ...unsigned } = proof;
+    const value = sign(null, signingPayload(unsigned), this.privateKey);
+
+    return {
+      ...unsigned,
+      signature: {
+        algorithm: SIGNATURE_ALGORITHM,
+        canonicalization: CANONICALIZATION,
+        key_id: this.activeKeyId,
+        signed_at: new Date().toISOString(),
+        value: value.toString('base64')
+      }
+    };
+  }
+
+  /**
+   * Verify a proof pack signature
+   * @param {Object} proof - Signed proof pack
+   * @returns {Object} { valid: boolean, key_id?: string, reason?: string }
+   */
+  verify(proof) {
+    this.load();
+    const sig = proof?.signature;
+
+    if (!sig || !sig.value) {
+      return { valid: false, reason: 'Proof pack is not signed' };
+    }
+    for (const field of ['algorithm', 'key_id', 'value']) {
+      if (typeof sig[field] !== 'string') {
+        return { valid: false, reason: `Malformed signature: ${field} must be a string` };
+      }
+    }
+    if (sig.algorithm !== SIGNATURE_ALGORITHM || sig.canonicalization !== CANONICALIZATION) {
+      return { valid: false, key_id: sig.key_id, reason: `Unsupported signature scheme: ${sig.algorithm}/${sig.canonicalization}` };
+    }
+
+    const publicKey = this.publicKeys.get(sig.key_id);
+    if (!publicKey) {
+      return { valid: false, key_id: sig.key_id, reason: 'Unknown or revoked key_id' };
+    }
+
+    const valid = verify(null, signingPayload(proof), publicKey, Buffer.from(sig.value, 'base64'));
+    return valid
+      ? { valid: true, key_id: sig.key_id }
+      : { valid: false, key_id: sig.key_id, reason: 'Signature does not match proof pack contents' };
+  }
+
+  /**
+   * Public keys accepted for verification (for Layer 1 to pin)
+   * @returns {Array} [{ key_id, active, public_key_pem }]
+   */
+  getPublicKeys() {
+    this.load();
+    return [...this.publicKeys.entries()].map(([keyId, key]) => ({
+      key_id: keyId,
+      algorithm: SIGNATURE_ALGORITHM,
+      active: keyId === this.activeKeyId,
+      public_key_pem: key.export({ type: 'spki', format: 'pem' })
+    }));
+  }
+}
+
+// Export singleton configured from environment
+export const proofSigner = new ProofSigner({
+  keyFile: process.env.PROOF_SIGNING_KEY_FILE,
+  verifyKeysDir: process.env.PROOF_VERIFY_KEYS_DIR,
+  allowEphemeral: process.env.NODE_ENV !== 'production'
+});
+export default ProofSigner;
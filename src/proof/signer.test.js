@@ -0,0 +1,150 @@
+/**
+ * ============================================================
+ * PROOF SIGNER - TEST SUITE
+ * ============================================================
+ * Tests for Ed25519 proof pack signatures and key rotation
+ *
+ * Run with: node --test src/proof/signer.test.js
+ * ============================================================
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { generateKeyPairSync } from 'crypto';
+import { mkdtemp, writeFile, readFile, mkdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ProofSigner, canonicalize, keyIdFor } from './signer.js';
+
+const samplePack = () => ({
+  proof_pack_version: '1.0',
+  job_id: 'job-sign-1',
+  integrity: { algorithm: 'sha256', output_hash: 'sha256:abc', outputs: [] },
+  governance_applied: { dry_run_enforced: false }
+});
+
+async function writeKeyPair(dir, name) {
+  const { privateKey, publicKey } = generateKeyPairSync('ed25519');
+  const keyFile = path.join(dir, `${name}.key.pem`);
+  const pubFile = path.join(dir, `${name}.pub.pem`);
+  await writeFile(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  await writeFile(pubFile, publicKey.export({ type: 'spki', format: 'pem' }));
+  return { keyFile, pubFile, keyId: keyIdFor(publicKey) };
+}
+
+describe('Proof Signer', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'kt-signer-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('Canonical serialization', () => {
+    it('should be independent of key order', () => {
+      assert.strictEqual(
+        canonicalize({ b: 1, a: { d: [1, 2], c: 'x' } }),
+        canonicalize({ a: { c: 'x', d: [1, 2] }, b: 1 })
+      );
+    });
+
+    it('should drop undefined members', () => {
+      assert.strictEqual(canonicalize({ a: 1, b: undefined }), '{"a":1}');
+    });
+  });
+
+  describe('Signing and verification', () => {
+    it('should sign with the configured key and verify', async () => {
+      const { keyFile, keyId } = await writeKeyPair(dir, 'active');
+      const signer = new ProofSigner({ keyFile });
+
+      const signed = signer.sign(samplePack());
+
+      assert.strictEqual(signed.signature.algorithm, 'Ed25519');
+      assert.strictEqual(signed.signature.key_id, keyId);
+      assert.strictEqual(signer.verify(signed).valid, true);
+    });
+
+    it('should verify after the pack is re-serialized with different key order', async () => {
+      const { keyFile } = await writeKeyPair(dir, 'reorder');
+      const signer = new ProofSigner({ keyFile });
+      const signed = signer.sign(samplePack());
+
+      const { signature, ...rest } = signed;
+      const reordered = JSON.parse(JSON.stringify({ signature, ...Object.fromEntries(Object.entries(rest).reverse()) }));
+
+      assert.strictEqual(signer.verify(reordered).valid, true);
+    });
+
+    it('should REJECT a pack edited after signing', async () => {
+      const { keyFile } = await writeKeyPair(dir, 'tamper');
+      const signer = new ProofSigner({ keyFile });
+      const signed = signer.sign(samplePack());
+
+      signed.governance_applied.dry_run_enforced = true;
+
+      const result = signer.verify(signed);
+      assert.strictEqual(result.valid, false);
+      assert.ok(result.reason.includes('does not match'));
+    });
+
+    it('should REJECT an unsigned pack', async () => {
+      const { keyFile } = await writeKeyPair(dir, 'unsigned');
+      const signer = new ProofSigner({ keyFile });
+
+      assert.strictEqual(signer.verify(samplePack()).valid, false);
+    });
+
+    it('should REJECT a signature with non-string fields instead of throwing', async () => {
+      const { keyFile } = await writeKeyPair(dir, 'malformed');
+      const signer = new ProofSigner({ keyFile });
+      const signed = signer.sign(samplePack());
+
+      const numeric = signer.verify({ ...signed, signature: { ...signed.signature, value: 12345 } });
+      assert.strictEqual(numeric.valid, false);
+      assert.ok(numeric.reason.includes('value must be a string'));
+
+      const keyless = signer.verify({ ...signed, signature: { ...signed.signature, key_id: ['x'] } });
+      assert.strictEqual(keyless.valid, false);
+      assert.ok(keyless.reason.includes('key_id must be a string'));
+    });
+
+    it('should refuse to sign without a key unless ephemeral keys are allowed', () => {
+      assert.throws(() => new ProofSigner({}).sign(samplePack()), /PROOF_SIGNING_KEY_FILE/);
+
+      const ephemeral = new ProofSigner({ allowEphemeral: true });
+      assert.strictEqual(ephemeral.verify(ephemeral.sign(samplePack())).valid, true);
+    });
+  });
+
+  describe('Key rotation', () => {
+    it('should verify packs signed by a retired key in the verify directory', async () => {
+      const retiredDir = path.join(dir, 'retired');
+      await mkdir(retiredDir, { recursive: true });
+      const old = await writeKeyPair(dir, 'old');
+      const current = await writeKeyPair(dir, 'current');
+      await writeFile(path.join(retiredDir, 'old.pub.pem'), await readFile(old.pubFile));
+
+      const oldPack = new ProofSigner({ keyFile: old.keyFile }).sign(samplePack());
+      const rotated = new ProofSigner({ keyFile: current.keyFile, verifyKeysDir: retiredDir });
+
+      assert.strictEqual(rotated.verify(oldPack).valid, true);
+      assert.strictEqual(rotated.sign(samplePack()).signature.key_id, current.keyId);
+      assert.strictEqual(rotated.getPublicKeys().length, 2);
+    });
+
+    it('should REJECT packs signed by a key that was removed (revoked)', async () => {
+      const old = await writeKeyPair(dir, 'revoked');
+      const current = await writeKeyPair(dir, 'successor');
+
+      const oldPack = new ProofSigner({ keyFile: old.keyFile }).sign(samplePack());
+      const result = new ProofSigner({ keyFile: current.keyFile }).verify(oldPack);
+
+      assert.strictEqual(result.valid, false);
+      assert.ok(result.reason.includes('Unknown or revoked'));
+    });
+  });
+});
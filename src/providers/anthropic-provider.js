@@ -0,0 +1,56 @@
+/**
+ * ============================================================
+ * ANTHROPIC PROVIDER
+ * ============================================================
+ * MODEL_PROVIDER=anthropic - Anthropic Messages API
+ * Interface: see providers/index.js
+ * ============================================================
+ */
+
+import Anthropic from '@anthropic-ai/sdk';
+import { ProviderError } from './provider-error.js';
+
+/**
+ * Anthropic Messages API provider
+ */
+export class AnthropicProvider {
+  constructor({ apiKey }) {
+    this.name = 'anthropic';
+    this.supportsTools = true;
+    this.client = new Anthropic({ apiKey });
+  }
+
+  async createMessage({ model, system, maxTokens, messages, tool, signal }) {
+    let response;
+    try {
+      response = await this.client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages,
+        // Forced: the answer must come as this tool's input
+        ...(tool && { tools: [tool], tool_choice: { type: 'tool', name: tool.name } })
+      }, { signal });
+    } catch (error) {
+      throw new ProviderError(error.message, {
+        provider: this.name,
+        status: error.status,
+        type: error.error?.error?.type
+      });
+    }
+
+    const toolUse = tool ? response.content.find(block => block.type === 'tool_use' && block.name === tool.name) : null;
+
+    return {
+      text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolInput: tool ? toolUse?.input ?? null : undefined,
+      usage: {
+        input_tokens: response.usage.input_tokens,
+        output_tokens: response.usage.output_tokens
+      },
+      model: response.model || model
+    };
+  }
+}
+
+export default AnthropicProvider;
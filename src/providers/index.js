@@ -0,0 +1,56 @@
+/**
+ * ============================================================
+ * MODEL PROVIDERS - SELECTION
+ * ============================================================
+ * MODEL_PROVIDER selects who answers the executor's extraction
+ * request:
+ *
+ * - anthropic: Anthropic Messages API (default, needs API key)
+ * - mock:      deterministic local provider - no network, no key
+ *              (CI, air-gapped demos)
+ *
+ * Every provider implements:
+ *
+ *   name                      → provider id recorded in the proof
+ *   supportsTools             → whether request.tool is honoured
+ *   createMessage(request)    → { text, toolInput, usage: { input_tokens, output_tokens }, model }
+ *
+ * request: { model, system, maxTokens, messages, transformType, tool, signal }
+ *
+ * tool: { name, description, input_schema } - when set and the
+ * provider supportsTools, the model is made to call that tool and
+ * toolInput is the object it passed (null if it did not call it).
+ * Providers without tool support ignore it; toolInput is undefined.
+ * Failures are thrown as ProviderError. Providers must stop waiting
+ * once `signal` aborts (job timeout or cancellation).
+ * ============================================================
+ */
+
+import { AnthropicProvider } from './anthropic-provider.js';
+import { MockProvider } from './mock-provider.js';
+
+export { ProviderError } from './provider-error.js';
+
+export const PROVIDERS = ['anthropic', 'mock'];
+
+/**
+ * Create the configured provider
+ * @param {string} [name] - MODEL_PROVIDER
+ * @returns {Object} Provider
+ */
+export function createProvider(name = process.env.MODEL_PROVIDER || 'anthropic') {
+  switch (name) {
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY });
+    case 'mock':
+      return new MockProvider({
+        latencyMs: parseInt(process.env.MOCK_PROVIDER_LATENCY_MS || '0'),
+        failWith: process.env.MOCK_PROVIDER_FAIL || null,
+        supportsTools: process.env.MOCK_PROVIDER_TOOLS !== 'false'
+      });
+    default:
+      throw new Error(`Unknown MODEL_PROVIDER: ${name}. Allowed: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+export default { createProvider };
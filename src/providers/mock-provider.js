@@ -0,0 +1,154 @@
+/**
+ * ============================================================
+ * MOCK PROVIDER - DETERMINISTIC OFFLINE MODEL
+ * ============================================================
+ * MODEL_PROVIDER=mock - no network, no API key
+ * Interface: see providers/index.js
+ *
+ * - Returns a canned extraction per transform type, as the tool
+ *   input when the request carries a tool (unless supportsTools is
+ *   off: MOCK_PROVIDER_TOOLS=false), otherwise as JSON text
+ * - Usage numbers are estimated from the request (≈4 chars per
+ *   token, fixed cost per image) so the same request always
+ *   reports the same usage
+ * - Errors can be simulated for every call (MOCK_PROVIDER_FAIL)
+ *   or per document, by placing [[mock:fail=<type>]] in an input
+ *
+ * Canned values are demo data only and contain no decision language.
+ * ============================================================
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+import { ProviderError } from './provider-error.js';
+
+export const MOCK_MODEL = 'mock-extractor-v1';
+
+const IMAGE_TOKENS = 1600;
+
+export const SIMULATED_ERRORS = {
+  rate_limit: { status: 429, message: 'Simulated rate limit' },
+  overloaded: { status: 529, message: 'Simulated provider overload' },
+  server_error: { status: 500, message: 'Simulated provider error' },
+  invalid_request: { status: 400, message: 'Simulated invalid request' }
+};
+
+const CANNED_EXTRACTIONS = {
+  mortgage_eligibility_summary: {
+    personal: {
+      name: 'AHMAD BIN ABDULLAH',
+      ic_number: '850615-14-5123',
+      date_of_birth: '15/06/1985'
+    },
+    employment: {
+      employer: 'SYARIKAT CONTOH SDN BHD',
+      position: 'Senior Executive',
+      gross_salary: 6500,
+      net_salary: 5320.5,
+      pay_period: 'monthly'
+    },
+    financial: {
+      account_type: 'savings',
+      average_balance: 12450.75,
+      statement_period: '01/01/2026 - 31/03/2026'
+    },
+    extraction_metadata: {
+      fields_extracted: 11,
+      fields_total: 11,
+      fields_requiring_review: [],
+      confidence_scores: { name: 0.98, ic_number: 0.97, gross_salary: 0.95 }
+    }
+  },
+  solar_proposal_draft: {
+    property: {
+      address: 'NO 12, JALAN CONTOH 3, TAMAN CONTOH, 43000 KAJANG, SELANGOR',
+      property_type: 'residential'
+    },
+    consumption: {
+      account_number: '220012345678',
+      billing_period: '01/02/2026 - 28/02/2026',
+      total_kwh: 842,
+      total_amount: 318.4,
+      tariff_category: 'Domestic (A)'
+    },
+    visual: {
+      photo_observations: 'Pitched roof with clay tiles. Two roof faces visible. No visible shading objects in frame.'
+    },
+    extraction_metadata: {
+      fields_extracted: 8,
+      fields_total: 8,
+      fields_requiring_review: [],
+      confidence_scores: { account_number: 0.96, total_kwh: 0.94 }
+    }
+  }
+};
+
+/**
+ * Deterministic local provider
+ */
+export class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {number} [options.latencyMs] - Simulated response time
+   * @param {string} [options.failWith] - Fail every call with this SIMULATED_ERRORS type
+   * @param {boolean} [options.supportsTools] - Answer through request.tool when given
+   */
+  constructor({ latencyMs = 0, failWith = null, supportsTools = true } = {}) {
+    this.name = 'mock';
+    this.latencyMs = latencyMs;
+    this.failWith = failWith;
+    this.supportsTools = supportsTools;
+  }
+
+  async createMessage({ system = '', messages, transformType, tool, signal }) {
+    const { text, images } = flattenMessages(messages);
+
+    if (this.latencyMs > 0) {
+      await sleep(this.latencyMs, undefined, { signal });
+    }
+
+    const failure = this.failWith || text.match(/\[\[mock:fail=(\w+)\]\]/)?.[1];
+    if (failure) {
+      const simulated = SIMULATED_ERRORS[failure] || SIMULATED_ERRORS.server_error;
+      throw new ProviderError(simulated.message, { provider: this.name, status: simulated.status, type: failure });
+    }
+
+    const extraction = CANNED_EXTRACTIONS[transformType] || { raw_extraction: 'No canned extraction for this transform' };
+    const responseText = JSON.stringify(extraction, null, 2);
+    const useTool = Boolean(tool) && this.supportsTools;
+
+    return {
+      text: useTool ? '' : responseText,
+      toolInput: useTool ? structuredClone(extraction) : undefined,
+      usage: {
+        input_tokens: estimateTokens(system) + estimateTokens(text) + images * IMAGE_TOKENS
+          + (useTool ? estimateTokens(JSON.stringify(tool)) : 0),
+        output_tokens: estimateTokens(responseText)
+      },
+      model: MOCK_MODEL
+    };
+  }
+}
+
+/**
+ * Collect text and count images across message content
+ */
+function flattenMessages(messages = []) {
+  let text = '';
+  let images = 0;
+  for (const message of messages) {
+    const blocks = typeof message.content === 'string'
+      ? [{ type: 'text', text: message.content }]
+      : message.content;
+    for (const block of blocks) {
+      if (block.type === 'text') text += block.text;
+      if (block.type === 'image') images++;
+    }
+  }
+  return { text, images };
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+export default MockProvider;
@@ -0,0 +1,102 @@
+/**
+ * ============================================================
+ * MOCK PROVIDER - TEST SUITE
+ * ============================================================
+ * Tests for the deterministic offline provider and selection
+ *
+ * Run with: node --test src/providers/mock-provider.test.js
+ * ============================================================
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MockProvider, MOCK_MODEL } from './mock-provider.js';
+import { createProvider, ProviderError } from './index.js';
+
+const request = (text, extra = {}) => ({
+  model: 'any-model',
+  system: 'Extract fields as JSON.',
+  maxTokens: 1024,
+  transformType: 'solar_proposal_draft',
+  messages: [{ role: 'user', content: [{ type: 'text', text }] }],
+  ...extra
+});
+
+describe('Mock Provider', () => {
+  afterEach(() => {
+    delete process.env.MODEL_PROVIDER;
+  });
+
+  describe('Responses', () => {
+    it('should return a parseable canned extraction for the transform', async () => {
+      const response = await new MockProvider().createMessage(request('TNB bill'));
+
+      const data = JSON.parse(response.text);
+      assert.strictEqual(data.consumption.total_kwh, 842);
+      assert.strictEqual(response.model, MOCK_MODEL);
+    });
+
+    it('should answer through the tool when the request carries one', async () => {
+      const tool = { name: 'record_extraction', description: 'Record.', input_schema: { type: 'object' } };
+
+      const withTool = await new MockProvider().createMessage(request('TNB bill', { tool }));
+      const withoutSupport = await new MockProvider({ supportsTools: false }).createMessage(request('TNB bill', { tool }));
+
+      assert.strictEqual(withTool.text, '');
+      assert.strictEqual(withTool.toolInput.consumption.total_kwh, 842);
+      assert.strictEqual(withoutSupport.toolInput, undefined);
+      assert.strictEqual(JSON.parse(withoutSupport.text).consumption.total_kwh, 842);
+    });
+
+    it('should return the same response and usage for the same request', async () => {
+      const provider = new MockProvider();
+
+      const first = await provider.createMessage(request('TNB bill'));
+      const second = await provider.createMessage(request('TNB bill'));
+
+      assert.deepStrictEqual(first, second);
+    });
+
+    it('should estimate input tokens from text length and image count', async () => {
+      const provider = new MockProvider();
+      const textOnly = await provider.createMessage(request('x'.repeat(400)));
+      const withImage = await provider.createMessage(request('x'.repeat(400), {
+        messages: [{
+          role: 'user',
+          content: [{ type: 'text', text: 'x'.repeat(400) }, { type: 'image', source: {} }]
+        }]
+      }));
+
+      assert.strictEqual(textOnly.usage.input_tokens, Math.ceil('Extract fields as JSON.'.length / 4) + 100);
+      assert.strictEqual(withImage.usage.input_tokens - textOnly.usage.input_tokens, 1600);
+    });
+  });
+
+  describe('Simulated failures', () => {
+    it('should fail every call when configured with failWith', async () => {
+      await assert.rejects(
+        new MockProvider({ failWith: 'rate_limit' }).createMessage(request('TNB bill')),
+        error => error instanceof ProviderError && error.status === 429 && error.type === 'rate_limit'
+      );
+    });
+
+    it('should fail when an input carries a failure marker', async () => {
+      await assert.rejects(
+        new MockProvider().createMessage(request('TNB bill [[mock:fail=server_error]]')),
+        error => error.code === 'PROVIDER_ERROR' && error.status === 500
+      );
+    });
+  });
+
+  describe('Selection', () => {
+    it('should create the provider named by MODEL_PROVIDER', () => {
+      process.env.MODEL_PROVIDER = 'mock';
+
+      assert.strictEqual(createProvider().name, 'mock');
+    });
+
+    it('should reject unknown providers', () => {
+      assert.throws(() => createProvider('openai'), /Unknown MODEL_PROVIDER/);
+    });
+  });
+});
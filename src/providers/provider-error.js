@@ -0,0 +1,30 @@
+/**
+ * ============================================================
+ * PROVIDER ERROR
+ * ============================================================
+ * Normalized failure for every model provider
+ * ============================================================
+ */
+
+/**
+ * Raised when the model provider call fails
+ */
+export class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.provider - Provider name
+   * @param {number} [details.status] - HTTP-like status
+   * @param {string} [details.type] - Provider error type (rate_limit, overloaded, ...)
+   */
+  constructor(message, { provider, status, type } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = 'PROVIDER_ERROR';
+    this.provider = provider;
+    this.status = status;
+    this.type = type;
+  }
+}
+
+export default ProviderError;
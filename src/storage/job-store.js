@@ -0,0 +1,83 @@
+/**
+ * ============================================================
+ * JOB STORE - STORAGE BACKEND SELECTION
+ * ============================================================
+ * STORAGE_MODE selects where job records live:
+ *
+ * - memory: Map in process memory (Phase 1α default).
+ *           Nothing survives a restart.
+ * - sqlite: single file via Node's built-in node:sqlite
+ *           (Node >= 22.13). Status and proofs survive a
+ *           restart within the TTL window.
+ * - postgres: database server at POSTGRES_URL. Still one API
+ *           instance per database: the queue, idempotency
+ *           locks and budget reservations live in the process,
+ *           and boot marks every in-flight job interrupted.
+ *
+ * Every backend implements the same async interface:
+ *
+ *   get(job_id)                  → job | tombstone | null
+ *   put(job)                     → void (insert or replace)
+ *   update(job_id, patch)        → job | null (shallow merge)
+ *   list()                       → live jobs (no tombstones)
+ *   listByTenant(tenant_id)      → live jobs for one tenant
+ *   findByIdempotencyKey(tenant_id, key) → newest live job | null
+ *   count()                      → number of live jobs
+ *   expire(job_id, tombstone)    → replace record with tombstone
+ *   dropTombstonesBefore(iso)    → number of tombstones removed
+ *   markInterrupted(statuses, patch) → job_ids moved to 'interrupted'
+ *   recordSpend(entry)           → void (insert or replace per job_id +
+ *                                  attempt); entry { tenant_id, job_id,
+ *                                  attempt, cost_myr, recorded_at }
+ *   sumSpend(tenant_id, iso)     → MYR recorded at or after iso
+ *   dropSpendBefore(iso)         → number of spend entries removed
+ *   close()
+ *
+ * Records are returned as copies: callers persist changes
+ * through update(), never by mutating what get() returned.
+ * A tombstone is a record with status 'expired'.
+ * Spend entries are kept apart from job records: they outlive the
+ * job's TTL so monthly budgets still see purged jobs' spend.
+ * ============================================================
+ */
+
+import { MemoryJobStore } from './memory-store.js';
+
+export const STORAGE_MODES = ['memory', 'sqlite', 'postgres'];
+
+/**
+ * Create a job store for the configured mode
+ * @param {string} mode - STORAGE_MODE
+ * @param {Object} options
+ * @param {string} [options.sqlitePath] - Database file for sqlite mode
+ * @param {string} [options.postgresUrl] - Connection string for postgres mode
+ * @returns {Promise<Object>} Job store
+ */
+export async function createJobStore(mode = 'memory', { sqlitePath, postgresUrl } = {}) {
+  switch (mode) {
+    case 'memory':
+      return new MemoryJobStore();
+
+    case 'sqlite': {
+      // Loaded lazily: node:sqlite is missing (or behind a flag) before Node 22.13
+      let SqliteJobStore;
+      try {
+        ({ SqliteJobStore } = await import('./sqlite-store.js'));
+      } catch (error) {
+        if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') throw error;
+        throw new Error(`STORAGE_MODE=sqlite needs node:sqlite (Node >= 22.13); this is Node ${process.versions.node}. Upgrade Node or use STORAGE_MODE=memory or postgres.`);
+      }
+      return SqliteJobStore.open(sqlitePath);
+    }
+
+    case 'postgres': {
+      const { PostgresJobStore } = await import('./postgres-store.js');
+      return PostgresJobStore.open(postgresUrl);
+    }
+
+    default:
+      throw new Error(`Unknown STORAGE_MODE: ${mode}. Allowed: ${STORAGE_MODES.join(', ')}`);
+  }
+}
+
+export default { createJobStore };
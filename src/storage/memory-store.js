@@ -0,0 +1,111 @@
+/**
+ * ============================================================
+ * MEMORY JOB STORE
+ * ============================================================
+ * STORAGE_MODE=memory - no persistence across restart
+ * Interface: see job-store.js
+ * ============================================================
+ */
+
+const clone = (record) => (record ? structuredClone(record) : null);
+
+/**
+ * In-memory job store
+ */
+export class MemoryJobStore {
+  constructor() {
+    // job_id -> job record or tombstone
+    this.records = new Map();
+    // Spend entries, oldest first
+    this.spend = [];
+  }
+
+  async get(jobId) {
+    return clone(this.records.get(jobId));
+  }
+
+  async put(job) {
+    this.records.set(job.job_id, clone(job));
+  }
+
+  async update(jobId, patch) {
+    const current = this.records.get(jobId);
+    if (!current || current.status === 'expired') return null;
+    const updated = { ...current, ...clone(patch) };
+    this.records.set(jobId, updated);
+    return clone(updated);
+  }
+
+  async list() {
+    return [...this.records.values()]
+      .filter(r => r.status !== 'expired')
+      .map(clone);
+  }
+
+  async listByTenant(tenantId) {
+    return (await this.list()).filter(job => job.tenant_id === tenantId);
+  }
+
+  async findByIdempotencyKey(tenantId, idempotencyKey) {
+    const matches = (await this.listByTenant(tenantId))
+      .filter(job => job.idempotency_key === idempotencyKey)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    return matches[0] || null;
+  }
+
+  async count() {
+    let count = 0;
+    for (const record of this.records.values()) {
+      if (record.status !== 'expired') count++;
+    }
+    return count;
+  }
+
+  async expire(jobId, tombstone) {
+    this.records.set(jobId, clone({ ...tombstone, job_id: jobId, status: 'expired' }));
+  }
+
+  async dropTombstonesBefore(isoTime) {
+    let dropped = 0;
+    for (const [jobId, record] of this.records) {
+      if (record.status === 'expired' && record.purged_at <= isoTime) {
+        this.records.delete(jobId);
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  async markInterrupted(statuses, patch = {}) {
+    const interrupted = [];
+    for (const [jobId, record] of this.records) {
+      if (statuses.includes(record.status)) {
+        this.records.set(jobId, { ...record, ...clone(patch), status: 'interrupted' });
+        interrupted.push(jobId);
+      }
+    }
+    return interrupted;
+  }
+
+  async recordSpend(entry) {
+    // One entry per (job_id, attempt): re-recording replaces it
+    this.spend = this.spend.filter(e => e.job_id !== entry.job_id || e.attempt !== entry.attempt);
+    this.spend.push(clone(entry));
+  }
+
+  async sumSpend(tenantId, isoTime) {
+    return this.spend
+      .filter(entry => entry.tenant_id === tenantId && entry.recorded_at >= isoTime)
+      .reduce((total, entry) => total + entry.cost_myr, 0);
+  }
+
+  async dropSpendBefore(isoTime) {
+    const before = this.spend.length;
+    this.spend = this.spend.filter(entry => entry.recorded_at >= isoTime);
+    return before - this.spend.length;
+  }
+
+  async close() {}
+}
+
+export default MemoryJobStore;
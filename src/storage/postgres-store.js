@@ -0,0 +1,199 @@
+/**
+ * ============================================================
+ * POSTGRES JOB STORE
+ * ============================================================
+ * STORAGE_MODE=postgres - database server via pg (POSTGRES_URL)
+ * Interface: see job-store.js
+ *
+ * Same layout as the SQLite store: each record is a JSONB
+ * document, with the columns the store queries on lifted out.
+ * update() locks the row, so concurrent patches to one job do
+ * not overwrite each other.
+ * ============================================================
+ */
+
+import pg from 'pg';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jobs (
+    job_id     TEXT PRIMARY KEY,
+    tenant_id  TEXT,
+    status     TEXT NOT NULL,
+    created_at TEXT,
+    expires_at TEXT,
+    purged_at  TEXT,
+    data       JSONB NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS jobs_tenant ON jobs (tenant_id);
+  CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status);
+  CREATE TABLE IF NOT EXISTS spend (
+    tenant_id   TEXT NOT NULL,
+    job_id      TEXT NOT NULL,
+    attempt     INTEGER NOT NULL,
+    cost_myr    DOUBLE PRECISION NOT NULL,
+    recorded_at TEXT NOT NULL,
+    PRIMARY KEY (job_id, attempt)
+  );
+  CREATE INDEX IF NOT EXISTS spend_tenant ON spend (tenant_id, recorded_at);
+`;
+
+const PUT = `
+  INSERT INTO jobs (job_id, tenant_id, status, created_at, expires_at, purged_at, data)
+  VALUES ($1, $2, $3, $4, $5, $6, $7)
+  ON CONFLICT (job_id) DO UPDATE SET
+    tenant_id = excluded.tenant_id,
+    status = excluded.status,
+    created_at = excluded.created_at,
+    expires_at = excluded.expires_at,
+    purged_at = excluded.purged_at,
+    data = excluded.data
+`;
+
+/**
+ * Postgres job store
+ */
+export class PostgresJobStore {
+  /**
+   * Connect and create the tables if needed
+   * @param {string} connectionString - POSTGRES_URL
+   * @returns {Promise<PostgresJobStore>}
+   */
+  static async open(connectionString) {
+    if (!connectionString) {
+      throw new Error('STORAGE_MODE=postgres requires POSTGRES_URL');
+    }
+    const pool = new pg.Pool({ connectionString });
+    try {
+      await pool.query(SCHEMA);
+    } catch (error) {
+      await pool.end();
+      throw error;
+    }
+    return new PostgresJobStore(pool);
+  }
+
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  write(record, client = this.pool) {
+    return client.query(PUT, [
+      record.job_id,
+      record.tenant_id ?? null,
+      record.status,
+      record.created_at ?? null,
+      record.expires_at ?? null,
+      record.purged_at ?? null,
+      JSON.stringify(record)
+    ]);
+  }
+
+  async get(jobId) {
+    const { rows } = await this.pool.query('SELECT data FROM jobs WHERE job_id = $1', [jobId]);
+    return rows[0]?.data ?? null;
+  }
+
+  async put(job) {
+    await this.write(job);
+  }
+
+  async update(jobId, patch) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query('SELECT data FROM jobs WHERE job_id = $1 FOR UPDATE', [jobId]);
+      const current = rows[0]?.data;
+      if (!current || current.status === 'expired') {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      // Round-trip through JSON so undefined fields are dropped, as in the other stores
+      const updated = JSON.parse(JSON.stringify({ ...current, ...patch }));
+      await this.write(updated, client);
+      await client.query('COMMIT');
+      return updated;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async list() {
+    const { rows } = await this.pool.query("SELECT data FROM jobs WHERE status != 'expired' ORDER BY created_at");
+    return rows.map(row => row.data);
+  }
+
+  async listByTenant(tenantId) {
+    const { rows } = await this.pool.query(
+      "SELECT data FROM jobs WHERE status != 'expired' AND tenant_id = $1 ORDER BY created_at",
+      [tenantId]
+    );
+    return rows.map(row => row.data);
+  }
+
+  async findByIdempotencyKey(tenantId, idempotencyKey) {
+    const { rows } = await this.pool.query(`
+      SELECT data FROM jobs
+      WHERE status != 'expired' AND tenant_id = $1 AND data->>'idempotency_key' = $2
+      ORDER BY created_at DESC LIMIT 1
+    `, [tenantId, idempotencyKey]);
+    return rows[0]?.data ?? null;
+  }
+
+  async count() {
+    const { rows } = await this.pool.query("SELECT COUNT(*) AS n FROM jobs WHERE status != 'expired'");
+    return Number(rows[0].n);
+  }
+
+  async expire(jobId, tombstone) {
+    await this.write({ ...tombstone, job_id: jobId, status: 'expired' });
+  }
+
+  async dropTombstonesBefore(isoTime) {
+    const { rowCount } = await this.pool.query("DELETE FROM jobs WHERE status = 'expired' AND purged_at <= $1", [isoTime]);
+    return rowCount;
+  }
+
+  async markInterrupted(statuses, patch = {}) {
+    const { rows } = await this.pool.query(`
+      UPDATE jobs
+      SET status = 'interrupted',
+          data = data || $2::jsonb || '{"status": "interrupted"}'::jsonb
+      WHERE status = ANY($1)
+      RETURNING job_id
+    `, [statuses, JSON.stringify(patch)]);
+    return rows.map(row => row.job_id);
+  }
+
+  async recordSpend(entry) {
+    await this.pool.query(`
+      INSERT INTO spend (tenant_id, job_id, attempt, cost_myr, recorded_at)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (job_id, attempt) DO UPDATE SET
+        tenant_id = excluded.tenant_id,
+        cost_myr = excluded.cost_myr,
+        recorded_at = excluded.recorded_at
+    `, [entry.tenant_id, entry.job_id, entry.attempt, entry.cost_myr, entry.recorded_at]);
+  }
+
+  async sumSpend(tenantId, isoTime) {
+    const { rows } = await this.pool.query(
+      'SELECT COALESCE(SUM(cost_myr), 0) AS total FROM spend WHERE tenant_id = $1 AND recorded_at >= $2',
+      [tenantId, isoTime]
+    );
+    return Number(rows[0].total);
+  }
+
+  async dropSpendBefore(isoTime) {
+    const { rowCount } = await this.pool.query('DELETE FROM spend WHERE recorded_at < $1', [isoTime]);
+    return rowCount;
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+}
+
+export default PostgresJobStore;
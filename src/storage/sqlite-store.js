@@ -0,0 +1,176 @@
+/**
+ * ============================================================
+ * SQLITE JOB STORE
+ * ============================================================
+ * STORAGE_MODE=sqlite - file-backed via node:sqlite (Node >= 22.13)
+ * Interface: see job-store.js
+ *
+ * Each record is stored as a JSON document, with the columns
+ * the store queries on (tenant, status, timestamps) lifted out.
+ * ============================================================
+ */
+
+import { DatabaseSync } from 'node:sqlite';
+import { mkdirSync } from 'fs';
+import path from 'path';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jobs (
+    job_id     TEXT PRIMARY KEY,
+    tenant_id  TEXT,
+    status     TEXT NOT NULL,
+    created_at TEXT,
+    expires_at TEXT,
+    purged_at  TEXT,
+    data       TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS jobs_tenant ON jobs (tenant_id);
+  CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status);
+  CREATE TABLE IF NOT EXISTS spend (
+    tenant_id   TEXT NOT NULL,
+    job_id      TEXT NOT NULL,
+    attempt     INTEGER NOT NULL,
+    cost_myr    REAL NOT NULL,
+    recorded_at TEXT NOT NULL,
+    PRIMARY KEY (job_id, attempt)
+  );
+  CREATE INDEX IF NOT EXISTS spend_tenant ON spend (tenant_id, recorded_at);
+`;
+
+/**
+ * SQLite job store
+ */
+export class SqliteJobStore {
+  /**
+   * Open (and create if needed) a database file
+   * @param {string} dbPath - Database file path
+   * @returns {SqliteJobStore}
+   */
+  static open(dbPath = './data/kuasaturbo.db') {
+    if (dbPath !== ':memory:') {
+      mkdirSync(path.dirname(dbPath), { recursive: true });
+    }
+    return new SqliteJobStore(new DatabaseSync(dbPath));
+  }
+
+  constructor(db) {
+    this.db = db;
+    this.db.exec('PRAGMA journal_mode = WAL;');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      get: db.prepare('SELECT data FROM jobs WHERE job_id = ?'),
+      put: db.prepare(`
+        INSERT INTO jobs (job_id, tenant_id, status, created_at, expires_at, purged_at, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (job_id) DO UPDATE SET
+          tenant_id = excluded.tenant_id,
+          status = excluded.status,
+          created_at = excluded.created_at,
+          expires_at = excluded.expires_at,
+          purged_at = excluded.purged_at,
+          data = excluded.data
+      `),
+      list: db.prepare("SELECT data FROM jobs WHERE status != 'expired' ORDER BY created_at"),
+      listByTenant: db.prepare("SELECT data FROM jobs WHERE status != 'expired' AND tenant_id = ? ORDER BY created_at"),
+      findByIdempotencyKey: db.prepare(`
+        SELECT data FROM jobs
+        WHERE status != 'expired' AND tenant_id = ? AND json_extract(data, '$.idempotency_key') = ?
+        ORDER BY created_at DESC LIMIT 1
+      `),
+      count: db.prepare("SELECT COUNT(*) AS n FROM jobs WHERE status != 'expired'"),
+      dropTombstones: db.prepare("DELETE FROM jobs WHERE status = 'expired' AND purged_at <= ?"),
+      byStatus: db.prepare('SELECT data FROM jobs WHERE status = ?'),
+      recordSpend: db.prepare(`
+        INSERT OR REPLACE INTO spend (tenant_id, job_id, attempt, cost_myr, recorded_at)
+        VALUES (?, ?, ?, ?, ?)
+      `),
+      sumSpend: db.prepare('SELECT COALESCE(SUM(cost_myr), 0) AS total FROM spend WHERE tenant_id = ? AND recorded_at >= ?'),
+      dropSpend: db.prepare('DELETE FROM spend WHERE recorded_at < ?')
+    };
+  }
+
+  write(record) {
+    this.statements.put.run(
+      record.job_id,
+      record.tenant_id ?? null,
+      record.status,
+      record.created_at ?? null,
+      record.expires_at ?? null,
+      record.purged_at ?? null,
+      JSON.stringify(record)
+    );
+  }
+
+  async get(jobId) {
+    const row = this.statements.get.get(jobId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async put(job) {
+    this.write(job);
+  }
+
+  async update(jobId, patch) {
+    const current = await this.get(jobId);
+    if (!current || current.status === 'expired') return null;
+    const updated = { ...current, ...patch };
+    this.write(updated);
+    return updated;
+  }
+
+  async list() {
+    return this.statements.list.all().map(row => JSON.parse(row.data));
+  }
+
+  async listByTenant(tenantId) {
+    return this.statements.listByTenant.all(tenantId).map(row => JSON.parse(row.data));
+  }
+
+  async findByIdempotencyKey(tenantId, idempotencyKey) {
+    const row = this.statements.findByIdempotencyKey.get(tenantId, idempotencyKey);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async count() {
+    return Number(this.statements.count.get().n);
+  }
+
+  async expire(jobId, tombstone) {
+    this.write({ ...tombstone, job_id: jobId, status: 'expired' });
+  }
+
+  async dropTombstonesBefore(isoTime) {
+    return Number(this.statements.dropTombstones.run(isoTime).changes);
+  }
+
+  async markInterrupted(statuses, patch = {}) {
+    const interrupted = [];
+    for (const status of statuses) {
+      for (const row of this.statements.byStatus.all(status)) {
+        const record = JSON.parse(row.data);
+        this.write({ ...record, ...patch, status: 'interrupted' });
+        interrupted.push(record.job_id);
+      }
+    }
+    return interrupted;
+  }
+
+  async recordSpend(entry) {
+    this.statements.recordSpend.run(entry.tenant_id, entry.job_id, entry.attempt, entry.cost_myr, entry.recorded_at);
+  }
+
+  async sumSpend(tenantId, isoTime) {
+    return Number(this.statements.sumSpend.get(tenantId, isoTime).total);
+  }
+
+  async dropSpendBefore(isoTime) {
+    return Number(this.statements.dropSpend.run(isoTime).changes);
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+export default SqliteJobStore;
@@ -0,0 +1,152 @@
+/**
+ * ============================================================
+ * TRANSFORM - MORTGAGE_ELIGIBILITY_SUMMARY
+ * ============================================================
+ * Extraction only: no eligibility assessment, no recommendation.
+ * Registered by src/transforms/registry.js
+ * ============================================================
+ */
+
+import { EXTRACTION_METADATA_SCHEMA } from '../schema.js';
+
+export default {
+  name: 'mortgage_eligibility_summary',
+  description: 'Payslip, IC and bank statement fields for a mortgage officer',
+
+  files: {
+    required: ['payslip'],
+    optional: ['ic_front', 'bank_statement'],
+    maxFiles: 3,
+    maxTotalSize: 20 * 1024 * 1024 // 20MB
+  },
+
+  prompt: `You are a document extraction system. Your task is to extract and structure information from the provided documents. 
+
+CRITICAL RULES:
+1. You MUST NOT make any eligibility decisions
+2. You MUST NOT provide recommendations
+3. You MUST NOT use approval/rejection language
+4. You ONLY extract and format existing information
+5. Mark any unclear fields as "requires_review"
+
+Extract the following information and return as JSON:
+
+{
+  "personal": {
+    "name": "extracted name or null",
+    "ic_number": "extracted IC or null",
+    "date_of_birth": "extracted DOB or null"
+  },
+  "employment": {
+    "employer": "extracted employer or null",
+    "position": "extracted position or null",
+    "gross_salary": "number or null",
+    "net_salary": "number or null",
+    "pay_period": "monthly/weekly or null"
+  },
+  "financial": {
+    "account_type": "savings/current or null",
+    "average_balance": "number or null",
+    "statement_period": "extracted period or null"
+  },
+  "extraction_metadata": {
+    "fields_extracted": "count",
+    "fields_total": "count",
+    "fields_requiring_review": ["list of uncertain fields"],
+    "confidence_scores": {
+      "field_name": 0.0-1.0
+    }
+  }
+}
+
+Remember: You are extracting information, NOT making decisions.`,
+
+  outputSchema: {
+    type: 'object',
+    properties: {
+      personal: {
+        type: 'object',
+        properties: {
+          name: { type: ['string', 'null'], description: 'Full name as printed' },
+          ic_number: { type: ['string', 'null'], description: 'MyKad number' },
+          date_of_birth: { type: ['string', 'null'] }
+        },
+        required: ['name', 'ic_number', 'date_of_birth'],
+        additionalProperties: false
+      },
+      employment: {
+        type: 'object',
+        properties: {
+          employer: { type: ['string', 'null'] },
+          position: { type: ['string', 'null'] },
+          gross_salary: { type: ['number', 'null'], description: 'RM per pay period' },
+          net_salary: { type: ['number', 'null'], description: 'RM per pay period' },
+          pay_period: { type: ['string', 'null'], enum: ['monthly', 'weekly', null] }
+        },
+        required: ['employer', 'position', 'gross_salary', 'net_salary', 'pay_period'],
+        additionalProperties: false
+      },
+      financial: {
+        type: 'object',
+        properties: {
+          account_type: { type: ['string', 'null'], enum: ['savings', 'current', null] },
+          average_balance: { type: ['number', 'null'], description: 'RM' },
+          statement_period: { type: ['string', 'null'] }
+        },
+        required: ['account_type', 'average_balance', 'statement_period'],
+        additionalProperties: false
+      },
+      extraction_metadata: EXTRACTION_METADATA_SCHEMA
+    },
+    required: ['personal', 'employment', 'financial', 'extraction_metadata'],
+    additionalProperties: false
+  },
+
+  normalizers: {
+    'personal.ic_number': 'mykad',
+    'personal.date_of_birth': 'date',
+    'employment.gross_salary': 'amount',
+    'employment.net_salary': 'amount',
+    'financial.average_balance': 'amount',
+    'financial.statement_period': 'period'
+  },
+
+  crossChecks: [
+    { check: 'ic_matches_date_of_birth', ic: 'personal.ic_number', dob: 'personal.date_of_birth' },
+    { check: 'not_greater_than', field: 'employment.net_salary', limit: 'employment.gross_salary' }
+  ],
+
+  forbiddenPhrases: [
+    'Eligible for loan',
+    'Not eligible',
+    'Approved',
+    'Rejected',
+    'Recommended',
+    'Should apply',
+    'Likely to qualify',
+    'High risk',
+    'Medium risk',
+    'Low risk',
+    'Score:',
+    'Rating:',
+    'Meets criteria',
+    'Does not meet criteria',
+    'Suggested loan amount',
+    'Recommended next step'
+  ],
+
+  disclaimer: `⚠️ DISCLAIMER
+This document contains extracted information only.
+It does NOT constitute eligibility assessment.
+All decisions must be made by qualified human officers.
+
+This output is from KuasaTurbo (Layer 0).
+It is NOT authoritative until promoted to Qontrek (Layer 1).
+No decisions have been made.`,
+
+  summary: {
+    title: 'ELIGIBILITY SUMMARY (Non-Decision Document)',
+    fileName: 'eligibility_summary.txt',
+    pdfFileName: 'eligibility_summary.pdf'
+  }
+};
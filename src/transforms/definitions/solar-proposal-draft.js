@@ -0,0 +1,135 @@
+/**
+ * ============================================================
+ * TRANSFORM - SOLAR_PROPOSAL_DRAFT
+ * ============================================================
+ * Extraction only: no sizing, pricing, savings or recommendation.
+ * Registered by src/transforms/registry.js
+ * ============================================================
+ */
+
+import { EXTRACTION_METADATA_SCHEMA } from '../schema.js';
+
+export default {
+  name: 'solar_proposal_draft',
+  description: 'Electricity bill and roof photo fields for a solar sales draft',
+
+  files: {
+    required: ['electricity_bill', 'roof_photo'],
+    optional: ['location_info'],
+    maxFiles: 3,
+    maxTotalSize: 15 * 1024 * 1024 // 15MB
+  },
+
+  prompt: `You are a document extraction system. Your task is to extract and structure information from the provided documents.
+
+CRITICAL RULES:
+1. You MUST NOT provide pricing or quotations
+2. You MUST NOT recommend system sizes
+3. You MUST NOT calculate ROI or savings
+4. You MUST NOT make installation recommendations
+5. You ONLY extract and format existing information
+
+Extract the following information and return as JSON:
+
+{
+  "property": {
+    "address": "extracted address or null",
+    "property_type": "residential/commercial or null"
+  },
+  "consumption": {
+    "account_number": "extracted account or null",
+    "billing_period": "extracted period or null",
+    "total_kwh": "number or null",
+    "total_amount": "number or null",
+    "tariff_category": "extracted tariff or null"
+  },
+  "visual": {
+    "photo_observations": "factual observations only, no recommendations"
+  },
+  "extraction_metadata": {
+    "fields_extracted": "count",
+    "fields_total": "count",
+    "fields_requiring_review": ["list of uncertain fields"],
+    "confidence_scores": {
+      "field_name": 0.0-1.0
+    }
+  }
+}
+
+Remember: You are extracting information, NOT making recommendations.`,
+
+  outputSchema: {
+    type: 'object',
+    properties: {
+      property: {
+        type: 'object',
+        properties: {
+          address: { type: ['string', 'null'] },
+          property_type: { type: ['string', 'null'], enum: ['residential', 'commercial', null] }
+        },
+        required: ['address', 'property_type'],
+        additionalProperties: false
+      },
+      consumption: {
+        type: 'object',
+        properties: {
+          account_number: { type: ['string', 'null'], description: 'TNB account number' },
+          billing_period: { type: ['string', 'null'] },
+          total_kwh: { type: ['number', 'null'] },
+          total_amount: { type: ['number', 'null'], description: 'RM' },
+          tariff_category: { type: ['string', 'null'] }
+        },
+        required: ['account_number', 'billing_period', 'total_kwh', 'total_amount', 'tariff_category'],
+        additionalProperties: false
+      },
+      visual: {
+        type: 'object',
+        properties: {
+          photo_observations: { type: ['string', 'null'], description: 'Factual observations only, no recommendations' }
+        },
+        required: ['photo_observations'],
+        additionalProperties: false
+      },
+      extraction_metadata: EXTRACTION_METADATA_SCHEMA
+    },
+    required: ['property', 'consumption', 'visual', 'extraction_metadata'],
+    additionalProperties: false
+  },
+
+  normalizers: {
+    'consumption.billing_period': 'billing_period',
+    'consumption.total_amount': 'amount',
+    'consumption.tariff_category': 'tnb_tariff'
+  },
+
+  forbiddenPhrases: [
+    'Recommended system size',
+    'Estimated savings',
+    'ROI:',
+    'Payback period',
+    'Best option',
+    'Should install',
+    'Suitable for',
+    'Not suitable',
+    'Quotation',
+    'Price:',
+    'Recommended panels',
+    'Suggested configuration',
+    'Expected generation'
+  ],
+
+  disclaimer: `⚠️ DISCLAIMER
+This document contains extracted information only.
+It does NOT constitute a quotation or recommendation.
+All proposals must be reviewed and finalized by sales team.
+
+This output is from KuasaTurbo (Layer 0).
+It is NOT authoritative until promoted to Qontrek (Layer 1).
+No recommendations have been made.`,
+
+  summary: {
+    title: 'SOLAR PROPOSAL DRAFT (Non-Binding Document)',
+    fileName: 'proposal_draft.txt',
+    pdfFileName: 'proposal_draft.pdf'
+  }
+};
@@ -0,0 +1,386 @@
+/**
+ * ============================================================
+ * NORMALIZERS - MALAYSIAN IDENTITY AND FINANCIAL FIELDS
+ * ============================================================
+ * Runs after the output schema check. A transform definition
+ * names, per field, the normalizer to apply, plus cross-checks
+ * between fields:
+ *
+ *   normalizers: { 'personal.ic_number': 'mykad', ... }
+ *   crossChecks: [{ check: 'ic_matches_date_of_birth', ic, dob }, ...]
+ *
+ * Normalizers put values in one canonical form (MyKad
+ * YYMMDD-PB-####, ISO dates, ISO date intervals, TNB tariff codes,
+ * amounts in RM to the sen). Anything they cannot vouch for is
+ * left as extracted and reported as a review item:
+ *
+ *   { field, code, message }
+ *
+ * Review items describe the document, never the applicant: a
+ * mismatch is something for an officer to look at, not a finding.
+ * Every flagged field is also listed in fields_requiring_review.
+ * ============================================================
+ */
+
+import { parseAmount } from './schema.js';
+
+const METADATA_KEY = 'extraction_metadata';
+
+// MyKad place-of-birth (PB) codes issued by JPN: 01-16 and 21-59
+// are Malaysian states, the rest foreign countries or unknown
+const MYKAD_BIRTHPLACE_CODES = new Set([
+  ...range(1, 16), ...range(21, 59), ...range(60, 68), 71, 72, ...range(74, 79), 82, ...range(83, 93), 98, 99
+]);
+
+// Tenaga Nasional Berhad tariff categories
+const TNB_TARIFF_CODES = ['A', 'B', 'C1', 'C2', 'D', 'E1', 'E2', 'E3', 'F', 'F1', 'F2', 'G', 'G1', 'H', 'H1', 'H2'];
+const TNB_DOMESTIC_WORDS = /\b(domestic|domestik|kediaman|residential)\b/i;
+
+// Longest span a single TNB bill covers
+const MAX_BILLING_DAYS = 62;
+
+// English and Malay month names, as printed on bills and statements
+const MONTHS = {
+  jan: 1, january: 1, januari: 1,
+  feb: 2, february: 2, februari: 2,
+  mar: 3, march: 3, mac: 3,
+  apr: 4, april: 4,
+  may: 5, mei: 5,
+  jun: 6, june: 6,
+  jul: 7, july: 7, julai: 7,
+  aug: 8, august: 8, ogos: 8,
+  sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10, okt: 10, oktober: 10,
+  nov: 11, november: 11,
+  dec: 12, december: 12, dis: 12, disember: 12
+};
+
+// ============================================================
+// FIELD NORMALIZERS
+// ============================================================
+// (value, { now }) → { value, review?: { code, message } }
+
+export const NORMALIZERS = {
+  /**
+   * MyKad number → YYMMDD-PB-####
+   */
+  mykad(value, { now }) {
+    const digits = String(value).replace(/[\s-]/g, '');
+    if (!/^\d{12}$/.test(digits)) {
+      return { value, review: { code: 'IC_MALFORMED', message: 'IC number is not a 12-digit MyKad number (YYMMDD-PB-####)' } };
+    }
+    const canonical = `${digits.slice(0, 6)}-${digits.slice(6, 8)}-${digits.slice(8)}`;
+    if (!myKadBirthDate(canonical, now)) {
+      return { value: canonical, review: { code: 'IC_DATE_INVALID', message: `IC date segment ${digits.slice(0, 6)} is not a calendar date` } };
+    }
+    if (!MYKAD_BIRTHPLACE_CODES.has(Number(digits.slice(6, 8)))) {
+      return { value: canonical, review: { code: 'IC_BIRTHPLACE_CODE_INVALID', message: `IC place-of-birth code ${digits.slice(6, 8)} is not an issued code` } };
+    }
+    return { value: canonical };
+  },
+
+  /**
+   * Date → YYYY-MM-DD (day first, as written in Malaysia)
+   */
+  date(value, { now }) {
+    const date = parseDate(String(value), now);
+    if (!date) return { value, review: { code: 'DATE_UNPARSEABLE', message: 'Date could not be read as a calendar date' } };
+    return { value: date };
+  },
+
+  /**
+   * Amount in RM → number rounded to the sen
+   */
+  amount(value) {
+    const amount = parseAmount(value);
+    if (amount === null) return { value, review: { code: 'AMOUNT_UNPARSEABLE', message: 'Amount could not be read as RM' } };
+    if (amount < 0) return { value: amount, review: { code: 'AMOUNT_NEGATIVE', message: 'Amount is negative' } };
+    return { value: Math.round(amount * 100) / 100 };
+  },
+
+  /**
+   * Period → YYYY-MM-DD/YYYY-MM-DD (ISO 8601 interval); months
+   * cover their first to last day
+   */
+  period(value, { now }) {
+    return normalizePeriod(String(value), now);
+  },
+
+  /**
+   * TNB billing period → ISO interval, no longer than one bill covers
+   */
+  billing_period(value, { now }) {
+    const result = normalizePeriod(String(value), now);
+    if (result.review) return result;
+    const [start, end] = result.value.split('/');
+    if (daysBetween(start, end) > MAX_BILLING_DAYS) {
+      return { value: result.value, review: { code: 'PERIOD_UNUSUAL_LENGTH', message: `Billing period spans more than ${MAX_BILLING_DAYS} days` } };
+    }
+    return result;
+  },
+
+  /**
+   * TNB tariff category → tariff code (A, B, C1, ...)
+   */
+  tnb_tariff(value) {
+    const text = String(value).toUpperCase();
+    const codes = [...new Set(TNB_TARIFF_CODES.filter(code => new RegExp(`(^|[^A-Z0-9])${code}($|[^A-Z0-9])`).test(text)))];
+    if (codes.length === 1) return { value: codes[0] };
+    if (codes.length > 1) {
+      return { value, review: { code: 'TARIFF_AMBIGUOUS', message: `Tariff names more than one TNB code (${codes.join(', ')})` } };
+    }
+    if (TNB_DOMESTIC_WORDS.test(text)) return { value: 'A' };
+    return { value, review: { code: 'TARIFF_UNRECOGNISED', message: 'Tariff is not a recognised TNB tariff category' } };
+  }
+};
+
+// ============================================================
+// CROSS-CHECKS
+// ============================================================
+// (data, spec, { now }) → { review: [{ field, code, message }], derived: { field: { value, from } } }
+
+export const CROSS_CHECKS = {
+  /**
+   * The IC's date segment is the holder's date of birth
+   * spec: { ic, dob } - field paths
+   */
+  ic_matches_date_of_birth(data, spec, { now }) {
+    const ic = getPath(data, spec.ic);
+    const fromIc = typeof ic === 'string' ? myKadBirthDate(ic, now) : null;
+    if (!fromIc) return { review: [], derived: {} };
+
+    const derived = { [spec.dob]: { value: fromIc, from: spec.ic } };
+    const dob = getPath(data, spec.dob);
+    if (typeof dob !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dob)) return { review: [], derived };
+
+    // The IC holds a 2-digit year; the century is the extracted date's
+    if (dob.slice(2) !== fromIc.slice(2)) {
+      return {
+        review: [{ field: spec.dob, code: 'DOB_IC_MISMATCH', message: `Date of birth ${dob} differs from the IC date segment (${fromIc})` }],
+        derived
+      };
+    }
+    return { review: [], derived: { [spec.dob]: { value: dob, from: spec.ic } } };
+  },
+
+  /**
+   * One amount should not exceed another (e.g. net vs gross salary)
+   * spec: { field, limit } - field paths
+   */
+  not_greater_than(data, spec) {
+    const value = getPath(data, spec.field);
+    const limit = getPath(data, spec.limit);
+    if (typeof value !== 'number' || typeof limit !== 'number' || value <= limit) return { review: [], derived: {} };
+    return {
+      review: [{ field: spec.field, code: 'EXCEEDS_RELATED_FIELD', message: `${spec.field} is greater than ${spec.limit}` }],
+      derived: {}
+    };
+  }
+};
+
+// Field-path arguments each cross-check takes
+const CROSS_CHECK_FIELDS = {
+  ic_matches_date_of_birth: ['ic', 'dob'],
+  not_greater_than: ['field', 'limit']
+};
+
+/**
+ * Check a definition's normalizers and crossChecks
+ * @param {Object} definition - Transform definition
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export function checkNormalization(definition) {
+  const problems = [];
+  // A scalar field of the output schema, not a section
+  const hasField = (fieldPath) => {
+    const field = fieldPath.split('.').reduce((node, key) => node?.properties?.[key], definition.outputSchema);
+    return field !== undefined && ![].concat(field.type || []).includes('object');
+  };
+
+  const { normalizers = {}, crossChecks = [] } = definition;
+  if (normalizers === null || typeof normalizers !== 'object' || Array.isArray(normalizers)) {
+    return ['normalizers must map field paths to normalizer names'];
+  }
+  if (!Array.isArray(crossChecks)) return ['crossChecks must be a list'];
+
+  for (const [field, name] of Object.entries(normalizers)) {
+    if (!Object.hasOwn(NORMALIZERS, name)) problems.push(`normalizer ${JSON.stringify(name)} for ${field} does not exist`);
+    if (!hasField(field)) problems.push(`normalizer field ${field} is not in outputSchema`);
+  }
+  for (const spec of crossChecks) {
+    const fields = Object.hasOwn(CROSS_CHECK_FIELDS, spec?.check) ? CROSS_CHECK_FIELDS[spec.check] : null;
+    if (!fields) {
+      problems.push(`cross-check ${JSON.stringify(spec?.check)} does not exist`);
+      continue;
+    }
+    for (const arg of fields) {
+      if (typeof spec[arg] !== 'string' || !hasField(spec[arg])) {
+        problems.push(`cross-check ${spec.check} ${arg} must name a field in outputSchema`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Normalize a schema-checked extraction and run its cross-checks
+ * @param {Object} data - Extraction from validateExtraction()
+ * @param {Object} transform - Transform definition
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Resolves the century of 2-digit years
+ * @returns {Object} { data, normalized: [{ field, normalizer }], review_items }
+ */
+export function normalizeExtraction(data, transform, { now = new Date() } = {}) {
+  const result = structuredClone(data);
+  const normalized = [];
+  const reviewItems = [];
+  const derived = {};
+
+  for (const [field, name] of Object.entries(transform.normalizers || {})) {
+    const value = getPath(result, field);
+    if (value === null || value === undefined) continue;
+    const outcome = NORMALIZERS[name](value, { now });
+    if (outcome.value !== value) {
+      setPath(result, field, outcome.value);
+      normalized.push({ field, normalizer: name });
+    }
+    if (outcome.review) reviewItems.push({ field, ...outcome.review });
+  }
+
+  for (const spec of transform.crossChecks || []) {
+    const outcome = CROSS_CHECKS[spec.check](result, spec, { now });
+    reviewItems.push(...outcome.review);
+    Object.assign(derived, outcome.derived);
+  }
+
+  const metadata = result[METADATA_KEY] || {};
+  result[METADATA_KEY] = {
+    ...metadata,
+    fields_requiring_review: [...new Set([...(metadata.fields_requiring_review || []), ...reviewItems.map(item => item.field)])],
+    review_items: reviewItems,
+    derived
+  };
+
+  return { data: result, normalized, review_items: reviewItems };
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Birth date in a MyKad number
+ * @returns {string|null} YYYY-MM-DD, or null if the segment is not a date
+ */
+function myKadBirthDate(ic, now) {
+  const match = /^(\d{2})(\d{2})(\d{2})-/.exec(ic);
+  if (!match) return null;
+  return isoDate(fullYear(Number(match[1]), now), Number(match[2]), Number(match[3]));
+}
+
+/**
+ * Read a date as written on Malaysian documents
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseDate(text, now) {
+  const value = text.trim();
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (match) return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/.exec(value);
+  if (match) {
+    const year = match[3].length === 2 ? fullYear(Number(match[3]), now) : Number(match[3]);
+    return isoDate(year, Number(match[2]), Number(match[1]));
+  }
+
+  match = /^(\d{1,2})[\s-]+([A-Za-z]+)\.?[\s,-]+(\d{4})$/.exec(value);
+  if (match && monthNumber(match[2])) {
+    return isoDate(Number(match[3]), monthNumber(match[2]), Number(match[1]));
+  }
+  return null;
+}
+
+/**
+ * Read a period: two dates or months ("01/02/2026 - 28/02/2026",
+ * "Jan - Mar 2026"), or a single month ("Feb 2026", "02/2026")
+ * @returns {Object} { value, review? }
+ */
+function normalizePeriod(text, now) {
+  const value = text.trim();
+  const unparseable = { value: text, review: { code: 'PERIOD_UNPARSEABLE', message: 'Period could not be read as dates or months' } };
+
+  const single = parseMonth(value);
+  if (single) return { value: `${single.first}/${single.last}` };
+
+  // Try each separator; dates may themselves contain '-'
+  const separator = /\s*(?:-|–|—|\bto\b|\bhingga\b|\bsehingga\b|\buntil\b)\s*/gi;
+  for (const match of value.matchAll(separator)) {
+    const left = value.slice(0, match.index);
+    const right = value.slice(match.index + match[0].length);
+    const endMonth = parseMonth(right);
+    // "Jan - Mar 2026": the first month takes the last one's year
+    const startMonth = parseMonth(left) || (endMonth && parseMonth(`${left} ${endMonth.year}`));
+    const start = parseDate(left, now) || startMonth?.first;
+    const end = parseDate(right, now) || endMonth?.last;
+    if (!start || !end) continue;
+    if (end < start) {
+      return { value: `${start}/${end}`, review: { code: 'PERIOD_REVERSED', message: 'Period ends before it starts' } };
+    }
+    return { value: `${start}/${end}` };
+  }
+  return unparseable;
+}
+
+/**
+ * Read a month ("Feb 2026", "Februari 2026", "02/2026")
+ * @returns {Object|null} { year, first, last } - first and last day as YYYY-MM-DD
+ */
+function parseMonth(text) {
+  const value = text.trim();
+  const match = /^([A-Za-z]+)\.?\s+(\d{4})$/.exec(value) || /^(\d{1,2})\/(\d{4})$/.exec(value);
+  if (!match) return null;
+  const month = monthNumber(match[1]) ?? Number(match[1]);
+  const year = Number(match[2]);
+  if (!(month >= 1 && month <= 12)) return null;
+  return { year, first: isoDate(year, month, 1), last: isoDate(year, month, daysInMonth(year, month)) };
+}
+
+function monthNumber(name) {
+  const key = name.toLowerCase();
+  return Object.hasOwn(MONTHS, key) ? MONTHS[key] : null;
+}
+
+/**
+ * Four-digit year for a two-digit one: the latest not in the future
+ */
+function fullYear(twoDigit, now) {
+  const year = 2000 + twoDigit;
+  return year > now.getUTCFullYear() ? year - 100 : year;
+}
+
+function isoDate(year, month, day) {
+  if (!(month >= 1 && month <= 12) || !(day >= 1 && day <= daysInMonth(year, month))) return null;
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function daysBetween(start, end) {
+  return (Date.parse(end) - Date.parse(start)) / 86400000 + 1;
+}
+
+function getPath(data, fieldPath) {
+  return fieldPath.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), data);
+}
+
+function setPath(data, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  const parent = keys.slice(0, -1).reduce((node, key) => node[key], data);
+  parent[keys[keys.length - 1]] = value;
+}
+
+function range(from, to) {
+  return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
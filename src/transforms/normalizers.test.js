@@ -0,0 +1,190 @@
+/**
+ * ============================================================
+ * NORMALIZERS - TEST SUITE
+ * ============================================================
+ * Tests for Malaysian identity and financial field normalization
+ * and the cross-checks between fields
+ *
+ * Run with: node --test src/transforms/normalizers.test.js
+ * ============================================================
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { NORMALIZERS, normalizeExtraction, checkNormalization } from './normalizers.js';
+import { transformRegistry } from './registry.js';
+
+const now = new Date('2026-10-19T00:00:00Z');
+const mortgage = transformRegistry.get('mortgage_eligibility_summary');
+const solar = transformRegistry.get('solar_proposal_draft');
+
+const extraction = (overrides = {}) => ({
+  personal: { name: 'AHMAD BIN ABDULLAH', ic_number: '850615145123', date_of_birth: '15/06/1985' },
+  employment: { employer: 'SYARIKAT CONTOH', position: 'Executive', gross_salary: 6500, net_salary: 5320.5, pay_period: 'monthly' },
+  financial: { account_type: 'savings', average_balance: 12450.75, statement_period: 'Jan - Mar 2026' },
+  extraction_metadata: { fields_extracted: 11, fields_total: 11, fields_requiring_review: [], confidence_scores: {} },
+  ...overrides
+});
+
+describe('Normalizers - MyKad', () => {
+  it('should canonicalize IC numbers to YYMMDD-PB-####', () => {
+    for (const value of ['850615145123', '850615 14 5123', '850615-14-5123']) {
+      assert.deepStrictEqual(NORMALIZERS.mykad(value, { now }), { value: '850615-14-5123' }, value);
+    }
+  });
+
+  it('should flag numbers that are not 12 digits, leaving them as extracted', () => {
+    const result = NORMALIZERS.mykad('A1234567', { now });
+
+    assert.strictEqual(result.value, 'A1234567');
+    assert.strictEqual(result.review.code, 'IC_MALFORMED');
+  });
+
+  it('should flag a date segment that is not a calendar date', () => {
+    assert.strictEqual(NORMALIZERS.mykad('851315-14-5123', { now }).review.code, 'IC_DATE_INVALID');
+    assert.strictEqual(NORMALIZERS.mykad('850230-14-5123', { now }).review.code, 'IC_DATE_INVALID');
+  });
+
+  it('should flag place-of-birth codes outside the issued ranges', () => {
+    for (const code of ['00', '17', '20', '69', '70', '73', '80', '81', '94', '97']) {
+      assert.strictEqual(NORMALIZERS.mykad(`850615-${code}-5123`, { now }).review?.code, 'IC_BIRTHPLACE_CODE_INVALID', code);
+    }
+    for (const code of ['01', '16', '21', '59', '60', '71', '82', '98']) {
+      assert.strictEqual(NORMALIZERS.mykad(`850615-${code}-5123`, { now }).review, undefined, code);
+    }
+  });
+});
+
+describe('Normalizers - Dates, amounts and periods', () => {
+  it('should read dates day first, with English or Malay month names', () => {
+    assert.strictEqual(NORMALIZERS.date('15/06/1985', { now }).value, '1985-06-15');
+    assert.strictEqual(NORMALIZERS.date('15.06.85', { now }).value, '1985-06-15');
+    assert.strictEqual(NORMALIZERS.date('15 Ogos 1985', { now }).value, '1985-08-15');
+    assert.strictEqual(NORMALIZERS.date('1985-6-15', { now }).value, '1985-06-15');
+    assert.strictEqual(NORMALIZERS.date('31/02/1985', { now }).review.code, 'DATE_UNPARSEABLE');
+  });
+
+  it('should round amounts to the sen and flag negative ones', () => {
+    assert.deepStrictEqual(NORMALIZERS.amount('RM4,500.126'), { value: 4500.13 });
+    assert.deepStrictEqual(NORMALIZERS.amount(5320.5), { value: 5320.5 });
+    assert.strictEqual(NORMALIZERS.amount(-120).review.code, 'AMOUNT_NEGATIVE');
+  });
+
+  it('should write periods as ISO intervals', () => {
+    const cases = {
+      '01/02/2026 - 28/02/2026': '2026-02-01/2026-02-28',
+      '01/02/2026-28/02/2026': '2026-02-01/2026-02-28',
+      '01/01/2026 hingga 31/03/2026': '2026-01-01/2026-03-31',
+      'Jan - Mar 2026': '2026-01-01/2026-03-31',
+      'Februari 2026': '2026-02-01/2026-02-28',
+      '02/2024': '2024-02-01/2024-02-29'
+    };
+    for (const [value, expected] of Object.entries(cases)) {
+      assert.deepStrictEqual(NORMALIZERS.period(value, { now }), { value: expected }, value);
+    }
+    assert.strictEqual(NORMALIZERS.period('last quarter', { now }).review.code, 'PERIOD_UNPARSEABLE');
+    assert.strictEqual(NORMALIZERS.period('01/03/2026 - 01/01/2026', { now }).review.code, 'PERIOD_REVERSED');
+  });
+
+  it('should flag billing periods longer than one bill covers', () => {
+    assert.strictEqual(NORMALIZERS.billing_period('01/01/2026 - 30/04/2026', { now }).review.code, 'PERIOD_UNUSUAL_LENGTH');
+    assert.strictEqual(NORMALIZERS.billing_period('01/02/2026 - 28/02/2026', { now }).review, undefined);
+  });
+});
+
+describe('Normalizers - TNB tariffs', () => {
+  it('should reduce tariff descriptions to their code', () => {
+    assert.deepStrictEqual(NORMALIZERS.tnb_tariff('Domestic (A)'), { value: 'A' });
+    assert.deepStrictEqual(NORMALIZERS.tnb_tariff('TARIF C1 - KOMERSIAL VOLTAN SEDERHANA'), { value: 'C1' });
+    assert.deepStrictEqual(NORMALIZERS.tnb_tariff('Kediaman'), { value: 'A' });
+  });
+
+  it('should flag tariffs it cannot place on one code', () => {
+    assert.strictEqual(NORMALIZERS.tnb_tariff('C1 / C2').review.code, 'TARIFF_AMBIGUOUS');
+    assert.strictEqual(NORMALIZERS.tnb_tariff('Commercial').review.code, 'TARIFF_UNRECOGNISED');
+  });
+});
+
+describe('Normalizers - Extraction', () => {
+  it('should normalize the declared fields and leave clean data without review items', () => {
+    const result = normalizeExtraction(extraction(), mortgage, { now });
+
+    assert.strictEqual(result.data.personal.ic_number, '850615-14-5123');
+    assert.strictEqual(result.data.personal.date_of_birth, '1985-06-15');
+    assert.strictEqual(result.data.financial.statement_period, '2026-01-01/2026-03-31');
+    assert.deepStrictEqual(result.review_items, []);
+    assert.deepStrictEqual(result.data.extraction_metadata.derived, {
+      'personal.date_of_birth': { value: '1985-06-15', from: 'personal.ic_number' }
+    });
+  });
+
+  it('should report a DOB that differs from the IC as a review item, keeping both values', () => {
+    const result = normalizeExtraction(extraction({
+      personal: { name: 'AHMAD', ic_number: '850615-14-5123', date_of_birth: '16/06/1985' }
+    }), mortgage, { now });
+
+    assert.strictEqual(result.data.personal.date_of_birth, '1985-06-16');
+    assert.strictEqual(result.data.personal.ic_number, '850615-14-5123');
+    assert.deepStrictEqual(result.review_items.map(i => [i.field, i.code]), [['personal.date_of_birth', 'DOB_IC_MISMATCH']]);
+    assert.deepStrictEqual(result.data.extraction_metadata.fields_requiring_review, ['personal.date_of_birth']);
+  });
+
+  it('should derive the DOB from the IC without filling a missing one', () => {
+    const result = normalizeExtraction(extraction({
+      personal: { name: 'AHMAD', ic_number: '050101-10-1234', date_of_birth: null }
+    }), mortgage, { now });
+
+    assert.strictEqual(result.data.personal.date_of_birth, null);
+    assert.strictEqual(result.data.extraction_metadata.derived['personal.date_of_birth'].value, '2005-01-01');
+    assert.deepStrictEqual(result.review_items, []);
+  });
+
+  it('should flag a net salary above the gross salary', () => {
+    const result = normalizeExtraction(extraction({
+      employment: { ...extraction().employment, gross_salary: 5000, net_salary: 6000 }
+    }), mortgage, { now });
+
+    assert.deepStrictEqual(result.review_items.map(i => i.code), ['EXCEEDS_RELATED_FIELD']);
+  });
+
+  it('should keep the review list from the schema check and not modify its input', () => {
+    const input = extraction({
+      personal: { name: 'AHMAD', ic_number: 'A1234567', date_of_birth: null },
+      extraction_metadata: { fields_requiring_review: ['employment.pay_period'] }
+    });
+    const copy = structuredClone(input);
+
+    const result = normalizeExtraction(input, mortgage, { now });
+
+    assert.deepStrictEqual(input, copy);
+    assert.deepStrictEqual(result.data.extraction_metadata.fields_requiring_review, ['employment.pay_period', 'personal.ic_number']);
+  });
+
+  it('should normalize solar billing fields', () => {
+    const result = normalizeExtraction({
+      consumption: { billing_period: '01/02/2026 - 28/02/2026', total_amount: 318.4, tariff_category: 'Domestic (A)' },
+      extraction_metadata: {}
+    }, solar, { now });
+
+    assert.deepStrictEqual(result.data.consumption, { billing_period: '2026-02-01/2026-02-28', total_amount: 318.4, tariff_category: 'A' });
+    assert.deepStrictEqual(result.normalized.map(n => n.field), ['consumption.billing_period', 'consumption.tariff_category']);
+  });
+});
+
+describe('Normalizers - Definition Check', () => {
+  it('should accept the shipped definitions', () => {
+    for (const name of transformRegistry.names()) {
+      assert.deepStrictEqual(checkNormalization(transformRegistry.get(name)), [], name);
+    }
+  });
+
+  it('should reject unknown normalizers, cross-checks and fields', () => {
+    const problems = checkNormalization({
+      ...mortgage,
+      normalizers: { 'personal.ic_number': 'passport', 'personal.nickname': 'date', personal: 'date' },
+      crossChecks: [{ check: 'credit_score' }, { check: 'not_greater_than', field: 'employment.net_salary' }]
+    });
+
+    assert.strictEqual(problems.length, 5);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * ============================================================
+ * TRANSFORM REGISTRY - DECLARATIVE TRANSFORM DEFINITIONS
+ * ============================================================
+ * Every transform type is one file in src/transforms/definitions/
+ * (file name = transform name in kebab-case) whose default export
+ * is its definition:
+ *
+ *   name              transform_type, e.g. mortgage_eligibility_summary
+ *   description       one line, for humans
+ *   files             { required, optional, maxFiles, maxTotalSize }
+ *                     upload slots (multipart field names) and limits
+ *   prompt            system prompt for the model
+ *   outputSchema      JSON Schema of the extraction (type: object,
+ *                     with an extraction_metadata object; see
+ *                     schema.js for the keywords it may use)
+ *   normalizers       optional { 'section.field': normalizer } and
+ *   crossChecks       optional [{ check, ...field paths }], run
+ *                     after the schema check (see normalizers.js)
+ *   forbiddenPhrases  decision language the output must not contain
+ *   disclaimer        printed on the summary, promoted with outputs
+ *   summary           { title, fileName, pdfFileName } of the
+ *                     summary document (text and PDF)
+ *
+ * Adding a transform type means adding one file. The validator,
+ * the executor and the summary document read only from here.
+ *
+ * Definitions are loaded and checked when this module is imported,
+ * i.e. at boot: an invalid definition stops the server rather than
+ * failing the first job that uses it.
+ * ============================================================
+ */
+
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { checkOutputSchema } from './schema.js';
+import { checkNormalization } from './normalizers.js';
+
+const DEFINITIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'definitions');
+
+// Output names the executor writes for every transform
+const RESERVED_OUTPUT_NAMES = ['extracted_data.json', 'dry_run_prompt.json'];
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Check a transform definition
+ * @param {Object} definition - Default export of a definition file
+ * @returns {Array<string>} Problems found; empty when valid
+ */
+export function validateTransformDefinition(definition) {
+  const problems = [];
+  const d = definition || {};
+  const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+  const isTextList = (value) => Array.isArray(value) && value.every(isText);
+
+  if (typeof d.name !== 'string' || !NAME_PATTERN.test(d.name)) {
+    problems.push('name must be lower_snake_case');
+  }
+  for (const field of ['description', 'prompt', 'disclaimer']) {
+    if (!isText(d[field])) problems.push(`${field} must be a non-empty string`);
+  }
+
+  const files = d.files || {};
+  if (!isTextList(files.required) || files.required.length === 0) {
+    problems.push('files.required must list at least one slot');
+  }
+  if (!isTextList(files.optional)) {
+    problems.push('files.optional must be a list of slots (may be empty)');
+  }
+  if (isTextList(files.required) && isTextList(files.optional)) {
+    const slots = [...files.required, ...files.optional];
+    for (const slot of slots.filter(s => !NAME_PATTERN.test(s))) {
+      problems.push(`file slot ${JSON.stringify(slot)} must be lower_snake_case`);
+    }
+    if (new Set(slots).size !== slots.length) {
+      problems.push('file slots must be unique across required and optional');
+    }
+    if (!Number.isInteger(files.maxFiles) || files.maxFiles < files.required.length) {
+      problems.push('files.maxFiles must be an integer no smaller than the number of required slots');
+    }
+  }
+  if (typeof files.maxTotalSize !== 'number' || !(files.maxTotalSize > 0)) {
+    problems.push('files.maxTotalSize must be a positive number of bytes');
+  }
+
+  const schema = d.outputSchema || {};
+  if (schema.type !== 'object' || !schema.properties || typeof schema.properties !== 'object') {
+    problems.push('outputSchema must be a JSON Schema with type "object" and properties');
+  } else if (schema.properties.extraction_metadata?.type !== 'object') {
+    problems.push('outputSchema must define an extraction_metadata object');
+  } else {
+    problems.push(...checkOutputSchema(schema));
+    problems.push(...checkNormalization(d));
+  }
+
+  if (!isTextList(d.forbiddenPhrases) || d.forbiddenPhrases.length === 0) {
+    problems.push('forbiddenPhrases must list at least one phrase');
+  }
+
+  const summary = d.summary || {};
+  if (!isText(summary.title)) problems.push('summary.title must be a non-empty string');
+  for (const key of ['fileName', 'pdfFileName']) {
+    const fileName = summary[key];
+    if (!isText(fileName) || path.basename(fileName) !== fileName) {
+      problems.push(`summary.${key} must be a plain file name`);
+    } else if (RESERVED_OUTPUT_NAMES.includes(fileName)) {
+      problems.push(`summary.${key} must not be one of ${RESERVED_OUTPUT_NAMES.join(', ')}`);
+    }
+  }
+  if (isText(summary.pdfFileName) && !summary.pdfFileName.endsWith('.pdf')) {
+    problems.push('summary.pdfFileName must end in .pdf');
+  }
+  if (summary.fileName === summary.pdfFileName) {
+    problems.push('summary.fileName and summary.pdfFileName must differ');
+  }
+
+  return problems;
+}
+
+/**
+ * Transform Registry - validated, read-only transform definitions
+ */
+export class TransformRegistry {
+  /**
+   * @param {Array<Object>} definitions - Transform definitions
+   * @throws {Error} If a definition is invalid or a name is repeated
+   */
+  constructor(definitions) {
+    this.transforms = new Map();
+    for (const definition of definitions) {
+      const problems = validateTransformDefinition(definition);
+      if (problems.length > 0) {
+        throw new Error(`Invalid transform definition ${definition?.name || '(unnamed)'}: ${problems.join('; ')}`);
+      }
+      if (this.transforms.has(definition.name)) {
+        throw new Error(`Transform ${definition.name} is defined twice`);
+      }
+      this.transforms.set(definition.name, deepFreeze(structuredClone(definition)));
+    }
+  }
+
+  /**
+   * @returns {Object|null} Definition for a transform type
+   */
+  get(name) {
+    return this.transforms.get(name) || null;
+  }
+
+  has(name) {
+    return this.transforms.has(name);
+  }
+
+  /**
+   * @returns {Array<string>} Registered transform types, sorted
+   */
+  names() {
+    return [...this.transforms.keys()].sort();
+  }
+}
+
+/**
+ * Load every definition file in a directory
+ * @param {string} [dir] - Definitions directory
+ * @returns {Promise<TransformRegistry>}
+ * @throws {Error} If a file is invalid or not named after its transform
+ */
+export async function loadTransforms(dir = DEFINITIONS_DIR) {
+  const files = (await readdir(dir)).filter(file => file.endsWith('.js')).sort();
+
+  const definitions = [];
+  for (const file of files) {
+    const { default: definition } = await import(pathToFileURL(path.join(dir, file)).href);
+    const expected = `${String(definition?.name).replaceAll('_', '-')}.js`;
+    // An unnamed definition is reported by the registry's own checks
+    if (typeof definition?.name === 'string' && file !== expected) {
+      throw new Error(`Transform definition ${file} must be named ${expected}`);
+    }
+    definitions.push(definition);
+  }
+  return new TransformRegistry(definitions);
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+// Singleton, loaded at boot
+export const transformRegistry = await loadTransforms();
+
+export default transformRegistry;
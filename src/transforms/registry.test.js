@@ -0,0 +1,145 @@
+/**
+ * ============================================================
+ * TRANSFORM REGISTRY - TEST SUITE
+ * ============================================================
+ * Tests for transform definition checks and loading
+ *
+ * Run with: node --test src/transforms/registry.test.js
+ * ============================================================
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  transformRegistry,
+  TransformRegistry,
+  loadTransforms,
+  validateTransformDefinition
+} from './registry.js';
+
+const definition = (overrides = {}) => ({
+  name: 'test_transform',
+  description: 'Test transform',
+  files: { required: ['document'], optional: [], maxFiles: 1, maxTotalSize: 1024 },
+  prompt: 'Extract.',
+  outputSchema: {
+    type: 'object',
+    properties: { extraction_metadata: { type: 'object' } }
+  },
+  forbiddenPhrases: ['Approved'],
+  disclaimer: 'Extracted information only.',
+  summary: { title: 'TEST SUMMARY', fileName: 'test_summary.txt', pdfFileName: 'test_summary.pdf' },
+  ...overrides
+});
+
+describe('Transform Registry - Shipped Definitions', () => {
+  it('should load every transform in definitions/', () => {
+    assert.deepStrictEqual(transformRegistry.names(), ['mortgage_eligibility_summary', 'solar_proposal_draft']);
+  });
+
+  it('should expose prompt, schema, file slots and summary per transform', () => {
+    const mortgage = transformRegistry.get('mortgage_eligibility_summary');
+
+    assert.deepStrictEqual(mortgage.files.required, ['payslip']);
+    assert.strictEqual(mortgage.summary.fileName, 'eligibility_summary.txt');
+    assert.match(mortgage.prompt, /MUST NOT make any eligibility decisions/);
+    assert.ok(mortgage.outputSchema.properties.employment.properties.gross_salary);
+    assert.ok(mortgage.forbiddenPhrases.includes('Approved'));
+  });
+
+  it('should return null for unknown transforms', () => {
+    assert.strictEqual(transformRegistry.get('car_loan_summary'), null);
+    assert.strictEqual(transformRegistry.has('car_loan_summary'), false);
+  });
+
+  it('should not let callers change a definition', () => {
+    const solar = transformRegistry.get('solar_proposal_draft');
+
+    assert.throws(() => { solar.forbiddenPhrases.push('Anything'); }, TypeError);
+    assert.throws(() => { solar.files.maxFiles = 99; }, TypeError);
+  });
+});
+
+describe('Transform Registry - Definition Checks', () => {
+  it('should accept a complete definition', () => {
+    assert.deepStrictEqual(validateTransformDefinition(definition()), []);
+  });
+
+  it('should report each missing or malformed field', () => {
+    const problems = validateTransformDefinition(definition({ name: 'Car-Loan', prompt: '', forbiddenPhrases: [] }));
+
+    assert.strictEqual(problems.length, 3);
+    assert.ok(problems.some(p => p.startsWith('name')));
+    assert.ok(problems.some(p => p.startsWith('prompt')));
+    assert.ok(problems.some(p => p.startsWith('forbiddenPhrases')));
+  });
+
+  it('should reject repeated slots and too few files', () => {
+    const problems = validateTransformDefinition(definition({
+      files: { required: ['payslip', 'ic'], optional: ['payslip'], maxFiles: 1, maxTotalSize: 1024 }
+    }));
+
+    assert.ok(problems.some(p => /unique/.test(p)));
+    assert.ok(problems.some(p => /maxFiles/.test(p)));
+  });
+
+  it('should require an object schema with extraction_metadata', () => {
+    assert.ok(validateTransformDefinition(definition({ outputSchema: { type: 'array' } })).length > 0);
+    assert.ok(validateTransformDefinition(definition({ outputSchema: { type: 'object', properties: {} } }))
+      .some(p => /extraction_metadata/.test(p)));
+  });
+
+  it('should reject summary file names that are paths or clash with fixed outputs', () => {
+    const clash = definition({ summary: { title: 'T', fileName: 'extracted_data.json', pdfFileName: 'summary.pdf' } });
+    const traversal = definition({ summary: { title: 'T', fileName: 'summary.txt', pdfFileName: '../summary.pdf' } });
+    const notPdf = definition({ summary: { title: 'T', fileName: 'summary.txt', pdfFileName: 'summary.txt' } });
+
+    assert.ok(validateTransformDefinition(clash).some(p => /must not be one of/.test(p)));
+    assert.ok(validateTransformDefinition(traversal).some(p => /pdfFileName must be a plain file name/.test(p)));
+    assert.deepStrictEqual(validateTransformDefinition(notPdf), [
+      'summary.pdfFileName must end in .pdf',
+      'summary.fileName and summary.pdfFileName must differ'
+    ]);
+  });
+
+  it('should refuse an invalid or repeated definition', () => {
+    assert.throws(() => new TransformRegistry([definition({ disclaimer: ' ' })]), /Invalid transform definition test_transform: disclaimer/);
+    assert.throws(() => new TransformRegistry([definition(), definition()]), /defined twice/);
+  });
+});
+
+describe('Transform Registry - Loading', () => {
+  const dir = mkdtempSync(path.join(tmpdir(), 'kt-transforms-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const definitionsDir = (files) => {
+    const target = mkdtempSync(path.join(dir, 'defs-'));
+    for (const [file, value] of Object.entries(files)) {
+      writeFileSync(path.join(target, file), `export default ${JSON.stringify(value)};\n`);
+    }
+    return target;
+  };
+
+  it('should load definition files from a directory', async () => {
+    const registry = await loadTransforms(definitionsDir({ 'test-transform.js': definition() }));
+
+    assert.deepStrictEqual(registry.names(), ['test_transform']);
+  });
+
+  it('should require the file to be named after the transform', async () => {
+    await assert.rejects(
+      loadTransforms(definitionsDir({ 'other.js': definition() })),
+      /other\.js must be named test-transform\.js/
+    );
+  });
+
+  it('should fail loading when a definition is invalid', async () => {
+    await assert.rejects(
+      loadTransforms(definitionsDir({ 'test-transform.js': definition({ summary: {} }) })),
+      /Invalid transform definition/
+    );
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * ============================================================
+ * TRANSFORM SCHEMA - OUTPUT SCHEMAS AND EXTRACTION CHECK
+ * ============================================================
+ * Shared JSON Schema parts for transform definitions, and the
+ * check every model extraction goes through before it is used:
+ *
+ * - Values of the wrong type are coerced when the meaning is
+ *   unambiguous ("RM 4,500.00" → 4500, 220012345678 → "220012345678",
+ *   "Monthly" → "monthly" for an enum)
+ * - Anything else that fails (wrong type, outside enum or range,
+ *   missing, or the model's own "requires_review") is set to null
+ *   and listed in extraction_metadata.fields_requiring_review
+ * - Keys the schema does not define are dropped
+ * - fields_extracted / fields_total are counted here, not taken
+ *   from the model
+ *
+ * Transform schemas are nested objects of scalar fields, using
+ * type, properties, required, additionalProperties: false, enum,
+ * minimum and maximum (checkOutputSchema enforces this at boot).
+ * Every issue is recorded by path only - never with the value,
+ * which may be personal data.
+ * ============================================================
+ */
+
+const METADATA_KEY = 'extraction_metadata';
+
+// What the prompts tell the model to write for an unclear field
+const REVIEW_MARKER = 'requires_review';
+
+/**
+ * extraction_metadata, as every transform prompt asks for it.
+ * Open to further keys: the executor adds input_documents.
+ */
+export const EXTRACTION_METADATA_SCHEMA = {
+  type: 'object',
+  properties: {
+    fields_extracted: { type: 'integer', minimum: 0 },
+    fields_total: { type: 'integer', minimum: 0 },
+    fields_requiring_review: { type: 'array', items: { type: 'string' } },
+    confidence_scores: {
+      type: 'object',
+      additionalProperties: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+  required: ['fields_extracted', 'fields_total', 'fields_requiring_review', 'confidence_scores']
+};
+
+const LEAF_TYPES = ['string', 'number', 'integer', 'boolean', 'null'];
+
+/**
+ * Check that an output schema uses only what validateExtraction
+ * understands: object sections of scalar fields
+ * @param {Object} schema - Transform outputSchema
+ * @returns {Array<string>} Problems found; empty when usable
+ */
+export function checkOutputSchema(schema) {
+  const problems = [];
+  const visit = (node, path) => {
+    for (const [key, child] of Object.entries(node.properties || {})) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (childPath === METADATA_KEY) continue;
+      const types = typeOf(child || {});
+      if (types.includes('object')) {
+        visit(child, childPath);
+      } else if (types.length === 0 || !types.every(type => LEAF_TYPES.includes(type))) {
+        problems.push(`outputSchema field ${childPath} must have a type of ${LEAF_TYPES.join(', ')} or object`);
+      }
+    }
+    for (const key of node.required || []) {
+      if (!(key in (node.properties || {}))) problems.push(`outputSchema requires undefined field ${path ? `${path}.` : ''}${key}`);
+    }
+  };
+  visit(schema, '');
+  return problems;
+}
+
+/**
+ * Parse a money amount as written on Malaysian documents
+ * @param {string|number} value - e.g. "RM 4,500.00", "MYR4500", "4500"
+ * @returns {number|null} The amount, or null if it is not one
+ */
+export function parseAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const text = value.trim().replace(/^(RM|MYR)\s*/i, '').replace(/,(?=\d{3}(\D|$))/g, '');
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * Check a parsed extraction against its transform's output schema
+ * @param {*} extraction - Parsed model output
+ * @param {Object} schema - Transform outputSchema
+ * @returns {Object} { data, valid, issues: [{ path, issue, action }],
+ *   fields_requiring_review, fields_extracted, fields_total }
+ */
+export function validateExtraction(extraction, schema) {
+  const issues = [];
+  const review = [];
+  const leaves = [];
+  const report = (path, issue, action) => {
+    issues.push({ path, issue, action });
+    if (action === 'set_null') review.push(path);
+  };
+
+  const source = isPlainObject(extraction) ? extraction : {};
+  if (!isPlainObject(extraction)) report('', 'not_an_object', 'replaced');
+
+  const fields = { ...schema, properties: { ...schema.properties } };
+  delete fields.properties[METADATA_KEY];
+  const data = conformObject(source, fields, '', { report, leaves });
+
+  const reported = isPlainObject(source[METADATA_KEY]) ? source[METADATA_KEY] : {};
+  const modelReview = Array.isArray(reported.fields_requiring_review)
+    ? reported.fields_requiring_review.filter(f => typeof f === 'string' && f.trim())
+    : [];
+  const fieldsRequiringReview = [...new Set([...modelReview, ...review])];
+
+  data[METADATA_KEY] = {
+    fields_extracted: leaves.filter(leaf => leaf.value !== null).length,
+    fields_total: leaves.length,
+    fields_requiring_review: fieldsRequiringReview,
+    confidence_scores: confidenceScores(reported.confidence_scores)
+  };
+
+  return {
+    data,
+    valid: issues.every(i => i.action === 'normalized'),
+    issues,
+    fields_requiring_review: fieldsRequiringReview,
+    fields_extracted: data[METADATA_KEY].fields_extracted,
+    fields_total: data[METADATA_KEY].fields_total
+  };
+}
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+function conformObject(value, schema, path, context) {
+  const result = {};
+  const required = schema.required || [];
+
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    const childPath = path ? `${path}.${key}` : key;
+    if (typeOf(child).includes('object')) {
+      let section = value[key];
+      if (!isPlainObject(section)) {
+        if (section !== undefined && section !== null) context.report(childPath, 'invalid_type', 'replaced');
+        section = {};
+      }
+      result[key] = conformObject(section, child, childPath, context);
+      continue;
+    }
+
+    const conformed = conformLeaf(value[key], child, required.includes(key));
+    if (conformed.issue) context.report(childPath, conformed.issue, conformed.action);
+    result[key] = conformed.value;
+    context.leaves.push({ path: childPath, value: conformed.value });
+  }
+
+  if (schema.additionalProperties === false) {
+    for (const key of Object.keys(value).filter(k => !(k in (schema.properties || {})))) {
+      if (!path && key === METADATA_KEY) continue;
+      context.report(path ? `${path}.${key}` : key, 'not_in_schema', 'dropped');
+    }
+  }
+  return result;
+}
+
+/**
+ * @returns {Object} { value, issue?, action? }
+ */
+function conformLeaf(value, schema, required) {
+  const types = typeOf(schema);
+  const nullable = types.includes('null');
+  const fail = (issue) => ({ value: null, issue, action: 'set_null' });
+
+  if (value === undefined) return required ? fail('missing') : { value: null };
+  if (value === null || value === '') return nullable ? { value: null } : fail('missing');
+  if (typeof value === 'string' && value.trim().toLowerCase() === REVIEW_MARKER) return fail('flagged_by_model');
+
+  let coerced;
+  for (const type of types) {
+    coerced = coerce(value, type);
+    if (coerced !== undefined) break;
+  }
+  if (coerced === undefined) return fail('invalid_type');
+
+  if (schema.enum) {
+    const match = schema.enum.find(option => option === coerced
+      || (typeof option === 'string' && typeof coerced === 'string' && option.toLowerCase() === coerced.trim().toLowerCase()));
+    if (match === undefined) return fail('not_in_enum');
+    coerced = match;
+  }
+  if (typeof coerced === 'number'
+    && ((schema.minimum !== undefined && coerced < schema.minimum) || (schema.maximum !== undefined && coerced > schema.maximum))) {
+    return fail('out_of_range');
+  }
+
+  return coerced === value ? { value } : { value: coerced, issue: 'coerced', action: 'normalized' };
+}
+
+/**
+ * Coerce a value to a JSON Schema type
+ * @returns {*} The value, or undefined if it cannot be read as that type
+ */
+function coerce(value, type) {
+  switch (type) {
+    case 'string':
+      if (typeof value === 'string') return value;
+      return typeof value === 'number' && Number.isFinite(value) ? String(value) : undefined;
+    case 'number':
+      return parseAmount(value) ?? undefined;
+    case 'integer': {
+      const number = parseAmount(value);
+      return Number.isInteger(number) ? number : undefined;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      return { true: true, false: false }[String(value).trim().toLowerCase()];
+    default:
+      return undefined;
+  }
+}
+
+function confidenceScores(scores) {
+  if (!isPlainObject(scores)) return {};
+  return Object.fromEntries(
+    Object.entries(scores)
+      .map(([field, score]) => [field, parseAmount(score)])
+      .filter(([, score]) => score !== null && score >= 0 && score <= 1)
+  );
+}
+
+function typeOf(schema) {
+  return [].concat(schema.type || []);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,166 @@
+/**
+ * ============================================================
+ * TRANSFORM SCHEMA - TEST SUITE
+ * ============================================================
+ * Tests for checking and normalizing model extractions against a
+ * transform's output schema
+ *
+ * Run with: node --test src/transforms/schema.test.js
+ * ============================================================
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { validateExtraction, checkOutputSchema, parseAmount } from './schema.js';
+import { transformRegistry } from './registry.js';
+
+const mortgage = transformRegistry.get('mortgage_eligibility_summary').outputSchema;
+
+const extraction = (overrides = {}) => ({
+  personal: { name: 'AHMAD BIN ABDULLAH', ic_number: '850615-14-5123', date_of_birth: '15/06/1985' },
+  employment: { employer: 'SYARIKAT CONTOH', position: 'Executive', gross_salary: 6500, net_salary: 5320.5, pay_period: 'monthly' },
+  financial: { account_type: 'savings', average_balance: 12450.75, statement_period: 'Jan - Mar 2026' },
+  extraction_metadata: { fields_extracted: 11, fields_total: 11, fields_requiring_review: [], confidence_scores: { name: 0.98 } },
+  ...overrides
+});
+
+describe('Transform Schema - Extraction Check', () => {
+  it('should pass a well-formed extraction unchanged', () => {
+    const check = validateExtraction(extraction(), mortgage);
+
+    assert.strictEqual(check.valid, true);
+    assert.deepStrictEqual(check.issues, []);
+    assert.deepStrictEqual(check.data.personal, extraction().personal);
+    assert.deepStrictEqual(check.data.extraction_metadata.fields_requiring_review, []);
+  });
+
+  it('should normalize amounts written as text', () => {
+    const check = validateExtraction(extraction({
+      employment: { ...extraction().employment, gross_salary: 'RM 4,500.00', net_salary: 'MYR3800' }
+    }), mortgage);
+
+    assert.strictEqual(check.data.employment.gross_salary, 4500);
+    assert.strictEqual(check.data.employment.net_salary, 3800);
+    assert.strictEqual(check.valid, true);
+    assert.deepStrictEqual(check.issues.map(i => [i.path, i.action]), [
+      ['employment.gross_salary', 'normalized'],
+      ['employment.net_salary', 'normalized']
+    ]);
+  });
+
+  it('should match enum values regardless of case', () => {
+    const check = validateExtraction(extraction({
+      employment: { ...extraction().employment, pay_period: 'Monthly' }
+    }), mortgage);
+
+    assert.strictEqual(check.data.employment.pay_period, 'monthly');
+  });
+
+  it('should set uncoercible values to null and mark them for review', () => {
+    const check = validateExtraction(extraction({
+      employment: { ...extraction().employment, gross_salary: 'about five thousand', pay_period: 'fortnightly' },
+      financial: { ...extraction().financial, account_type: 'requires_review' }
+    }), mortgage);
+
+    assert.strictEqual(check.valid, false);
+    assert.strictEqual(check.data.employment.gross_salary, null);
+    assert.strictEqual(check.data.employment.pay_period, null);
+    assert.strictEqual(check.data.financial.account_type, null);
+    assert.deepStrictEqual(check.data.extraction_metadata.fields_requiring_review, [
+      'employment.gross_salary', 'employment.pay_period', 'financial.account_type'
+    ]);
+    assert.deepStrictEqual(check.issues.map(i => i.issue), ['invalid_type', 'not_in_enum', 'flagged_by_model']);
+  });
+
+  it('should fill a missing section with nulls for review', () => {
+    const { financial, ...withoutFinancial } = extraction();
+
+    const check = validateExtraction(withoutFinancial, mortgage);
+
+    assert.deepStrictEqual(check.data.financial, { account_type: null, average_balance: null, statement_period: null });
+    assert.ok(check.fields_requiring_review.includes('financial.average_balance'));
+    assert.ok(check.issues.every(i => i.issue === 'missing'));
+  });
+
+  it('should drop keys the schema does not define', () => {
+    const check = validateExtraction(extraction({
+      personal: { ...extraction().personal, credit_score: 720 },
+      recommendation: 'apply now'
+    }), mortgage);
+
+    assert.strictEqual('credit_score' in check.data.personal, false);
+    assert.strictEqual('recommendation' in check.data, false);
+    assert.deepStrictEqual(check.issues.map(i => [i.path, i.action]), [
+      ['personal.credit_score', 'dropped'],
+      ['recommendation', 'dropped']
+    ]);
+    assert.deepStrictEqual(check.fields_requiring_review, []);
+  });
+
+  it('should count extracted fields itself', () => {
+    const check = validateExtraction(extraction({
+      personal: { name: 'AHMAD', ic_number: null, date_of_birth: null },
+      extraction_metadata: { fields_extracted: 99, fields_total: 99, fields_requiring_review: ['ic_number'] }
+    }), mortgage);
+
+    assert.strictEqual(check.data.extraction_metadata.fields_total, 11);
+    assert.strictEqual(check.data.extraction_metadata.fields_extracted, 9);
+    assert.deepStrictEqual(check.data.extraction_metadata.fields_requiring_review, ['ic_number']);
+  });
+
+  it('should keep only confidence scores between 0 and 1', () => {
+    const check = validateExtraction(extraction({
+      extraction_metadata: { confidence_scores: { name: 0.9, ic_number: '0.8', salary: 7, employer: 'high' } }
+    }), mortgage);
+
+    assert.deepStrictEqual(check.data.extraction_metadata.confidence_scores, { name: 0.9, ic_number: 0.8 });
+  });
+
+  it('should mark every field for review when the output is not an object', () => {
+    const check = validateExtraction(null, mortgage);
+
+    assert.strictEqual(check.valid, false);
+    assert.strictEqual(check.fields_extracted, 0);
+    assert.strictEqual(check.fields_requiring_review.length, 11);
+  });
+
+  it('should never record field values in issues', () => {
+    const check = validateExtraction(extraction({
+      personal: { name: 42, ic_number: { nested: '850615-14-5123' }, date_of_birth: null }
+    }), mortgage);
+
+    assert.ok(!JSON.stringify(check.issues).includes('850615'));
+  });
+});
+
+describe('Transform Schema - Amounts', () => {
+  it('should parse ringgit amounts', () => {
+    assert.strictEqual(parseAmount('RM4,500.00'), 4500);
+    assert.strictEqual(parseAmount('rm 1,234,567.89'), 1234567.89);
+    assert.strictEqual(parseAmount('4500'), 4500);
+    assert.strictEqual(parseAmount(318.4), 318.4);
+  });
+
+  it('should refuse anything that is not a plain amount', () => {
+    for (const value of ['4.500,00', '4,50', 'RM', 'about 4500', '', null, NaN]) {
+      assert.strictEqual(parseAmount(value), null, String(value));
+    }
+  });
+});
+
+describe('Transform Schema - Definition Check', () => {
+  it('should accept the shipped schemas', () => {
+    for (const name of transformRegistry.names()) {
+      assert.deepStrictEqual(checkOutputSchema(transformRegistry.get(name).outputSchema), [], name);
+    }
+  });
+
+  it('should reject array fields and undefined required fields', () => {
+    const problems = checkOutputSchema({
+      type: 'object',
+      properties: { personal: { type: 'object', properties: { aliases: { type: 'array' } }, required: ['name'] } }
+    });
+
+    assert.strictEqual(problems.length, 2);
+  });
+});
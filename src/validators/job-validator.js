@@ -2,31 +2,15 @@
  * ============================================================
  * JOB VALIDATOR
  * ============================================================
- * Validates job submissions against Phase 1α constraints
+ * Validates job submissions against Phase 1α constraints.
+ * Transform types and their file constraints come from the
+ * transform registry (src/transforms/).
  * ============================================================
  */
 
-const VALID_JOB_TYPES = ['z4_format_transform'];
-
-const VALID_TRANSFORM_TYPES = [
-  'mortgage_eligibility_summary',
-  'solar_proposal_draft'
-];
+import { transformRegistry } from '../transforms/registry.js';
 
-const FILE_CONSTRAINTS = {
-  mortgage_eligibility_summary: {
-    required: ['payslip'],
-    optional: ['ic_front', 'bank_statement'],
-    maxFiles: 3,
-    maxTotalSize: 20 * 1024 * 1024 // 20MB
-  },
-  solar_proposal_draft: {
-    required: ['electricity_bill', 'roof_photo'],
-    optional: ['location_info'],
-    maxFiles: 3,
-    maxTotalSize: 15 * 1024 * 1024 // 15MB
-  }
-};
+const VALID_JOB_TYPES = ['z4_format_transform'];
 
 /**
  * Validate job request
@@ -49,16 +33,21 @@ export function validateJobRequest(request) {
   // Check transform type
   if (!request.transform_type) {
     errors.push({ field: 'transform_type', message: 'Transform type is required' });
-  } else if (!VALID_TRANSFORM_TYPES.includes(request.transform_type)) {
+  } else if (!transformRegistry.has(request.transform_type)) {
     errors.push({ 
       field: 'transform_type', 
-      message: `Invalid transform type. Allowed: ${VALID_TRANSFORM_TYPES.join(', ')}` 
+      message: `Invalid transform type. Allowed: ${transformRegistry.names().join(', ')}` 
     });
   }
   
+  // Check dry run flag (multipart fields arrive as strings)
+  if (request.dry_run !== undefined && ![true, false, 'true', 'false'].includes(request.dry_run)) {
+    errors.push({ field: 'dry_run', message: 'dry_run must be true or false' });
+  }
+  
   // Check files if transform type is valid
-  if (request.transform_type && VALID_TRANSFORM_TYPES.includes(request.transform_type)) {
-    const constraints = FILE_CONSTRAINTS[request.transform_type];
+  if (request.transform_type && transformRegistry.has(request.transform_type)) {
+    const constraints = transformRegistry.get(request.transform_type).files;
     const files = request.files || [];
     
     // Check file count